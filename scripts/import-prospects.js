@@ -0,0 +1,18 @@
+import { readFileSync } from 'fs';
+import { ProspectStore } from '../src/prospects.js';
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Job postings extracted by openclaw-outreach.sh -> prospect store (duplicates merge)
+const file = process.argv[2] || '/home/brans/legacy-automation-agency/outreach/live-prospects.json';
+const jobs = JSON.parse(readFileSync(file, 'utf8'));
+
+const result = new ProspectStore().import(jobs.map(job => ({
+  company: job.company || job.client_name || null,
+  job_url: job.url || job.job_url || null,
+  pain_point: job.title || null,
+  source: 'upwork',
+  note: [job.title, job.budget, job.client_location, job.description].filter(Boolean).join(' | ') || undefined
+})), 'openclaw-outreach');
+
+console.log('Imported:', JSON.stringify(result, null, 2));
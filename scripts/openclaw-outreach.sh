@@ -66,7 +66,7 @@ search_upwork() {
 extract_jobs() {
     local snapshot="$1"
 
-    openclaw agent --agent main -m "Extract job postings from this Upwork page snapshot. For each job, extract: title, budget/hourly rate, description (first 200 chars), client location, and posting date. Return as JSON array. Here's the snapshot: $snapshot" --json --timeout 60 2>&1 || echo "[]"
+    openclaw agent --agent main -m "Extract job postings from this Upwork page snapshot. For each job, extract: title, url (the job's link), company (client company name, if shown), budget/hourly rate, description (first 200 chars), client location, and posting date. Return as JSON array. Here's the snapshot: $snapshot" --json --timeout 60 2>&1 || echo "[]"
 }
 
 # Generate personalized pitch for a job posting
@@ -100,7 +100,7 @@ fi
 
 log "Browser connected! Starting Upwork search..."
 
-# Initialize prospects file
+# Initialize this run's results file (the prospect store keeps the history)
 echo "[]" > "$PROSPECTS_FILE"
 
 for query in "${SEARCH_QUERIES[@]}"; do
@@ -137,6 +137,9 @@ TOTAL=$(python3 -c "import json; print(len(json.load(open('$PROSPECTS_FILE'))))"
 log "Total prospects found: $TOTAL"
 log "Saved to: $PROSPECTS_FILE"
 
+# Add to the prospect store; postings and companies already there are merged, not duplicated
+node "$(dirname "$0")/import-prospects.js" "$PROSPECTS_FILE" >> "$LOG_FILE" 2>&1 || log "Prospect import failed"
+
 # Generate pitches for top prospects
 log "Generating pitches for top prospects..."
 # (This would iterate through prospects and generate personalized pitches)
@@ -0,0 +1,212 @@
+/**
+ * Client Accounts & API Keys
+ * Accounts live in a JSON file under the state dir. API keys are shown once at
+ * creation and only a salted hash is kept. Keys look like laa_<keyId>_<secret>,
+ * so a request's key is found by ID and checked against a single hash.
+ *
+ * Roles:
+ *   client    — a paying tenant; sees and submits only its own tasks
+ *   operator  — agency staff; sees everything and can use every route
+ *   service   — an integration credential limited to named scopes
+ *               ('webhook', 'bridge'), optionally bound to a client
+ *
+ * OPERATOR_API_KEY, if set, is accepted as a built-in operator key so the
+ * first real accounts can be created through the API.
+ */
+
+import { readFileSync, writeFileSync, renameSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { randomBytes, createHash, timingSafeEqual } from 'crypto';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('accounts');
+
+const STATE_DIR = process.env.OPENCLAW_STATE_DIR || '/home/brans/.openclaw/state';
+const ACCOUNTS_FILE = process.env.ACCOUNTS_FILE || join(STATE_DIR, 'accounts.json');
+
+export const ROLES = ['client', 'operator', 'service'];
+export const SERVICE_SCOPES = ['webhook', 'bridge'];
+
+function hashSecret(salt, secret) {
+  return createHash('sha256').update(salt).update(secret).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const ab = Buffer.from(a);
+  const bb = Buffer.from(b);
+  return ab.length === bb.length && timingSafeEqual(ab, bb);
+}
+
+export class AccountStore {
+  constructor() {
+    try { mkdirSync(dirname(ACCOUNTS_FILE), { recursive: true }); } catch {}
+    this.accounts = this.load();
+  }
+
+  load() {
+    try {
+      return JSON.parse(readFileSync(ACCOUNTS_FILE, 'utf8'));
+    } catch {
+      return [];
+    }
+  }
+
+  save() {
+    writeFileSync(`${ACCOUNTS_FILE}.tmp`, JSON.stringify(this.accounts, null, 2));
+    renameSync(`${ACCOUNTS_FILE}.tmp`, ACCOUNTS_FILE);
+  }
+
+  list() {
+    return this.accounts.map(publicAccount);
+  }
+
+  get(accountId) {
+    const account = this.accounts.find(a => a.id === accountId);
+    return account ? publicAccount(account) : null;
+  }
+
+  /**
+   * Create an account and its first API key. Returns { account, api_key }.
+   */
+  create({ name, role = 'client', scopes = [], client_id = null, email = null }) {
+    if (!name) throw new Error('`name` is required');
+    if (!ROLES.includes(role)) throw new Error(`Invalid role: ${role}`);
+    const badScope = scopes.find(s => !SERVICE_SCOPES.includes(s));
+    if (badScope) throw new Error(`Invalid scope: ${badScope}`);
+    if (client_id && !this.accounts.some(a => a.id === client_id && a.role === 'client')) {
+      throw new Error(`Unknown client: ${client_id}`);
+    }
+
+    const account = {
+      id: `client-${randomBytes(6).toString('hex')}`,
+      name,
+      email,
+      role,
+      scopes: role === 'service' ? scopes : [],
+      client_id: role === 'service' ? client_id : null,
+      created_at: new Date().toISOString(),
+      keys: []
+    };
+    this.accounts.push(account);
+    const apiKey = this.addKey(account, 'initial');
+    logger.info(`Created ${role} account ${account.id} (${name})`);
+    return { account: publicAccount(account), api_key: apiKey };
+  }
+
+  issueKey(accountId, label) {
+    const account = this.accounts.find(a => a.id === accountId);
+    if (!account) return null;
+    return this.addKey(account, label);
+  }
+
+  addKey(account, label) {
+    const keyId = randomBytes(4).toString('hex');
+    const secret = randomBytes(24).toString('base64url');
+    const salt = randomBytes(16).toString('hex');
+
+    account.keys.push({
+      id: keyId,
+      label: label || null,
+      salt,
+      hash: hashSecret(salt, secret),
+      created_at: new Date().toISOString(),
+      revoked_at: null
+    });
+    this.save();
+    return `laa_${keyId}_${secret}`;
+  }
+
+  revokeKey(accountId, keyId) {
+    const key = this.accounts.find(a => a.id === accountId)?.keys.find(k => k.id === keyId);
+    if (!key) return false;
+    key.revoked_at = key.revoked_at || new Date().toISOString();
+    this.save();
+    logger.info(`Revoked key ${keyId} on ${accountId}`);
+    return true;
+  }
+
+  /**
+   * Resolve a presented API key to a principal, or null.
+   */
+  authenticate(apiKey) {
+    if (!apiKey) return null;
+
+    const bootstrap = process.env.OPERATOR_API_KEY;
+    if (bootstrap && safeEqual(hashSecret('', apiKey), hashSecret('', bootstrap))) {
+      return { account_id: 'operator', name: 'operator', role: 'operator', scopes: [], client_id: null };
+    }
+
+    const match = /^laa_([0-9a-f]{8})_(.+)$/.exec(apiKey);
+    if (!match) return null;
+    const [, keyId, secret] = match;
+
+    for (const account of this.accounts) {
+      const key = account.keys.find(k => k.id === keyId);
+      if (!key) continue;
+      if (key.revoked_at || !safeEqual(hashSecret(key.salt, secret), key.hash)) return null;
+      return {
+        account_id: account.id,
+        name: account.name,
+        role: account.role,
+        scopes: account.scopes,
+        client_id: account.role === 'client' ? account.id : account.client_id
+      };
+    }
+    return null;
+  }
+}
+
+// Never hand out key hashes
+function publicAccount(account) {
+  const { keys, ...rest } = account;
+  return {
+    ...rest,
+    keys: keys.map(({ id, label, created_at, revoked_at }) => ({ id, label, created_at, revoked_at }))
+  };
+}
+
+// --- Express middleware ---
+
+/**
+ * Require a valid API key (Authorization: Bearer <key> or X-API-Key).
+ * Sets req.principal.
+ */
+export function authenticate(store) {
+  return (req, res, next) => {
+    const header = req.get('Authorization') || '';
+    const apiKey = header.startsWith('Bearer ') ? header.slice(7).trim() : req.get('X-API-Key');
+
+    const principal = store.authenticate(apiKey);
+    if (!principal) return res.status(401).json({ error: 'Valid API key required' });
+
+    req.principal = principal;
+    next();
+  };
+}
+
+export function hasScope(principal, scope) {
+  if (principal.role === 'operator') return true;
+  if (principal.role === 'client') return scope === 'tasks';
+  return principal.scopes.includes(scope);
+}
+
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (!hasScope(req.principal, scope)) {
+      return res.status(403).json({ error: `This key lacks the '${scope}' scope` });
+    }
+    next();
+  };
+}
+
+export function requireOperator(req, res, next) {
+  if (req.principal.role !== 'operator') {
+    return res.status(403).json({ error: 'Operator access required' });
+  }
+  next();
+}
+
+export function canAccessTask(principal, task) {
+  if (principal.role === 'operator') return true;
+  return Boolean(principal.client_id) && task.client_id === principal.client_id;
+}
@@ -0,0 +1,89 @@
+/**
+ * Human Approval Gate
+ * Decides whether a freshly created plan may run unattended. A plan waits for
+ * an operator when the model asks for approval itself, or when the task or any
+ * step matches a risk rule (deletes, payments, bulk edits by default).
+ *
+ * Rules can be replaced with a JSON file at APPROVAL_RULES_FILE:
+ *   [{ "name": "payment", "pattern": "\\bpay(ment)?s?\\b" }, ...]
+ */
+
+import { readFileSync } from 'fs';
+import { createHash } from 'crypto';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('approval');
+
+const DEFAULT_RULES = [
+  { name: 'delete', pattern: '\\b(delete|deleting|remove|purge|void|erase|write[- ]off)\\b' },
+  { name: 'payment', pattern: '\\b(pay|payment|payments|payroll|refund|wire|ach|charge card|transfer funds|disburse)\\b' },
+  { name: 'bulk-edit', pattern: '\\b(bulk|mass update|batch update|all records|every record|find and replace)\\b' }
+];
+
+function loadRules() {
+  const file = process.env.APPROVAL_RULES_FILE;
+  if (!file) return DEFAULT_RULES;
+  try {
+    const rules = JSON.parse(readFileSync(file, 'utf8'));
+    logger.info(`Loaded ${rules.length} approval rule(s) from ${file}`);
+    return rules;
+  } catch (err) {
+    logger.error(`Failed to load approval rules from ${file}, using defaults: ${err.message}`);
+    return DEFAULT_RULES;
+  }
+}
+
+const RULES = loadRules().map(r => ({ name: r.name, regex: new RegExp(r.pattern, 'i') }));
+
+/**
+ * Check a plan against the model's own flag and the risk rules.
+ * Returns { required, rules, reasons }.
+ */
+export function assessPlan(task, plan) {
+  const reasons = [];
+  const rules = [];
+
+  if (plan.requires_human_approval) {
+    rules.push('model');
+    reasons.push(`Model requested approval${plan.safety_notes ? `: ${plan.safety_notes}` : ''}`);
+  }
+
+  const texts = [task.description || '', ...(plan.steps || []).map(s => s.action || '')];
+  for (const rule of RULES) {
+    const hit = texts.find(t => rule.regex.test(t));
+    if (hit) {
+      rules.push(rule.name);
+      reasons.push(`Matches risk rule '${rule.name}': "${hit.slice(0, 80)}"`);
+    }
+  }
+
+  return { required: rules.length > 0, rules, reasons };
+}
+
+/**
+ * Fingerprint of a plan's steps, recorded when an operator approves it.
+ */
+export function planDigest(plan) {
+  if (!plan?.steps) return null;
+  return createHash('sha256').update(JSON.stringify(plan.steps)).digest('hex');
+}
+
+/**
+ * True when an operator already approved this exact plan for every rule it trips.
+ * A plan that changed since (re-planned, revised by ARCHITECT) must be approved again.
+ */
+export function alreadyApproved(task, gate, plan) {
+  if (task.approval?.state !== 'approved') return false;
+  if (task.approval.plan_digest !== planDigest(plan)) return false;
+  return gate.rules.every(r => task.approval.rules.includes(r));
+}
+
+/**
+ * Append an operator decision to the task's decision log.
+ */
+export function recordDecision(task, { decision, by, note }) {
+  task.decisions = task.decisions || [];
+  const entry = { decision, by, note: note || null, at: new Date().toISOString() };
+  task.decisions.push(entry);
+  return entry;
+}
@@ -0,0 +1,196 @@
+/**
+ * Task Audit Trail
+ * An append-only record of what was done for a task: every prompt sent to a
+ * model or session, each plan version, step, desktop action, screenshot,
+ * verification verdict, status change and operator decision.
+ *
+ * One JSON line per entry in AUDIT_DIR/<task id>.jsonl. Entries are hash
+ * chained, so editing, removing or reordering any of them breaks the chain:
+ *   hash = sha256(prev_hash + "\n" + JSON.stringify({ seq, at, type, data }))
+ * with prev_hash of the first entry = 64 zeros. Screenshot files an entry
+ * refers to are fingerprinted too, so the images can't be swapped unnoticed.
+ *
+ * The evidence bundle (zip) holds the trail, a chain check, the task record
+ * and every screenshot the trail refers to, with a manifest of file hashes.
+ */
+
+import { appendFileSync, readFileSync, existsSync, mkdirSync, createReadStream } from 'fs';
+import { join, basename } from 'path';
+import { createHash } from 'crypto';
+import archiver from 'archiver';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('audit');
+
+const AUDIT_DIR = process.env.AUDIT_DIR || '/home/brans/legacy-automation-agency/audit';
+const GENESIS = '0'.repeat(64);
+
+// task id -> { seq, hash } of the last entry, shared by every AuditTrail in the process
+const heads = new Map();
+
+function sha256(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+function entryHash(prevHash, { seq, at, type, data }) {
+  return sha256(`${prevHash}\n${JSON.stringify({ seq, at, type, data })}`);
+}
+
+export function fileSha256(path) {
+  try {
+    return sha256(readFileSync(path));
+  } catch {
+    return null;
+  }
+}
+
+// Screenshot paths an entry refers to (screenshot events, actions, step results)
+function screenshotPaths(entry) {
+  const { data } = entry;
+  if (entry.type === 'screenshot') return [data.path];
+  if (entry.type === 'action') return [data.screenshot];
+  return [];
+}
+
+export class AuditTrail {
+  constructor() {
+    try { mkdirSync(AUDIT_DIR, { recursive: true }); } catch {}
+  }
+
+  file(taskId) {
+    return join(AUDIT_DIR, `${taskId}.jsonl`);
+  }
+
+  head(taskId) {
+    if (!heads.has(taskId)) {
+      const last = this.read(taskId).at(-1);
+      heads.set(taskId, last ? { seq: last.seq, hash: last.hash } : { seq: 0, hash: GENESIS });
+    }
+    return heads.get(taskId);
+  }
+
+  /**
+   * Append an entry to a task's trail. Never throws: a failed audit write is
+   * logged rather than stopping the work being audited.
+   */
+  record(taskId, type, data = {}) {
+    if (typeof taskId !== 'string' || !taskId || basename(taskId) !== taskId) return null;
+
+    try {
+      const prev = this.head(taskId);
+      const entry = { seq: prev.seq + 1, at: new Date().toISOString(), type, data };
+
+      for (const path of screenshotPaths(entry)) {
+        if (path) entry.data = { ...entry.data, screenshot_sha256: fileSha256(path) };
+      }
+
+      entry.prev_hash = prev.hash;
+      entry.hash = entryHash(prev.hash, entry);
+      appendFileSync(this.file(taskId), JSON.stringify(entry) + '\n');
+      heads.set(taskId, { seq: entry.seq, hash: entry.hash });
+      return entry;
+    } catch (err) {
+      logger.error(`[${taskId}] Failed to write audit entry (${type}): ${err.message}`);
+      return null;
+    }
+  }
+
+  read(taskId) {
+    if (typeof taskId !== 'string' || basename(taskId) !== taskId) return [];
+    const file = this.file(taskId);
+    if (!existsSync(file)) return [];
+    return readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  /**
+   * Re-walk a task's chain. Returns { valid, entries, head_hash } and, when
+   * broken, the first seq that doesn't check out and why.
+   */
+  verify(taskId) {
+    let lines;
+    try {
+      lines = existsSync(this.file(taskId)) ? readFileSync(this.file(taskId), 'utf8').split('\n').filter(Boolean) : [];
+    } catch (err) {
+      return { valid: false, entries: 0, broken_at: null, reason: err.message };
+    }
+
+    let prevHash = GENESIS;
+    for (let i = 0; i < lines.length; i++) {
+      let entry;
+      try { entry = JSON.parse(lines[i]); } catch {
+        return { valid: false, entries: lines.length, broken_at: i + 1, reason: 'unparseable entry' };
+      }
+      if (entry.seq !== i + 1) return { valid: false, entries: lines.length, broken_at: i + 1, reason: `expected seq ${i + 1}, found ${entry.seq}` };
+      if (entry.prev_hash !== prevHash) return { valid: false, entries: lines.length, broken_at: entry.seq, reason: 'prev_hash does not match the previous entry' };
+      if (entry.hash !== entryHash(prevHash, entry)) return { valid: false, entries: lines.length, broken_at: entry.seq, reason: 'entry content does not match its hash' };
+
+      for (const path of screenshotPaths(entry)) {
+        if (path && entry.data.screenshot_sha256 && fileSha256(path) !== entry.data.screenshot_sha256) {
+          return { valid: false, entries: lines.length, broken_at: entry.seq, reason: `screenshot ${basename(path)} changed since it was recorded` };
+        }
+      }
+      prevHash = entry.hash;
+    }
+    return { valid: true, entries: lines.length, head_hash: prevHash };
+  }
+
+  /**
+   * Screenshots in the trail, in order, with the step and phase they belong to.
+   */
+  screenshots(taskId) {
+    return this.read(taskId).flatMap(entry => screenshotPaths(entry).filter(Boolean).map(path => ({
+      seq: entry.seq,
+      at: entry.at,
+      file: basename(path),
+      path,
+      source: entry.type,
+      step: entry.data.step ?? null,
+      phase: entry.data.phase ?? null,
+      sha256: entry.data.screenshot_sha256 || null
+    })));
+  }
+
+  /**
+   * Stream a task's evidence bundle (zip) to a writable stream.
+   * `task` is the task record as the requester may see it.
+   */
+  async writeBundle(task, output) {
+    const zip = archiver('zip', { zlib: { level: 9 } });
+    const done = new Promise((resolve, reject) => {
+      output.on('close', resolve);
+      output.on('finish', resolve);
+      zip.on('error', reject);
+    });
+    zip.pipe(output);
+
+    const files = [];
+    const add = (name, content) => {
+      zip.append(content, { name });
+      files.push({ name, sha256: sha256(content) });
+    };
+
+    const raw = existsSync(this.file(task.id)) ? readFileSync(this.file(task.id), 'utf8') : '';
+    add('audit.jsonl', raw);
+    add('chain.json', JSON.stringify(this.verify(task.id), null, 2));
+    add('task.json', JSON.stringify(task, null, 2));
+
+    for (const shot of this.screenshots(task.id)) {
+      if (!existsSync(shot.path)) continue;
+      const name = `screenshots/${shot.file}`;
+      if (files.some(f => f.name === name)) continue;
+      zip.append(createReadStream(shot.path), { name });
+      files.push({ name, sha256: fileSha256(shot.path), recorded_sha256: shot.sha256 });
+    }
+
+    zip.append(JSON.stringify({
+      task_id: task.id,
+      generated_at: new Date().toISOString(),
+      hash_rule: 'hash = sha256(prev_hash + "\\n" + JSON.stringify({ seq, at, type, data })); first prev_hash is 64 zeros',
+      files
+    }, null, 2), { name: 'manifest.json' });
+
+    await zip.finalize();
+    await done;
+    logger.info(`[${task.id}] Exported evidence bundle (${files.length} file(s))`);
+  }
+}
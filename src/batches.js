@@ -0,0 +1,283 @@
+/**
+ * Bulk Record Batches
+ * "Enter these 500 invoices": a CSV or JSON list of records plus a workflow
+ * becomes a parent job that fans out one child task per record (or per
+ * chunk of records). Rows that can't be entered as submitted (empty, or
+ * failing the workflow's extraction schema) are skipped up front.
+ *
+ * Child statuses are tracked from the queue's task events, so the job always
+ * has per-row status and a summary. Retrying a job re-runs only the children
+ * whose rows failed.
+ */
+
+import { writeFileSync, readFileSync, readdirSync, mkdirSync, existsSync, renameSync } from 'fs';
+import { join, basename } from 'path';
+import { randomBytes } from 'crypto';
+import { createLogger } from './logger.js';
+import { parseCsv, loadSchema, normalizeRecord } from './document-extraction.js';
+import { MODES } from './queue.js';
+
+const logger = createLogger('batches');
+
+const BATCH_DIR = process.env.BATCH_DIR || '/home/brans/legacy-automation-agency/batches';
+const MAX_ROWS = parseInt(process.env.BATCH_MAX_ROWS || '5000');
+const MAX_CHUNK_SIZE = 100;
+
+// Child task status -> row status
+const ROW_STATUS = {
+  completed: 'succeeded',
+  failed: 'failed',
+  'dead-lettered': 'failed',
+  rejected: 'failed',
+  cancelled: 'failed',
+  received: 'queued',
+  paused: 'blocked',
+  'awaiting-review': 'blocked',
+  'awaiting-approval': 'blocked',
+  'needs-human': 'blocked'
+};
+const ROW_STATUSES = ['queued', 'running', 'blocked', 'succeeded', 'failed', 'skipped'];
+
+function rowStatus(taskStatus) {
+  return ROW_STATUS[taskStatus] || 'running';
+}
+
+/**
+ * Records from an uploaded file or request body: a CSV with a header row,
+ * a JSON array of objects, or { records: [...] }.
+ */
+export function parseRecords(text, format) {
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+    return rows.map(cells => Object.fromEntries(header.map((h, i) => [String(h).trim(), cells[i] ?? ''])));
+  }
+
+  const parsed = typeof text === 'string' ? JSON.parse(text) : text;
+  const records = Array.isArray(parsed) ? parsed : parsed?.records;
+  if (!Array.isArray(records)) throw new Error('Expected a JSON array of records or { "records": [...] }');
+  return records;
+}
+
+export class BatchManager {
+  /**
+   * @param {TaskQueue} taskQueue  queue that runs the child tasks
+   * @param {Function} createTask  builds a task record from submission fields
+   */
+  constructor(taskQueue, createTask) {
+    this.taskQueue = taskQueue;
+    this.createTask = createTask;
+    // child task id -> batch id
+    this.children = new Map();
+    try { mkdirSync(BATCH_DIR, { recursive: true }); } catch {}
+
+    taskQueue.on('task-event', (event) => {
+      if (event.type === 'status' && this.children.has(event.task_id)) {
+        this.updateChild(this.children.get(event.task_id), event.task_id, event.to);
+      }
+    });
+  }
+
+  /**
+   * Index the children of every stored batch and catch up on status
+   * changes missed while the server was down.
+   */
+  start() {
+    for (const batch of this.list()) {
+      let changed = false;
+      for (const child of batch.children) {
+        this.children.set(child.task_id, batch.id);
+        const status = this.taskQueue.loadTask(child.task_id)?.status;
+        if (status && status !== child.task_status) {
+          child.task_status = status;
+          changed = true;
+        }
+      }
+      if (changed) this.save(batch);
+    }
+    logger.info(`Tracking ${this.children.size} batch child task(s)`);
+  }
+
+  list() {
+    const batches = [];
+    for (const f of readdirSync(BATCH_DIR).filter(f => f.endsWith('.json'))) {
+      try {
+        batches.push(JSON.parse(readFileSync(join(BATCH_DIR, f), 'utf8')));
+      } catch (err) {
+        logger.error(`Skipping unreadable batch ${f}: ${err.message}`);
+      }
+    }
+    return batches.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }
+
+  get(batchId) {
+    if (typeof batchId !== 'string' || basename(batchId) !== batchId) return null;
+    const file = join(BATCH_DIR, `${batchId}.json`);
+    if (!existsSync(file)) return null;
+    return JSON.parse(readFileSync(file, 'utf8'));
+  }
+
+  save(batch) {
+    batch.updated_at = new Date().toISOString();
+    const file = join(BATCH_DIR, `${batch.id}.json`);
+    writeFileSync(`${file}.tmp`, JSON.stringify(batch, null, 2));
+    renameSync(`${file}.tmp`, file);
+  }
+
+  /**
+   * Create a parent job and enqueue its child tasks.
+   */
+  create({ records, workflow, software_name, description, mode, chunk_size = 1, client_id = null, source_file = null }) {
+    if (!workflow) throw new Error('`workflow` is required');
+    if (mode && !MODES.includes(mode)) throw new Error(`Invalid mode: ${mode} (one of ${MODES.join(', ')})`);
+    if (!Array.isArray(records) || records.length === 0) throw new Error('No records to process');
+    if (records.length > MAX_ROWS) throw new Error(`Batch has ${records.length} records; the limit is ${MAX_ROWS}`);
+
+    const size = parseInt(chunk_size);
+    if (!(size >= 1) || size > MAX_CHUNK_SIZE) throw new Error(`\`chunk_size\` must be between 1 and ${MAX_CHUNK_SIZE}`);
+
+    const schema = loadSchema(workflow);
+    const batch = {
+      id: `BATCH-${randomBytes(5).toString('hex')}`,
+      client_id,
+      workflow,
+      software_name: software_name || 'unknown',
+      description: description || `${workflow} batch`,
+      mode: mode || 'SUPERVISE',
+      chunk_size: size,
+      source_file,
+      schema: schema?.id || null,
+      created_at: new Date().toISOString(),
+      rows: [],
+      children: []
+    };
+
+    // Row numbers are 1-based positions in the submitted records (blank CSV lines aren't counted)
+    const runnable = [];
+    records.forEach((record, i) => {
+      const row = { row: i + 1, status: null, reason: null };
+      if (!record || typeof record !== 'object' || Object.values(record).every(v => v === null || String(v).trim() === '')) {
+        row.status = 'skipped';
+        row.reason = 'empty record';
+      } else if (schema) {
+        const { values, problems } = normalizeRecord(record, schema);
+        if (problems.length) {
+          row.status = 'skipped';
+          row.reason = problems.join('; ');
+        } else {
+          runnable.push({ row: row.row, values });
+        }
+      } else {
+        runnable.push({ row: row.row, values: record });
+      }
+      batch.rows.push(row);
+    });
+
+    for (let i = 0; i < runnable.length; i += size) {
+      batch.children.push(this.spawnChild(batch, batch.children.length + 1, runnable.slice(i, i + size)));
+    }
+
+    this.save(batch);
+    logger.info(`Created batch ${batch.id}: ${records.length} row(s), ${batch.children.length} child task(s), ${records.length - runnable.length} skipped`);
+    return this.present(batch);
+  }
+
+  spawnChild(batch, number, entries) {
+    const rows = entries.map(e => e.row);
+    const span = rows.length === 1 ? `row ${rows[0]}` : `rows ${rows[0]}-${rows[rows.length - 1]}`;
+
+    const task = this.createTask({
+      description: `${batch.description} (${span})`,
+      software_name: batch.software_name,
+      task_type: 'data-entry',
+      workflow: batch.workflow,
+      mode: batch.mode,
+      client_id: batch.client_id,
+      source: { channel: 'batch', batch_id: batch.id }
+    });
+    task.batch = { id: batch.id, child: number, rows };
+    // The data to enter; planning reads this instead of a document
+    task.records = entries.map(e => ({ row: e.row, ...e.values }));
+
+    this.taskQueue.saveTask(task);
+    this.taskQueue.enqueue(task);
+    this.children.set(task.id, batch.id);
+
+    return { child: number, rows, task_id: task.id, task_status: task.status, attempts: 1, history: [] };
+  }
+
+  updateChild(batchId, taskId, status) {
+    const batch = this.get(batchId);
+    const child = batch?.children.find(c => c.task_id === taskId);
+    if (!child || child.task_status === status) return;
+
+    child.task_status = status;
+    if (ROW_STATUS[status] === 'failed') {
+      child.error = this.taskQueue.loadTask(taskId)?.last_error || status;
+    }
+    this.save(batch);
+  }
+
+  /**
+   * Re-run the children whose rows failed, each as a new task. Succeeded,
+   * running and skipped rows are left alone.
+   */
+  retryFailed(batchId) {
+    const batch = this.get(batchId);
+    if (!batch) return null;
+
+    const failed = batch.children.filter(c => rowStatus(c.task_status) === 'failed');
+    for (const child of failed) {
+      const previous = this.taskQueue.loadTask(child.task_id);
+      const entries = previous?.records?.map(({ row, ...values }) => ({ row, values }));
+      if (!entries?.length) {
+        logger.warn(`[${batch.id}] Can't retry child ${child.child}: task ${child.task_id} is missing its records`);
+        continue;
+      }
+
+      const replacement = this.spawnChild(batch, child.child, entries);
+      child.history.push({ task_id: child.task_id, task_status: child.task_status, error: child.error || null });
+      child.task_id = replacement.task_id;
+      child.task_status = replacement.task_status;
+      child.attempts++;
+      delete child.error;
+    }
+
+    this.save(batch);
+    logger.info(`[${batch.id}] Retrying ${failed.length} failed child task(s)`);
+    return { ...this.present(batch), retried: failed.length };
+  }
+
+  /**
+   * Batch with per-row status and a summary of row outcomes.
+   */
+  present(batch) {
+    const byRow = new Map();
+    for (const child of batch.children) {
+      for (const row of child.rows) byRow.set(row, child);
+    }
+
+    const rows = batch.rows.map(r => {
+      const child = byRow.get(r.row);
+      if (!child) return r;
+      const status = rowStatus(child.task_status);
+      return {
+        row: r.row,
+        status,
+        task_id: child.task_id,
+        task_status: child.task_status,
+        attempts: child.attempts,
+        reason: status === 'failed' ? child.error || null : null
+      };
+    });
+
+    const summary = Object.fromEntries(ROW_STATUSES.map(s => [s, 0]));
+    for (const r of rows) summary[r.status]++;
+    summary.total = rows.length;
+
+    const open = summary.queued + summary.running + summary.blocked;
+    const status = open > 0 ? 'running' : summary.failed > 0 ? 'completed-with-failures' : 'completed';
+
+    return { ...batch, status, summary, rows };
+  }
+}
@@ -0,0 +1,232 @@
+/**
+ * LLM Cost Accounting
+ * Token usage from every model call made for a task is added to the task
+ * (`task.usage`), priced per model, and rolled up per client per month so
+ * retainers can be compared with what the work actually cost.
+ *
+ * Prices are USD per million tokens. Built-in defaults cover the Gemini
+ * models; LLM_PRICES adds or overrides, e.g. "gpt-4o=2.5/10,gemini-2.5-pro=1.25/10".
+ * The local provider is free; an unpriced model counts tokens at $0 (and says so in the log).
+ *
+ * Budgets (USD, 0 = no cap) bound what one task, or one client per month, may
+ * spend. A task over budget stops before its next hop and waits for approval.
+ * Defaults come from TASK_BUDGET_USD and CLIENT_MONTHLY_BUDGET_USD; operators
+ * set per-client caps through the API.
+ */
+
+import { writeFileSync, readFileSync, readdirSync, existsSync, mkdirSync, renameSync } from 'fs';
+import { join } from 'path';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('costs');
+
+const COST_DIR = process.env.COST_DIR || '/home/brans/legacy-automation-agency/costs';
+const BUDGETS_FILE = join(COST_DIR, 'budgets.json');
+
+const DEFAULT_PRICES = {
+  'gemini-3.1-pro-preview': { input: 2.0, output: 12.0 },
+  'gemini-2.5-pro': { input: 1.25, output: 10.0 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.5-flash-lite': { input: 0.1, output: 0.4 }
+};
+
+export const PRICES = {
+  ...DEFAULT_PRICES,
+  ...Object.fromEntries((process.env.LLM_PRICES || '')
+    .split(',').map(pair => pair.split('=')).filter(([model, price]) => model && price)
+    .map(([model, price]) => {
+      const [input, output] = price.split('/').map(parseFloat);
+      return [model.trim(), { input, output: output ?? input }];
+    }))
+};
+
+const DEFAULT_TASK_BUDGET = parseFloat(process.env.TASK_BUDGET_USD || '0');
+const DEFAULT_MONTHLY_BUDGET = parseFloat(process.env.CLIENT_MONTHLY_BUDGET_USD || '0');
+
+// Ledger key for tasks not bound to a client (operator and intake work)
+const NO_CLIENT = '(agency)';
+
+export function monthOf(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+function round(usd) {
+  return Math.round(usd * 1e6) / 1e6;
+}
+
+function addUsage(totals, { input_tokens, output_tokens, cost_usd }) {
+  totals.calls = (totals.calls || 0) + 1;
+  totals.input_tokens = (totals.input_tokens || 0) + input_tokens;
+  totals.output_tokens = (totals.output_tokens || 0) + output_tokens;
+  totals.cost_usd = round((totals.cost_usd || 0) + cost_usd);
+  return totals;
+}
+
+const unpriced = new Set();
+
+/**
+ * Dollar cost of one provider response ({ provider, model, usage }).
+ */
+export function costOf({ provider, model, usage }) {
+  if (provider === 'local') return 0;
+  const price = PRICES[model];
+  if (!price) {
+    if (!unpriced.has(model)) logger.warn(`No price for model ${model}; counting its tokens at $0 (set LLM_PRICES)`);
+    unpriced.add(model);
+    return 0;
+  }
+  return round(((usage?.input_tokens || 0) * price.input + (usage?.output_tokens || 0) * price.output) / 1e6);
+}
+
+export class CostLedger {
+  constructor() {
+    try { mkdirSync(COST_DIR, { recursive: true }); } catch {}
+  }
+
+  monthFile(month) {
+    return join(COST_DIR, `${month}.json`);
+  }
+
+  loadMonth(month) {
+    if (!/^\d{4}-\d{2}$/.test(month)) return null;
+    const file = this.monthFile(month);
+    if (!existsSync(file)) return { month, clients: {} };
+    return JSON.parse(readFileSync(file, 'utf8'));
+  }
+
+  saveMonth(ledger) {
+    const file = this.monthFile(ledger.month);
+    writeFileSync(`${file}.tmp`, JSON.stringify(ledger, null, 2));
+    renameSync(`${file}.tmp`, file);
+  }
+
+  /**
+   * Options for a model call made on behalf of a task: its usage is added
+   * to the task and to the client's ledger for the month.
+   */
+  forTask(task) {
+    return { onUsage: call => this.record(task, call) };
+  }
+
+  record(task, { role, provider, model, usage }) {
+    const call = {
+      input_tokens: usage?.input_tokens || 0,
+      output_tokens: usage?.output_tokens || 0,
+      cost_usd: costOf({ provider, model, usage })
+    };
+
+    task.usage = task.usage || { calls: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0, by_role: {}, by_model: {} };
+    addUsage(task.usage, call);
+    task.usage.by_role[role] = addUsage(task.usage.by_role[role] || {}, call);
+    task.usage.by_model[model] = addUsage(task.usage.by_model[model] || {}, call);
+
+    try {
+      const ledger = this.loadMonth(monthOf());
+      const client = ledger.clients[task.client_id || NO_CLIENT] = ledger.clients[task.client_id || NO_CLIENT] || { tasks: {} };
+      addUsage(client, call);
+      client.tasks[task.id] = round((client.tasks[task.id] || 0) + call.cost_usd);
+      this.saveMonth(ledger);
+    } catch (err) {
+      logger.error(`[${task.id}] Failed to record usage: ${err.message}`);
+    }
+    return call;
+  }
+
+  /**
+   * Month roll-up: per-client totals with task counts, and the agency total.
+   */
+  report(month = monthOf(), clientId) {
+    const ledger = this.loadMonth(month);
+    if (!ledger) return null;
+
+    const clients = Object.entries(ledger.clients)
+      .filter(([id]) => clientId === undefined || id === clientId)
+      .map(([id, { tasks, ...totals }]) => {
+        const budget = id === NO_CLIENT ? null : this.budgetFor(id).monthly_usd || null;
+        return {
+          client_id: id,
+          ...totals,
+          tasks: Object.keys(tasks).length,
+          monthly_budget_usd: budget,
+          budget_used: budget ? round(totals.cost_usd / budget) : null
+        };
+      })
+      .sort((a, b) => b.cost_usd - a.cost_usd);
+
+    const total = clients.reduce((sum, c) => sum + c.cost_usd, 0);
+    return { month, cost_usd: round(total), clients };
+  }
+
+  months() {
+    return readdirSync(COST_DIR).filter(f => /^\d{4}-\d{2}\.json$/.test(f)).map(f => f.slice(0, 7)).sort().reverse();
+  }
+
+  // --- Budgets ---
+
+  loadBudgets() {
+    try {
+      return JSON.parse(readFileSync(BUDGETS_FILE, 'utf8'));
+    } catch {
+      return {};
+    }
+  }
+
+  budgetFor(clientId) {
+    const budget = this.loadBudgets()[clientId] || {};
+    return {
+      monthly_usd: budget.monthly_usd ?? DEFAULT_MONTHLY_BUDGET,
+      task_usd: budget.task_usd ?? DEFAULT_TASK_BUDGET
+    };
+  }
+
+  setBudget(clientId, { monthly_usd, task_usd }) {
+    for (const [name, value] of Object.entries({ monthly_usd, task_usd })) {
+      if (value !== undefined && value !== null && !(typeof value === 'number' && value >= 0)) {
+        throw new Error(`\`${name}\` must be a non-negative number of dollars (0 = no cap) or null for the default`);
+      }
+    }
+
+    const budgets = this.loadBudgets();
+    const budget = { ...budgets[clientId] };
+    if (monthly_usd !== undefined) budget.monthly_usd = monthly_usd;
+    if (task_usd !== undefined) budget.task_usd = task_usd;
+    for (const key of Object.keys(budget)) if (budget[key] === null) delete budget[key];
+    budgets[clientId] = budget;
+
+    writeFileSync(`${BUDGETS_FILE}.tmp`, JSON.stringify(budgets, null, 2));
+    renameSync(`${BUDGETS_FILE}.tmp`, BUDGETS_FILE);
+    logger.info(`Budget for ${clientId}: ${JSON.stringify(this.budgetFor(clientId))}`);
+    return { client_id: clientId, ...this.budgetFor(clientId) };
+  }
+
+  /**
+   * Why a task may not start another hop, or null. An approved overrun lifts
+   * the task cap by another full allowance and the monthly cap for this task
+   * for the rest of the month.
+   */
+  overBudget(task) {
+    const { monthly_usd, task_usd } = this.budgetFor(task.client_id);
+    const spent = task.usage?.cost_usd || 0;
+
+    const taskLimit = task.budget?.task_limit_usd ?? task_usd;
+    if (taskLimit && spent >= taskLimit) {
+      return `Task has spent $${spent.toFixed(2)} on model calls (cap $${taskLimit.toFixed(2)})`;
+    }
+
+    if (monthly_usd && task.client_id && task.budget?.monthly_override !== monthOf()) {
+      const month = this.loadMonth(monthOf()).clients[task.client_id]?.cost_usd || 0;
+      if (month >= monthly_usd) {
+        return `Client ${task.client_id} has spent $${month.toFixed(2)} this month (cap $${monthly_usd.toFixed(2)})`;
+      }
+    }
+    return null;
+  }
+
+  approveOverrun(task) {
+    const { task_usd } = this.budgetFor(task.client_id);
+    task.budget = {
+      task_limit_usd: task_usd ? round((task.usage?.cost_usd || 0) + task_usd) : null,
+      monthly_override: monthOf()
+    };
+  }
+}
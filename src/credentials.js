@@ -0,0 +1,292 @@
+/**
+ * Client Credential Vault
+ * Logins for clients' legacy software (QuickBooks Desktop, AS/400 terminals,
+ * ...) so they never have to go into a task description. One entry per
+ * client and software profile, each field (username, password, company
+ * file, ...) encrypted separately with AES-256-GCM under a key derived from
+ * CREDENTIAL_KEY. Stored in CREDENTIAL_DIR/vault.json.
+ *
+ * Tasks refer to values by handle, {{secret:<software>.<field>}}, e.g.
+ * {{secret:quickbooks-desktop.password}}, always resolved against the task's
+ * own client. Handles are swapped for real values only where the typing
+ * happens: `type` actions run by the bridge, and the environment of a task's
+ * session window (the prompt names the variable, not the value). Values are
+ * masked back to their handles in logs, model prompts, action results and
+ * session transcripts; the server learns every stored value at startup
+ * (loadMasks) so masking doesn't wait for a value to be read. Only secret
+ * fields (password, PIN, token, key, ...) are masked everywhere: a username
+ * like "admin" is an ordinary word too, and rewriting it in every log line
+ * would garble them. Macros, which must not store any login as typed, swap
+ * every field back (maskCredentials).
+ *
+ * Every read of a value is written to the task's audit trail, and every
+ * read, write and delete to CREDENTIAL_DIR/access.jsonl.
+ */
+
+import { writeFileSync, readFileSync, appendFileSync, existsSync, mkdirSync, renameSync } from 'fs';
+import { join } from 'path';
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto';
+import { createLogger, setMasker } from './logger.js';
+import { profileId } from './software-profiles.js';
+import { AuditTrail } from './audit.js';
+
+const logger = createLogger('credentials');
+
+const CREDENTIAL_DIR = process.env.CREDENTIAL_DIR || '/home/brans/legacy-automation-agency/credentials';
+const VAULT_FILE = join(CREDENTIAL_DIR, 'vault.json');
+const ACCESS_LOG = join(CREDENTIAL_DIR, 'access.jsonl');
+
+// {{secret:quickbooks-desktop.password}}
+const HANDLE = /\{\{secret:([a-z0-9-]+)\.([A-Za-z][A-Za-z0-9_]*)\}\}/g;
+const FIELD_NAME = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+export function handleFor(software, field) {
+  return `{{secret:${software}.${field}}}`;
+}
+
+// Environment variable a session reads a value from
+function envName(software, field) {
+  return `SECRET_${software}_${field}`.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
+
+// Field names whose values are masked wherever they appear
+const SECRET_FIELD = /pass|secret|token|(^|_)(pin|key|otp)(_|$)/i;
+
+// Value -> { handle, secret } for every value loaded, stored or read in this process
+const known = new Map();
+
+function remember(value, handle, field) {
+  if (typeof value === 'string' && value.length >= 3) known.set(value, { handle, secret: SECRET_FIELD.test(field) });
+}
+
+// Longest values first, so one that contains another is replaced whole
+function replaceKnown(text, includeAll) {
+  if (typeof text !== 'string' || !known.size) return text;
+  let out = text;
+  for (const value of [...known.keys()].sort((a, b) => b.length - a.length)) {
+    const { handle, secret } = known.get(value);
+    if ((secret || includeAll) && out.includes(value)) out = out.split(value).join(handle);
+  }
+  return out;
+}
+
+/**
+ * Replace any secret credential value seen by this process with its handle.
+ */
+export function maskSecrets(text) {
+  return replaceKnown(text, false);
+}
+
+/**
+ * Replace every credential value seen by this process, usernames included,
+ * with its handle. For text kept for replay, where no login may be stored as typed.
+ */
+export function maskCredentials(text) {
+  return replaceKnown(text, true);
+}
+
+setMasker(maskSecrets);
+
+export class CredentialVault {
+  constructor() {
+    try { mkdirSync(CREDENTIAL_DIR, { recursive: true }); } catch {}
+    this.audit = new AuditTrail();
+  }
+
+  load() {
+    if (!existsSync(VAULT_FILE)) return { salt: randomBytes(16).toString('hex'), credentials: {} };
+    return JSON.parse(readFileSync(VAULT_FILE, 'utf8'));
+  }
+
+  save(vault) {
+    writeFileSync(`${VAULT_FILE}.tmp`, JSON.stringify(vault, null, 2), { mode: 0o600 });
+    renameSync(`${VAULT_FILE}.tmp`, VAULT_FILE);
+  }
+
+  key(vault) {
+    if (!process.env.CREDENTIAL_KEY) throw new Error('The credential vault is locked: CREDENTIAL_KEY is not set');
+    return scryptSync(process.env.CREDENTIAL_KEY, Buffer.from(vault.salt, 'hex'), 32);
+  }
+
+  encrypt(key, value) {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return { iv: iv.toString('hex'), tag: cipher.getAuthTag().toString('hex'), data: data.toString('base64') };
+  }
+
+  decrypt(key, { iv, tag, data }) {
+    try {
+      const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'hex'));
+      decipher.setAuthTag(Buffer.from(tag, 'hex'));
+      return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+    } catch {
+      throw new Error('Credential could not be decrypted (wrong CREDENTIAL_KEY, or the vault was altered)');
+    }
+  }
+
+  logAccess(entry) {
+    try {
+      appendFileSync(ACCESS_LOG, JSON.stringify({ at: new Date().toISOString(), ...entry }) + '\n', { mode: 0o600 });
+    } catch (err) {
+      logger.error(`Failed to write credential access log: ${err.message}`);
+    }
+  }
+
+  describe({ client_id, software, fields, created_at, updated_at, updated_by }) {
+    return {
+      client_id,
+      software,
+      fields: Object.keys(fields),
+      handles: Object.keys(fields).map(field => handleFor(software, field)),
+      created_at,
+      updated_at,
+      updated_by
+    };
+  }
+
+  /**
+   * Stored credentials (never their values), for one client or all.
+   */
+  list(clientId) {
+    return Object.values(this.load().credentials)
+      .filter(c => clientId === undefined || c.client_id === clientId)
+      .map(c => this.describe(c));
+  }
+
+  /**
+   * Handles a task may use for its software, for the planner.
+   */
+  handlesFor(clientId, softwareName) {
+    if (!clientId || !softwareName) return [];
+    const entry = this.load().credentials[`${clientId}/${profileId(softwareName)}`];
+    return entry ? this.describe(entry).handles : [];
+  }
+
+  /**
+   * Store (replacing) a client's login for a piece of software.
+   * `fields` maps field names to values, e.g. { username, password }.
+   */
+  set(clientId, softwareName, fields, actor) {
+    const software = profileId(softwareName);
+    if (!clientId || !software) throw new Error('A client and a software name are required');
+    const entries = Object.entries(fields || {});
+    if (!entries.length) throw new Error('At least one field (e.g. `username`, `password`) is required');
+    for (const [name, value] of entries) {
+      if (!FIELD_NAME.test(name)) throw new Error(`Field name \`${name}\` must be letters, digits and underscores`);
+      if (typeof value !== 'string' || !value) throw new Error(`Field \`${name}\` must be a non-empty string`);
+    }
+
+    const vault = this.load();
+    const key = this.key(vault);
+    const id = `${clientId}/${software}`;
+    const now = new Date().toISOString();
+    vault.credentials[id] = {
+      client_id: clientId,
+      software,
+      fields: Object.fromEntries(entries.map(([name, value]) => [name, this.encrypt(key, value)])),
+      created_at: vault.credentials[id]?.created_at || now,
+      updated_at: now,
+      updated_by: actor || null
+    };
+    this.save(vault);
+    for (const [name, value] of entries) remember(value, handleFor(software, name), name);
+
+    this.logAccess({ action: 'write', client_id: clientId, software, fields: entries.map(([name]) => name), actor: actor || null });
+    logger.info(`Stored ${software} credentials for ${clientId} (${entries.length} field(s))`);
+    return this.describe(vault.credentials[id]);
+  }
+
+  remove(clientId, softwareName, actor) {
+    const vault = this.load();
+    const id = `${clientId}/${profileId(softwareName)}`;
+    if (!vault.credentials[id]) return false;
+    delete vault.credentials[id];
+    this.save(vault);
+
+    this.logAccess({ action: 'delete', client_id: clientId, software: profileId(softwareName), actor: actor || null });
+    logger.info(`Deleted ${profileId(softwareName)} credentials for ${clientId}`);
+    return true;
+  }
+
+  /**
+   * Decrypt the value behind one handle for a task. Audited.
+   */
+  reveal(task, software, field, purpose) {
+    const handle = handleFor(software, field);
+    if (!task.client_id) throw new Error(`Task ${task.id} is not bound to a client, so ${handle} cannot be resolved`);
+
+    const vault = this.load();
+    const entry = vault.credentials[`${task.client_id}/${software}`];
+    if (!entry?.fields[field]) throw new Error(`No credential ${handle} on file for ${task.client_id}`);
+
+    const value = this.decrypt(this.key(vault), entry.fields[field]);
+    remember(value, handle, field);
+
+    this.audit.record(task.id, 'credential-access', { handle, purpose });
+    this.logAccess({ action: 'read', client_id: task.client_id, software, field, task_id: task.id, purpose });
+    return value;
+  }
+
+  /**
+   * Text with every handle replaced by its value (what gets typed).
+   * Fails on a handle the task's client has no value for, rather than typing the handle.
+   */
+  resolve(task, text, purpose) {
+    if (typeof text !== 'string' || !text.includes('{{secret:')) return text;
+    return text.replace(HANDLE, (_, software, field) => this.reveal(task, software, field, purpose));
+  }
+
+  /**
+   * For a session prompt: handles become environment variable references,
+   * with the values returned separately for the session's window.
+   */
+  sessionEnv(task, text) {
+    const env = {};
+    if (typeof text !== 'string' || !text.includes('{{secret:')) return { text, env };
+    const out = text.replace(HANDLE, (_, software, field) => {
+      const name = envName(software, field);
+      env[name] = env[name] ?? this.reveal(task, software, field, 'session');
+      return `$${name}`;
+    });
+    return { text: out, env };
+  }
+
+  /**
+   * Learn every stored value so it is masked from startup, not only once this
+   * process has read it. Does nothing while CREDENTIAL_KEY is unset.
+   * Returns the number of values loaded.
+   */
+  loadMasks() {
+    if (!process.env.CREDENTIAL_KEY) return 0;
+    const vault = this.load();
+    const entries = Object.values(vault.credentials);
+    if (!entries.length) return 0;
+
+    const key = this.key(vault);
+    let loaded = 0;
+    for (const { client_id, software, fields } of entries) {
+      for (const [name, field] of Object.entries(fields)) {
+        try {
+          remember(this.decrypt(key, field), handleFor(software, name), name);
+          loaded++;
+        } catch (err) {
+          logger.warn(`Cannot mask ${handleFor(software, name)} for ${client_id}: ${err.message}`);
+        }
+      }
+    }
+    this.logAccess({ action: 'load-masks', fields: loaded });
+    return loaded;
+  }
+
+  /**
+   * Recent access log entries, newest last.
+   */
+  accessLog({ clientId, taskId, limit = 200 } = {}) {
+    if (!existsSync(ACCESS_LOG)) return [];
+    return readFileSync(ACCESS_LOG, 'utf8').split('\n').filter(Boolean)
+      .map(line => JSON.parse(line))
+      .filter(e => (clientId === undefined || e.client_id === clientId) && (taskId === undefined || e.task_id === taskId))
+      .slice(-limit);
+  }
+}
@@ -0,0 +1,108 @@
+import { writeFileSync, readFileSync, readdirSync, existsSync, mkdirSync, renameSync, unlinkSync } from 'fs';
+import { join, basename } from 'path';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('dead-letter');
+
+const DEAD_LETTER_DIR = process.env.DEAD_LETTER_DIR || '/home/brans/.openclaw/dead-letter';
+const ARCHIVE_DIR = join(DEAD_LETTER_DIR, 'archive');
+
+/**
+ * On-disk store for tasks that exhausted their TTL.
+ * Live entries sit in DEAD_LETTER_DIR; archived ones move to its archive/ subfolder.
+ */
+export class DeadLetterStore {
+  constructor() {
+    try { mkdirSync(ARCHIVE_DIR, { recursive: true }); } catch {}
+  }
+
+  add(task) {
+    const record = { ...task, dead_lettered_at: new Date().toISOString() };
+    writeFileSync(join(DEAD_LETTER_DIR, `${task.id}.json`), JSON.stringify(record, null, 2));
+  }
+
+  list({ archived = false } = {}) {
+    const dir = archived ? ARCHIVE_DIR : DEAD_LETTER_DIR;
+    const tasks = [];
+    for (const f of readdirSync(dir).filter(f => f.endsWith('.json'))) {
+      try {
+        tasks.push(JSON.parse(readFileSync(join(dir, f), 'utf8')));
+      } catch (err) {
+        logger.warn(`Skipping unreadable dead-letter file ${f}: ${err.message}`);
+      }
+    }
+    return tasks.sort((a, b) => new Date(b.dead_lettered_at) - new Date(a.dead_lettered_at));
+  }
+
+  get(taskId, { archived = false } = {}) {
+    const file = fileFor(archived ? ARCHIVE_DIR : DEAD_LETTER_DIR, taskId);
+    if (!file) return null;
+    return JSON.parse(readFileSync(file, 'utf8'));
+  }
+
+  remove(taskId) {
+    const file = fileFor(DEAD_LETTER_DIR, taskId);
+    if (!file) return false;
+    unlinkSync(file);
+    return true;
+  }
+
+  archive(taskId) {
+    const file = fileFor(DEAD_LETTER_DIR, taskId);
+    if (!file) return false;
+    renameSync(file, join(ARCHIVE_DIR, `${taskId}.json`));
+    return true;
+  }
+
+  /**
+   * Resolve a bulk selection to task IDs: explicit IDs, everything
+   * dead-lettered before a cutoff, or every live entry with `all: true`.
+   */
+  select({ task_ids, older_than, all } = {}) {
+    if (Array.isArray(task_ids)) return task_ids;
+    if (!older_than && all !== true) throw new Error('Specify task_ids, older_than, or all: true');
+    const cutoff = older_than ? new Date(older_than) : null;
+    if (cutoff && isNaN(cutoff)) throw new Error(`older_than is not a valid date: ${older_than}`);
+    return this.list()
+      .filter(t => !cutoff || new Date(t.dead_lettered_at) < cutoff)
+      .map(t => t.id);
+  }
+
+  purge(selection) {
+    const purged = this.select(selection).filter(id => this.remove(id));
+    logger.info(`Purged ${purged.length} dead-lettered task(s)`);
+    return purged;
+  }
+
+  archiveMany(selection) {
+    const archived = this.select(selection).filter(id => this.archive(id));
+    logger.info(`Archived ${archived.length} dead-lettered task(s)`);
+    return archived;
+  }
+}
+
+// Task IDs come from URLs — never let one escape the store directory
+function fileFor(dir, taskId) {
+  if (typeof taskId !== 'string' || basename(taskId) !== taskId) return null;
+  const file = join(dir, `${taskId}.json`);
+  return existsSync(file) ? file : null;
+}
+
+/**
+ * Summary row for listings — enough to triage without the full record.
+ */
+export function summarizeDeadLetter(task) {
+  return {
+    id: task.id,
+    description: task.description,
+    software_name: task.software_name,
+    task_type: task.task_type,
+    created_at: task.created_at,
+    dead_lettered_at: task.dead_lettered_at,
+    last_error: task.last_error || null,
+    mode: task.envelope?.mode,
+    hops: task.envelope?.hops,
+    ttl_max: task.envelope?.ttl_max,
+    hop_history: task.hop_history || []
+  };
+}
@@ -0,0 +1,279 @@
+/**
+ * Client Deliverables
+ * Turns a finished task into files a client can download from
+ * results/<task id>/: exports of the data it produced (JSON, one CSV per
+ * sheet, and a workbook), and a completion report with every step, the
+ * verification verdicts and the before/after screenshots. Screenshots are
+ * copied in, so the folder stands on its own.
+ */
+
+import { writeFileSync, readFileSync, existsSync, mkdirSync, copyFileSync, statSync, rmSync } from 'fs';
+import { join, dirname, basename, extname } from 'path';
+import { fileURLToPath } from 'url';
+import ExcelJS from 'exceljs';
+import { createLogger } from './logger.js';
+import { extractedValues } from './document-extraction.js';
+
+const logger = createLogger('deliverables');
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const RESULTS_DIR = process.env.RESULTS_DIR || join(ROOT, 'results');
+
+const MANIFEST = 'manifest.json';
+
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.csv': 'text/csv',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.html': 'text/html',
+  '.png': 'image/png'
+};
+
+// --- Data exports ---
+
+/**
+ * Tabular data a task produced, as { sheetName: [row objects] }:
+ * records pulled from its documents, and anything its steps extracted
+ * from the application (a JSON array of objects in a step's output).
+ */
+export function dataSheets(task) {
+  const sheets = {};
+  const add = (name, row) => (sheets[name] = sheets[name] || []).push(row);
+
+  if (task.extraction) {
+    const tables = (task.extraction.schema.tables || []).map(t => t.name);
+    extractedValues(task.extraction).forEach(doc => {
+      (doc.records || []).forEach((record, i) => {
+        const top = {};
+        for (const [key, value] of Object.entries(record)) {
+          if (tables.includes(key)) {
+            for (const line of value || []) add(key, { file: doc.file, record: i + 1, ...line });
+          } else {
+            top[key] = value;
+          }
+        }
+        add('records', { file: doc.file, record: i + 1, ...top });
+      });
+    });
+  }
+
+  for (const step of task.result?.results || []) {
+    const rows = tableFromOutput(step.output);
+    for (const row of rows || []) add('extracted', { step: step.step, ...row });
+  }
+
+  return sheets;
+}
+
+function tableFromOutput(output) {
+  let value = output;
+  if (typeof value === 'string') {
+    try { value = JSON.parse(value); } catch { return null; }
+  }
+  if (value && !Array.isArray(value) && typeof value === 'object') {
+    value = Object.values(value).find(v => Array.isArray(v));
+  }
+  if (!Array.isArray(value) || !value.length || !value.every(r => r && typeof r === 'object' && !Array.isArray(r))) return null;
+  return value;
+}
+
+function columnsOf(rows) {
+  const columns = [];
+  for (const row of rows) {
+    for (const key of Object.keys(row)) if (!columns.includes(key)) columns.push(key);
+  }
+  return columns;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const s = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(rows) {
+  const columns = columnsOf(rows);
+  return [columns, ...rows.map(r => columns.map(c => r[c]))].map(line => line.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+async function writeWorkbook(file, sheets) {
+  const workbook = new ExcelJS.Workbook();
+  for (const [name, rows] of Object.entries(sheets)) {
+    const columns = columnsOf(rows);
+    const sheet = workbook.addWorksheet(name.slice(0, 31));
+    sheet.columns = columns.map(c => ({ header: c, key: c, width: Math.min(40, Math.max(10, c.length + 2)) }));
+    for (const row of rows) {
+      sheet.addRow(Object.fromEntries(columns.map(c => [c, row[c] !== null && typeof row[c] === 'object' ? JSON.stringify(row[c]) : row[c]])));
+    }
+    sheet.getRow(1).font = { bold: true };
+  }
+  await workbook.xlsx.writeFile(file);
+}
+
+// --- Completion report ---
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/**
+ * Report body shared by report.json and report.html. Screenshot paths are
+ * replaced with the names of the copies in the results folder.
+ */
+function buildReport(task, screenshots) {
+  const planSteps = task.plan?.steps || [];
+  return {
+    task_id: task.id,
+    description: task.description,
+    software: task.software_name,
+    workflow: task.workflow || null,
+    status: task.status,
+    created_at: task.created_at,
+    generated_at: new Date().toISOString(),
+    mode: task.envelope?.mode,
+    hops: task.envelope?.hops,
+    steps: (task.result?.results || []).map(r => ({
+      step: r.step,
+      action: planSteps.find(s => s.step_number === r.step)?.action || null,
+      expected: planSteps.find(s => s.step_number === r.step)?.verification || null,
+      status: r.status,
+      summary: r.summary || r.error || null,
+      replayed: Boolean(r.replayed),
+      screenshots: screenshots[r.step] || {}
+    })),
+    verification: task.verification ? { verdict: task.verification.status, reason: task.verification.reason } : null,
+    verification_history: (task.hop_history || []).map(({ hop, mode, outcome, detail, at }) => ({ hop, mode, outcome, detail, at })),
+    decisions: task.decisions || [],
+    extraction: task.extraction
+      ? { schema: task.extraction.schema.id, review: task.extraction.review?.state || null, documents: task.extraction.documents.map(d => d.file) }
+      : null
+  };
+}
+
+function reportHtml(report) {
+  const rows = report.steps.map(s => `
+      <tr>
+        <td>${escapeHtml(s.step)}</td>
+        <td>${escapeHtml(s.action)}${s.expected ? `<div class="muted">Expected: ${escapeHtml(s.expected)}</div>` : ''}</td>
+        <td class="${s.status === 'success' ? 'ok' : 'bad'}">${escapeHtml(s.status)}${s.replayed ? ' (macro)' : ''}</td>
+        <td>${escapeHtml(s.summary)}</td>
+        <td>${['before', 'after'].map(p => s.screenshots[p] ? `<a href="${escapeHtml(s.screenshots[p])}"><img src="${escapeHtml(s.screenshots[p])}" alt="${p}"></a>` : '').join('')}</td>
+      </tr>`).join('');
+
+  const hops = report.verification_history.map(h => `
+      <tr><td>${escapeHtml(h.hop)}</td><td>${escapeHtml(h.mode)}</td><td>${escapeHtml(h.outcome)}</td><td>${escapeHtml(h.detail)}</td><td>${escapeHtml(h.at)}</td></tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Completion report ${escapeHtml(report.task_id)}</title>
+<style>
+  body { font-family: -apple-system, Segoe UI, Helvetica, Arial, sans-serif; margin: 2rem; color: #222; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+  th, td { border: 1px solid #ddd; padding: .5rem; vertical-align: top; text-align: left; }
+  th { background: #f4f4f4; }
+  img { max-width: 240px; margin: 0 .25rem .25rem 0; border: 1px solid #ccc; }
+  .muted { color: #777; font-size: .9em; }
+  .ok { color: #17803d; } .bad { color: #b42318; }
+</style>
+</head>
+<body>
+  <h1>Completion report</h1>
+  <p><strong>${escapeHtml(report.task_id)}</strong>: ${escapeHtml(report.description)}</p>
+  <p class="muted">${escapeHtml(report.software)}${report.workflow ? ` / ${escapeHtml(report.workflow)}` : ''}: status ${escapeHtml(report.status)}, ${escapeHtml(report.hops)} attempt(s). Generated ${escapeHtml(report.generated_at)}.</p>
+  ${report.verification ? `<p>Verification: <strong class="${report.verification.verdict === 'PASS' ? 'ok' : 'bad'}">${escapeHtml(report.verification.verdict)}</strong>: ${escapeHtml(report.verification.reason)}</p>` : ''}
+  <h2>Steps</h2>
+  <table>
+    <tr><th>#</th><th>Action</th><th>Status</th><th>Result</th><th>Before / after</th></tr>${rows || '<tr><td colspan="5">No steps recorded</td></tr>'}
+  </table>
+  <h2>Verification history</h2>
+  <table>
+    <tr><th>Attempt</th><th>Mode</th><th>Verdict</th><th>Detail</th><th>At</th></tr>${hops || '<tr><td colspan="5">None</td></tr>'}
+  </table>
+</body>
+</html>
+`;
+}
+
+// --- Store ---
+
+export class DeliverableStore {
+  constructor() {
+    try { mkdirSync(RESULTS_DIR, { recursive: true }); } catch {}
+  }
+
+  dir(taskId) {
+    return join(RESULTS_DIR, taskId);
+  }
+
+  /**
+   * (Re)build every deliverable for a task and return the manifest.
+   */
+  async generate(task) {
+    const dir = this.dir(task.id);
+    rmSync(dir, { recursive: true, force: true });
+    mkdirSync(dir, { recursive: true });
+    const files = [];
+    const write = (name, content) => {
+      writeFileSync(join(dir, name), content);
+      files.push(name);
+    };
+
+    // Data exports
+    const sheets = dataSheets(task);
+    if (Object.keys(sheets).length) {
+      write('data.json', JSON.stringify({ task_id: task.id, sheets }, null, 2));
+      for (const [name, rows] of Object.entries(sheets)) write(`${name}.csv`, toCsv(rows));
+      await writeWorkbook(join(dir, 'data.xlsx'), sheets);
+      files.push('data.xlsx');
+    }
+
+    // Screenshots, copied in under stable names
+    const screenshots = {};
+    for (const r of task.result?.results || []) {
+      for (const [phase, path] of Object.entries(r.screenshots || {})) {
+        if (!path || !existsSync(path)) continue;
+        const name = `step-${r.step}-${phase}${extname(path) || '.png'}`;
+        copyFileSync(path, join(dir, name));
+        files.push(name);
+        (screenshots[r.step] = screenshots[r.step] || {})[phase] = name;
+      }
+    }
+
+    const report = buildReport(task, screenshots);
+    write('report.json', JSON.stringify(report, null, 2));
+    write('report.html', reportHtml(report));
+
+    const manifest = {
+      task_id: task.id,
+      generated_at: report.generated_at,
+      files: files.map(name => ({
+        name,
+        content_type: CONTENT_TYPES[extname(name)] || 'application/octet-stream',
+        size: statSync(join(dir, name)).size
+      }))
+    };
+    writeFileSync(join(dir, MANIFEST), JSON.stringify(manifest, null, 2));
+    logger.info(`[${task.id}] Generated ${files.length} deliverable(s)`);
+    return manifest;
+  }
+
+  /**
+   * Manifest of a task's deliverables, or null if none were generated.
+   */
+  list(taskId) {
+    const file = join(this.dir(taskId), MANIFEST);
+    if (!existsSync(file)) return null;
+    return JSON.parse(readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Path of one listed deliverable, or null.
+   */
+  file(taskId, name) {
+    const manifest = this.list(taskId);
+    if (!manifest || basename(name) !== name || !manifest.files.some(f => f.name === name)) return null;
+    return join(this.dir(taskId), name);
+  }
+}
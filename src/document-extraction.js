@@ -0,0 +1,630 @@
+/**
+ * Schema-driven Document Extraction
+ * Pulls typed, normalized records out of a task's uploads against a target
+ * schema (patient registration, invoice header + line items, ...), with a
+ * confidence score on every field. CSV, XLSX and plain-text key/value files
+ * are parsed locally; PDFs and images go to the 'parse-documents' model role,
+ * with long PDFs split into page chunks.
+ *
+ * A field below the review threshold, a missing required field, or a value
+ * that won't normalize to its type puts the task in front of an operator
+ * before any data entry starts.
+ */
+
+import { readFileSync, readdirSync, existsSync, mkdirSync, mkdtempSync, rmSync } from 'fs';
+import { join, extname, basename } from 'path';
+import { tmpdir } from 'os';
+import { execFileSync } from 'child_process';
+import ExcelJS from 'exceljs';
+import YAML from 'yaml';
+import { createLogger } from './logger.js';
+import { callModelStructured, resolveRoute } from './llm-providers.js';
+
+const logger = createLogger('document-extraction');
+
+const SCHEMA_DIR = process.env.EXTRACTION_SCHEMA_DIR || '/home/brans/legacy-automation-agency/extraction-schemas';
+// Fields scored below this go to operator review
+export const REVIEW_THRESHOLD = parseFloat(process.env.EXTRACTION_REVIEW_THRESHOLD || '0.8');
+// Pages sent to the model per call when a PDF is split
+const PDF_PAGES_PER_CALL = parseInt(process.env.PDF_PAGES_PER_CALL || '8');
+
+// Confidence given to values read from a labelled column or "Label: value" line
+const LOCAL_CONFIDENCE = 0.95;
+// Ceiling for a value that didn't normalize to its field type
+const INVALID_CONFIDENCE = 0.3;
+
+try { mkdirSync(SCHEMA_DIR, { recursive: true }); } catch {}
+
+export const FIELD_TYPES = ['string', 'number', 'integer', 'currency', 'date', 'phone', 'email', 'boolean'];
+
+const BUILTIN_SCHEMAS = {
+  'patient-registration': {
+    id: 'patient-registration',
+    description: 'New patient demographics and insurance',
+    fields: [
+      { name: 'first_name', type: 'string', required: true, aliases: ['first', 'given name', 'patient first name'] },
+      { name: 'last_name', type: 'string', required: true, aliases: ['last', 'surname', 'family name', 'patient last name'] },
+      { name: 'date_of_birth', type: 'date', required: true, aliases: ['dob', 'birth date', 'birthdate', 'date of birth'] },
+      { name: 'sex', type: 'string', aliases: ['gender'] },
+      { name: 'phone', type: 'phone', aliases: ['phone number', 'telephone', 'mobile', 'cell', 'home phone'] },
+      { name: 'email', type: 'email', aliases: ['e-mail', 'email address'] },
+      { name: 'address', type: 'string', aliases: ['street', 'street address', 'address line 1'] },
+      { name: 'city', type: 'string' },
+      { name: 'state', type: 'string' },
+      { name: 'zip', type: 'string', aliases: ['zip code', 'postal code'] },
+      { name: 'insurance_carrier', type: 'string', aliases: ['insurance', 'carrier', 'insurance provider', 'insurance company'] },
+      { name: 'member_id', type: 'string', aliases: ['subscriber id', 'policy number', 'insurance id', 'member number'] }
+    ]
+  },
+  'invoice': {
+    id: 'invoice',
+    description: 'Vendor invoice header and line items',
+    fields: [
+      { name: 'invoice_number', type: 'string', required: true, aliases: ['invoice no', 'invoice #', 'inv no'] },
+      { name: 'invoice_date', type: 'date', required: true, aliases: ['date', 'inv date'] },
+      { name: 'due_date', type: 'date', aliases: ['due', 'payment due'] },
+      { name: 'vendor_name', type: 'string', required: true, aliases: ['vendor', 'supplier', 'from'] },
+      { name: 'customer_name', type: 'string', aliases: ['bill to', 'customer', 'sold to'] },
+      { name: 'po_number', type: 'string', aliases: ['po', 'po #', 'purchase order'] },
+      { name: 'subtotal', type: 'currency', aliases: ['sub total'] },
+      { name: 'tax', type: 'currency', aliases: ['sales tax', 'vat'] },
+      { name: 'total', type: 'currency', required: true, aliases: ['amount due', 'total due', 'balance due', 'invoice total'] }
+    ],
+    tables: [{
+      name: 'line_items',
+      fields: [
+        { name: 'description', type: 'string', required: true, aliases: ['item', 'item description', 'product', 'service'] },
+        { name: 'sku', type: 'string', aliases: ['item #', 'item number', 'part number', 'code'] },
+        { name: 'quantity', type: 'number', aliases: ['qty', 'units'] },
+        { name: 'unit_price', type: 'currency', aliases: ['price', 'rate', 'unit cost'] },
+        { name: 'amount', type: 'currency', aliases: ['line total', 'extended', 'ext price', 'total'] }
+      ]
+    }]
+  }
+};
+
+// No target schema: take whatever labelled values the document has, as strings
+const OPEN_SCHEMA = { id: 'open', description: 'Every labelled value in the document', fields: [], open: true };
+
+// --- Schemas ---
+
+function checkSchema(schema) {
+  const fieldLists = [schema.fields, ...(schema.tables || []).map(t => t.fields)];
+  if (!schema.id || !Array.isArray(schema.fields)) throw new Error('Extraction schema needs an id and a fields list');
+  for (const field of fieldLists.flat()) {
+    if (!field?.name) throw new Error(`Field without a name in schema ${schema.id}`);
+    if (!FIELD_TYPES.includes(field.type || 'string')) throw new Error(`Unknown type '${field.type}' for ${schema.id}.${field.name}`);
+  }
+  return schema;
+}
+
+/**
+ * Built-in schema or one defined in EXTRACTION_SCHEMA_DIR (<id>.json / .yaml). Null if unknown.
+ */
+export function loadSchema(id) {
+  if (!id || basename(id) !== id) return null;
+  for (const ext of ['.json', '.yaml', '.yml']) {
+    const file = join(SCHEMA_DIR, `${id}${ext}`);
+    if (existsSync(file)) return checkSchema({ id, ...YAML.parse(readFileSync(file, 'utf8')) });
+  }
+  return BUILTIN_SCHEMAS[id] || null;
+}
+
+export function listSchemas() {
+  const ids = new Set(Object.keys(BUILTIN_SCHEMAS));
+  for (const f of readdirSync(SCHEMA_DIR)) {
+    if (['.json', '.yaml', '.yml'].includes(extname(f))) ids.add(basename(f, extname(f)));
+  }
+  return [...ids].map(id => {
+    try {
+      return loadSchema(id);
+    } catch (err) {
+      logger.error(`Skipping extraction schema ${id}: ${err.message}`);
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+/**
+ * Target schema for a task: the one it names, else one named after its workflow, else open extraction.
+ */
+export function schemaForTask(task) {
+  return loadSchema(task.extraction_schema) || loadSchema(task.workflow) || OPEN_SCHEMA;
+}
+
+// --- Normalization ---
+
+function parseDate(raw) {
+  if (raw instanceof Date) return isNaN(raw) ? null : raw.toISOString().slice(0, 10);
+  const s = String(raw).trim();
+
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return iso(+m[1], +m[2], +m[3]);
+
+  // US order, as the clients' forms are
+  m = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+  if (m) {
+    let year = +m[3];
+    if (m[3].length === 2) year += year > new Date().getFullYear() % 100 ? 1900 : 2000;
+    return iso(year, +m[1], +m[2]);
+  }
+
+  const parsed = new Date(`${s} UTC`);
+  return isNaN(parsed) ? null : parsed.toISOString().slice(0, 10);
+}
+
+function iso(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  if (d.getUTCMonth() !== month - 1 || d.getUTCDate() !== day) return null;
+  return d.toISOString().slice(0, 10);
+}
+
+function parseNumber(raw) {
+  if (typeof raw === 'number') return raw;
+  let s = String(raw).trim();
+  const negative = /^\(.*\)$/.test(s) || s.startsWith('-');
+  s = s.replace(/[^0-9.]/g, '');
+  if (!s || isNaN(Number(s))) return null;
+  return negative ? -Number(s) : Number(s);
+}
+
+/**
+ * Coerce a raw value to a field type. Returns { value, valid }; an invalid
+ * value is passed through as its original string so review can see it.
+ */
+export function normalizeValue(type, raw) {
+  if (raw === null || raw === undefined || String(raw).trim() === '') return { value: null, valid: true };
+
+  let value = null;
+  switch (type) {
+    case 'number':
+      value = parseNumber(raw);
+      break;
+    case 'integer': {
+      const n = parseNumber(raw);
+      value = n !== null && Number.isInteger(n) ? n : null;
+      break;
+    }
+    case 'currency': {
+      const n = parseNumber(raw);
+      value = n === null ? null : Math.round(n * 100) / 100;
+      break;
+    }
+    case 'date':
+      value = parseDate(raw);
+      break;
+    case 'phone': {
+      const digits = String(raw).replace(/\D/g, '').replace(/^1(?=\d{10}$)/, '');
+      value = digits.length === 10 ? `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}` : null;
+      break;
+    }
+    case 'email': {
+      const s = String(raw).trim().toLowerCase();
+      value = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(s) ? s : null;
+      break;
+    }
+    case 'boolean': {
+      const s = String(raw).trim().toLowerCase();
+      value = ['yes', 'y', 'true', '1', 'x'].includes(s) ? true : ['no', 'n', 'false', '0'].includes(s) ? false : null;
+      break;
+    }
+    default:
+      value = String(raw).replace(/\s+/g, ' ').trim();
+  }
+
+  return value === null ? { value: String(raw).trim(), valid: false } : { value, valid: true };
+}
+
+function field(def, raw, confidence, source) {
+  const { value, valid } = normalizeValue(def.type || 'string', raw);
+  return {
+    value,
+    confidence: valid ? confidence : Math.min(confidence, INVALID_CONFIDENCE),
+    ...(valid ? {} : { invalid: `not a valid ${def.type}` }),
+    raw: raw instanceof Date ? raw.toISOString() : raw ?? null,
+    source
+  };
+}
+
+// --- Local parsing (no model) ---
+
+// "Invoice #", "invoice_number" and "Invoice Number" all compare equal
+function labelKey(label) {
+  return String(label ?? '').toLowerCase().replace(/#/g, ' number ').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function matchLabel(label, defs) {
+  const key = labelKey(label);
+  if (!key) return null;
+  return defs.find(d => labelKey(d.name) === key || (d.aliases || []).some(a => labelKey(a) === key)) || null;
+}
+
+// Open extraction keeps every label, as a snake_case string field
+function openDef(label) {
+  const name = labelKey(label).replace(/ /g, '_');
+  return name ? { name, type: 'string' } : null;
+}
+
+/**
+ * Minimal RFC 4180 reader: quoted fields, doubled quotes, embedded newlines.
+ * The delimiter (comma, tab or semicolon) is picked from the header line.
+ */
+export function parseCsv(text) {
+  const header = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', '\t', ';'].sort((a, b) => header.split(b).length - header.split(a).length)[0];
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(cell); cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row);
+      row = []; cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => String(c).trim() !== ''));
+}
+
+async function readXlsx(path) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(path);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (r) => {
+    const values = [];
+    for (let c = 1; c <= r.cellCount; c++) {
+      const v = r.getCell(c).value;
+      // Formulas, rich text and hyperlinks come back as objects
+      values.push(v && typeof v === 'object' && !(v instanceof Date) ? v.result ?? v.text ?? v.richText?.map(t => t.text).join('') ?? '' : v);
+    }
+    rows.push(values);
+  });
+  return rows;
+}
+
+/**
+ * Header row + data rows to records. When the headers fit a table (line
+ * items) better than the top-level fields, all rows become that table's
+ * rows in one record; otherwise each row is its own record.
+ */
+function rowsToRecords(rows, schema, source) {
+  if (rows.length < 2) return { records: [], unmapped: [] };
+  const [header, ...data] = rows;
+
+  const mapFor = (defs) => header.map(h => matchLabel(h, defs) || (schema.open && defs === schema.fields ? openDef(h) : null));
+  const topMap = mapFor(schema.fields);
+  const tableMaps = (schema.tables || []).map(t => ({ table: t, map: mapFor(t.fields) }));
+  const best = tableMaps.sort((a, b) => b.map.filter(Boolean).length - a.map.filter(Boolean).length)[0];
+  const asTable = best && best.map.filter(Boolean).length > topMap.filter(Boolean).length;
+
+  const map = asTable ? best.map : topMap;
+  const unmapped = header.filter((h, i) => !map[i] && String(h ?? '').trim());
+  const toRow = (cells, rowIndex) => {
+    const out = {};
+    map.forEach((def, i) => {
+      if (def) out[def.name] = field(def, cells[i], LOCAL_CONFIDENCE, `${source} row ${rowIndex + 2}`);
+    });
+    return out;
+  };
+
+  const records = asTable
+    ? [{ [best.table.name]: data.map(toRow) }]
+    : data.map(toRow);
+  return { records, unmapped };
+}
+
+/**
+ * "Label: value" lines (or label<TAB>value) to a single record.
+ * Returns null when the text isn't laid out that way.
+ */
+function parseKeyValueText(text, schema, source) {
+  const record = {};
+  const unmapped = [];
+  for (const line of text.split(/\r?\n/)) {
+    const m = line.match(/^\s*([^:\t]{1,60}?)\s*(?::|\t)\s*(.*)$/);
+    if (!m) continue;
+    const def = matchLabel(m[1], schema.fields) || (schema.open ? openDef(m[1]) : null);
+    if (def && !record[def.name]) record[def.name] = field(def, m[2], LOCAL_CONFIDENCE, `${source}: ${m[1].trim()}`);
+    else if (!def) unmapped.push(m[1].trim());
+  }
+  return Object.keys(record).length ? { records: [record], unmapped } : null;
+}
+
+// --- Model extraction ---
+
+const RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['records'],
+  properties: { records: { type: 'array', items: { type: 'object' } } }
+};
+
+function describeFields(fields) {
+  return fields.map(f => `  - ${f.name} (${f.type || 'string'}${f.required ? ', required' : ''})${f.description ? `: ${f.description}` : ''}`).join('\n');
+}
+
+function extractionPrompt(schema, note) {
+  const target = schema.open
+    ? 'Extract every labelled value in the document. Name each field in snake_case after its label.'
+    : `Extract this schema (${schema.id}: ${schema.description || ''}):
+FIELDS:
+${describeFields(schema.fields)}${(schema.tables || []).map(t => `\nTABLE "${t.name}" (one entry per row):\n${describeFields(t.fields)}`).join('')}`;
+
+  return `You are extracting data from a client document for legacy software data entry.
+${note ? `\n${note}\n` : ''}
+${target}
+
+Return JSON: { "records": [ { "<field>": { "value": ..., "confidence": 0.0-1.0 }${schema.tables?.length ? `, "<table>": [ { "<field>": { "value": ..., "confidence": ... } } ]` : ''} } ] }
+- One record per distinct ${schema.tables?.length ? 'document' : 'form/person/entity'} in the pages given.
+- Copy values exactly as printed; dates as YYYY-MM-DD.
+- confidence is how sure you are the value is correct and belongs to that field. Use 1.0 only for clearly printed text.
+- A field that isn't present: value null, confidence 0. Never guess.`;
+}
+
+function modelRecords(response, schema, source) {
+  const defsFor = (defs) => (name) => defs.find(d => d.name === name) || (schema.open ? { name, type: 'string' } : null);
+  const topDef = defsFor(schema.fields);
+
+  const toFields = (obj, lookup, src) => {
+    const out = {};
+    for (const [name, cell] of Object.entries(obj || {})) {
+      const def = lookup(name);
+      if (!def) continue;
+      const isCell = cell && typeof cell === 'object' && 'value' in cell;
+      const confidence = isCell && typeof cell.confidence === 'number' ? Math.max(0, Math.min(1, cell.confidence)) : 0.5;
+      out[name] = field(def, isCell ? cell.value : cell, confidence, src);
+    }
+    return out;
+  };
+
+  return (response.records || []).map(r => {
+    const record = toFields(r, (name) => (schema.tables || []).some(t => t.name === name) ? null : topDef(name), source);
+    for (const table of schema.tables || []) {
+      if (Array.isArray(r[table.name])) {
+        record[table.name] = r[table.name].map(row => toFields(row, defsFor(table.fields), source));
+      }
+    }
+    return record;
+  });
+}
+
+function pdfPageCount(path) {
+  try {
+    const info = execFileSync('pdfinfo', [path], { encoding: 'utf8', timeout: 15000 });
+    return parseInt(info.match(/^Pages:\s+(\d+)/m)?.[1]) || null;
+  } catch {
+    return null;
+  }
+}
+
+// Render a page range to PNGs (poppler's pdftoppm) for providers that only take images
+function renderPages(path, first, last) {
+  const dir = mkdtempSync(join(tmpdir(), 'extract-'));
+  try {
+    execFileSync('pdftoppm', ['-r', '150', '-png', '-f', String(first), '-l', String(last), path, join(dir, 'page')], { timeout: 120000 });
+    return readdirSync(dir).sort().map(f => ({ mimeType: 'image/png', data: readFileSync(join(dir, f)).toString('base64') }));
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Records from one chunk of pages of a long document, merged into the rest.
+ * Table schemas describe one document spread over pages: header fields keep
+ * the most confident value and table rows are appended. Otherwise every
+ * record stands alone.
+ */
+function mergeChunk(records, chunk, schema) {
+  if (!schema.tables?.length) return records.concat(chunk);
+
+  const merged = records[0] || {};
+  for (const record of chunk) {
+    for (const [name, value] of Object.entries(record)) {
+      if (Array.isArray(value)) merged[name] = (merged[name] || []).concat(value);
+      else if (!merged[name] || merged[name].value === null || value.confidence > merged[name].confidence) merged[name] = value;
+    }
+  }
+  return [merged];
+}
+
+async function extractWithModel(doc, schema, options) {
+  const data = readFileSync(doc.path);
+  const source = doc.original;
+
+  if (doc.mimetype !== 'application/pdf') {
+    const response = await callModelStructured('parse-documents', extractionPrompt(schema), RESPONSE_SCHEMA, {
+      ...options,
+      attachments: [{ mimeType: doc.mimetype, data: data.toString('base64') }]
+    });
+    return { method: 'model', pages: 1, records: modelRecords(response, schema, source) };
+  }
+
+  const pages = pdfPageCount(doc.path);
+  const nativePdf = resolveRoute('parse-documents').provider === 'gemini';
+
+  // Short PDFs go whole to a provider that reads PDFs itself
+  if (nativePdf && (!pages || pages <= PDF_PAGES_PER_CALL)) {
+    const response = await callModelStructured('parse-documents', extractionPrompt(schema), RESPONSE_SCHEMA, {
+      ...options,
+      attachments: [{ mimeType: 'application/pdf', data: data.toString('base64') }]
+    });
+    return { method: 'model', pages, records: modelRecords(response, schema, source) };
+  }
+
+  if (!pages) throw new Error('Could not read PDF page count (is poppler-utils installed?)');
+
+  let records = [];
+  for (let first = 1; first <= pages; first += PDF_PAGES_PER_CALL) {
+    const last = Math.min(pages, first + PDF_PAGES_PER_CALL - 1);
+    logger.info(`Extracting ${source} pages ${first}-${last} of ${pages}`);
+    const note = `These are pages ${first}-${last} of a ${pages}-page document.${first > 1 && schema.tables?.length ? ' Header fields may not appear on these pages; return only what is shown.' : ''}`;
+    const response = await callModelStructured('parse-documents', extractionPrompt(schema, note), RESPONSE_SCHEMA, {
+      ...options,
+      attachments: renderPages(doc.path, first, last)
+    });
+    records = mergeChunk(records, modelRecords(response, schema, `${source} p${first}-${last}`), schema);
+  }
+  return { method: 'model-paged', pages, records };
+}
+
+// --- Entry points ---
+
+/**
+ * Extract one uploaded document ({ original, path, mimetype }) against a schema.
+ * `options` are passed on to model calls (e.g. onUsage).
+ */
+export async function extractDocument(doc, schema, options = {}) {
+  const ext = extname(doc.original || doc.path).toLowerCase();
+
+  if (ext === '.csv' || ext === '.tsv' || doc.mimetype === 'text/csv') {
+    return { method: 'local-csv', ...rowsToRecords(parseCsv(readFileSync(doc.path, 'utf8')), schema, doc.original) };
+  }
+  if (ext === '.xlsx' || doc.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+    return { method: 'local-xlsx', ...rowsToRecords(await readXlsx(doc.path), schema, doc.original) };
+  }
+  if (ext === '.txt' || doc.mimetype === 'text/plain') {
+    const text = readFileSync(doc.path, 'utf8');
+    const local = parseKeyValueText(text, schema, doc.original);
+    if (local) return { method: 'local-text', ...local };
+
+    // Free-form prose still needs a model, but as text rather than an attachment
+    const response = await callModelStructured('parse-documents', `${extractionPrompt(schema)}\n\nDOCUMENT TEXT:\n${text.slice(0, 30000)}`, RESPONSE_SCHEMA, options);
+    return { method: 'model-text', records: modelRecords(response, schema, doc.original) };
+  }
+
+  return await extractWithModel(doc, schema, options);
+}
+
+/**
+ * Fields that need a human before data entry: low confidence, not valid for
+ * their type, or required but missing. A document nothing was read from has
+ * its required fields flagged on an empty first record (or the document
+ * itself, if the schema requires nothing). Each item carries the path used to
+ * correct it.
+ */
+export function reviewItems(extraction, threshold = REVIEW_THRESHOLD) {
+  const items = [];
+  const { schema } = extraction;
+
+  const check = (fields, defs, base) => {
+    for (const def of defs) {
+      if (def.required && (!fields[def.name] || fields[def.name].value === null)) {
+        items.push({ path: `${base}.${def.name}`, reason: 'required field missing', value: null, confidence: 0 });
+      }
+    }
+    for (const [name, f] of Object.entries(fields)) {
+      if (Array.isArray(f) || f.value === null || f.reviewed) continue;
+      if (f.invalid) items.push({ path: `${base}.${name}`, reason: f.invalid, value: f.value, confidence: f.confidence });
+      else if (f.confidence < threshold) items.push({ path: `${base}.${name}`, reason: `confidence ${f.confidence} below ${threshold}`, value: f.value, confidence: f.confidence });
+    }
+  };
+
+  extraction.documents.forEach((doc, d) => {
+    if (doc.error) {
+      items.push({ path: `documents[${d}]`, reason: `extraction failed: ${doc.error}`, value: null, confidence: 0 });
+      return;
+    }
+    if (!doc.records.length) {
+      const required = (schema.fields || []).filter(def => def.required);
+      if (!required.length) items.push({ path: `documents[${d}]`, reason: 'no records found', value: null, confidence: 0 });
+      check({}, required, `documents[${d}].records[0]`);
+      return;
+    }
+    doc.records.forEach((record, r) => {
+      const base = `documents[${d}].records[${r}]`;
+      check(record, schema.fields || [], base);
+      for (const table of schema.tables || []) {
+        (record[table.name] || []).forEach((row, i) => check(row, table.fields, `${base}.${table.name}[${i}]`));
+      }
+    });
+  });
+  return items;
+}
+
+/**
+ * Apply operator corrections ({ "<review path>": value }). Corrected fields
+ * are normalized again and marked reviewed. Correcting records[0] of a
+ * document with no records creates the record.
+ */
+export function applyCorrections(extraction, corrections = {}) {
+  for (const [path, raw] of Object.entries(corrections)) {
+    const m = path.match(/^documents\[(\d+)\]\.records\[(\d+)\]\.(\w+)(?:\[(\d+)\]\.(\w+))?$/);
+    if (!m) throw new Error(`Bad correction path: ${path}`);
+
+    const doc = extraction.documents[+m[1]];
+    if (doc?.records?.length === 0 && +m[2] === 0) doc.records.push({});
+    const record = doc?.records?.[+m[2]];
+    if (!record) throw new Error(`No record at ${path}`);
+
+    let fields = record;
+    let name = m[3];
+    let defs = extraction.schema.fields;
+    if (m[4] !== undefined) {
+      const table = (extraction.schema.tables || []).find(t => t.name === m[3]);
+      fields = record[m[3]]?.[+m[4]];
+      if (!table || !fields) throw new Error(`No table row at ${path}`);
+      name = m[5];
+      defs = table.fields;
+    }
+
+    const def = defs.find(d => d.name === name) || (extraction.schema.open ? { name, type: 'string' } : null);
+    if (!def) throw new Error(`Unknown field in ${path}`);
+
+    const corrected = field(def, raw, 1, 'review');
+    if (corrected.invalid) throw new Error(`${path}: ${corrected.invalid}`);
+    fields[name] = { ...corrected, reviewed: true, previous: fields[name]?.value ?? null };
+  }
+}
+
+/**
+ * Normalize one submitted record (column -> value) against a schema's
+ * top-level fields. Columns the schema doesn't know pass through untouched.
+ * Returns { values, problems }.
+ */
+export function normalizeRecord(record, schema) {
+  const values = {};
+  const problems = [];
+  for (const [key, raw] of Object.entries(record)) {
+    const def = matchLabel(key, schema.fields);
+    if (!def) {
+      values[key] = raw;
+      continue;
+    }
+    const { value, valid } = normalizeValue(def.type || 'string', raw);
+    values[def.name] = value;
+    if (!valid) problems.push(`${def.name} is not a valid ${def.type}`);
+  }
+  for (const def of schema.fields) {
+    if (def.required && (values[def.name] ?? null) === null) problems.push(`${def.name} is required`);
+  }
+  return { values, problems };
+}
+
+/**
+ * Plain values (no confidence bookkeeping) for prompts.
+ */
+export function extractedValues(extraction) {
+  const plain = (fields) => Object.fromEntries(Object.entries(fields).map(([k, f]) =>
+    [k, Array.isArray(f) ? f.map(plain) : f.value]
+  ));
+  return extraction.documents.map(doc => ({
+    file: doc.file,
+    ...(doc.error ? { error: doc.error } : { records: doc.records.map(plain) })
+  }));
+}
@@ -1,59 +1,45 @@
 import { createLogger } from './logger.js';
-import { readFileSync } from 'fs';
+import { callModel, callModelStructured, describeRoutes } from './llm-providers.js';
+import { CLASSIFICATION_SCHEMA, PLAN_SCHEMA, ARCHITECT_SCHEMA, VERIFICATION_SCHEMA } from './llm-schemas.js';
+import { ProfileStore, describeProfile } from './software-profiles.js';
+import { extractDocument, extractedValues } from './document-extraction.js';
+import { CostLedger } from './costs.js';
+import { AuditTrail } from './audit.js';
+import { RedactionVault } from './redaction.js';
+import { CredentialVault } from './credentials.js';
 
 const logger = createLogger('gemini-orchestrator');
 
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-3.1-pro-preview';
-const FLASH_MODEL = process.env.GEMINI_FLASH_MODEL || 'gemini-2.5-flash-lite';
-
-async function callGemini(prompt, model = GEMINI_MODEL) {
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${GEMINI_API_KEY}`;
-
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      contents: [{ parts: [{ text: prompt }] }],
-      generationConfig: {
-        temperature: 0.2,
-        maxOutputTokens: 4096
-      }
-    })
-  });
-
-  if (!response.ok) {
-    const err = await response.text();
-    throw new Error(`Gemini API error (${response.status}): ${err}`);
-  }
-
-  const data = await response.json();
-  const text = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-  return text;
-}
-
-async function callGeminiJSON(prompt, model = GEMINI_MODEL) {
-  const raw = await callGemini(prompt + '\n\nRespond with valid JSON only. No markdown, no code fences.', model);
-  // Strip any markdown code fences
-  const cleaned = raw.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-  try {
-    return JSON.parse(cleaned);
-  } catch {
-    logger.warn(`Failed to parse Gemini JSON response, returning raw text`);
-    return { raw: cleaned };
-  }
-}
-
 export class GeminiOrchestrator {
   constructor() {
-    logger.info(`Gemini Orchestrator initialized (model: ${GEMINI_MODEL})`);
+    this.profiles = new ProfileStore();
+    // Token usage of task calls, per task and per client-month
+    this.costs = new CostLedger();
+    this.audit = new AuditTrail();
+    this.redaction = new RedactionVault();
+    this.credentials = new CredentialVault();
+    logger.info(`Gemini Orchestrator initialized (routes: ${describeRoutes()})`);
+  }
+
+  /**
+   * Options for model calls made for a task: prompts are redacted under the
+   * client's data policy, usage is charged to the task and every prompt (as
+   * sent) goes into its audit trail.
+   */
+  forTask(task) {
+    return {
+      ...this.costs.forTask(task),
+      redactor: this.redaction.forTask(task),
+      onPrompt: call => this.audit.record(task.id, 'prompt', { channel: 'model', ...call })
+    };
   }
 
   /**
    * Classify an incoming task/message into a type and mode.
    * This is the "traffic cop" function from the V3 blueprint.
+   * Pass `options` from forTask() for the task the message belongs to.
    */
-  async classifyTask(message) {
+  async classifyTask(message, options) {
     const prompt = `You are the Gemini Orchestrator for a Legacy Interface Automation Agency.
 Your job is to classify incoming client requests.
 
@@ -73,13 +59,14 @@ CLIENT MESSAGE: "${message}"
 
 Classify this request. Return JSON with: type, mode, software (if mentioned), complexity (low/medium/high), estimated_steps.`;
 
-    return await callGeminiJSON(prompt);
+    return await callModelStructured('classify', prompt, CLASSIFICATION_SCHEMA, options);
   }
 
   /**
    * Handle a simple query directly (no Claude Code needed).
+   * Pass `options` from forTask(); the answer comes back with real values restored.
    */
-  async handleSimpleQuery(message) {
+  async handleSimpleQuery(message, options) {
     const prompt = `You are the customer-facing AI for a Legacy Interface Automation Agency.
 Answer this client question helpfully and concisely.
 
@@ -92,7 +79,7 @@ Our services:
 
 CLIENT QUESTION: "${message}"`;
 
-    return await callGemini(prompt);
+    return await callModel('answer', prompt, { ...options, restoreResponse: true });
   }
 
   /**
@@ -100,9 +87,22 @@ CLIENT QUESTION: "${message}"`;
    * that Claude Code can execute.
    */
   async planExecution(task) {
-    const docInfo = task.documents?.length
+    let docInfo = task.documents?.length
       ? `\nAttached documents: ${task.documents.map(d => d.original).join(', ')}`
       : '\nNo documents attached.';
+    if (task.records?.length) {
+      docInfo += `\nRECORDS TO ENTER (${task.records.length}, one per "row" of the client's batch file):\n${JSON.stringify(task.records, null, 1).slice(0, 12000)}`;
+    }
+    if (task.extraction) {
+      docInfo += `\nEXTRACTED DATA (${task.extraction.schema.id} schema${task.extraction.review?.state === 'approved' ? ', reviewed by an operator' : ''}):\n${JSON.stringify(extractedValues(task.extraction), null, 1).slice(0, 12000)}`;
+    }
+
+    // Record which profile version the plan was built against
+    const profile = this.profiles.match(task.software_name);
+    task.profile = profile ? { id: profile.id, version: profile.version } : null;
+    const profileInfo = profile ? `\n${describeProfile(profile)}\n` : '';
+    const handles = this.credentials.handlesFor(task.client_id, task.software_name);
+    const credentialInfo = handles.length ? `\nCREDENTIALS ON FILE: ${handles.join(', ')}\n` : '';
 
     const prompt = `You are the Gemini Orchestrator planning a legacy software automation task.
 
@@ -112,10 +112,13 @@ TYPE: ${task.task_type}
 CURRENT MODE: ${task.envelope.mode}
 HOPS: ${task.envelope.hops}/${task.envelope.ttl_max}
 ${docInfo}
-
+${profileInfo}${credentialInfo}
 Create an execution plan for Claude Code. Each step should be specific and verifiable.
 For GUI tasks (SUPERVISE mode), include expected UI element descriptions.
+If a software profile is given, use its screens, field anchors and shortcuts rather than guessing the layout.
 For code tasks (EXECUTE mode), include the specific commands/scripts to run.
+When extracted data or records are given, enter exactly those values; don't re-read the documents.
+To log in, write credential handles ({{secret:...}}) exactly as listed; real values are filled in only when typed.
 
 Return JSON with:
 {
@@ -133,7 +136,7 @@ Return JSON with:
   "safety_notes": "any safety considerations"
 }`;
 
-    const plan = await callGeminiJSON(prompt);
+    const plan = await callModelStructured('plan', prompt, PLAN_SCHEMA, this.forTask(task));
     logger.info(`[${task.id}] Plan created: ${plan.steps?.length || 0} steps, est. ${plan.estimated_duration_minutes || '?'} min`);
     return plan;
   }
@@ -143,6 +146,11 @@ Return JSON with:
    * Read-only reasoning to find root cause and create revised plan.
    */
   async architectTask(task) {
+    const profile = this.profiles.match(task.software_name);
+    const profileInfo = profile ? `\n${describeProfile(profile)}\n` : '';
+    const handles = this.credentials.handlesFor(task.client_id, task.software_name);
+    const credentialInfo = handles.length ? `\nCREDENTIALS ON FILE (write these handles as-is): ${handles.join(', ')}\n` : '';
+
     const prompt = `You are in ARCHITECT mode — read-only deep analysis.
 
 A legacy automation task has FAILED ${task.envelope.consecutive_failures} times.
@@ -152,9 +160,9 @@ SOFTWARE: ${task.software_name}
 LAST ERROR: ${task.last_error || 'unknown'}
 PREVIOUS PLAN: ${JSON.stringify(task.plan, null, 2)}
 STATE HASHES: ${JSON.stringify(task.envelope.state_hashes)}
-
+${profileInfo}${credentialInfo}
 Analyze the root cause of failure. Consider:
-1. Is the UI different than expected? (element moved, dialog appeared)
+1. Is the UI different than expected? (element moved, dialog appeared, profile out of date)
 2. Is the data format wrong? (parsing error)
 3. Is there a timing issue? (element not loaded yet)
 4. Is there a permission issue?
@@ -168,7 +176,7 @@ Return JSON with:
   "should_escalate_to_human": false
 }`;
 
-    const analysis = await callGeminiJSON(prompt);
+    const analysis = await callModelStructured('architect', prompt, ARCHITECT_SCHEMA, this.forTask(task));
     logger.info(`[${task.id}] ARCHITECT analysis: ${analysis.root_cause} (confidence: ${analysis.confidence})`);
 
     // If ARCHITECT produces a revised plan, switch back to EXECUTE for next attempt
@@ -198,49 +206,31 @@ Return JSON:
   "suggestions": "if RETRY, what to fix"
 }`;
 
-    const verification = await callGeminiJSON(prompt, FLASH_MODEL);
+    const verification = await callModelStructured('verify', prompt, VERIFICATION_SCHEMA, this.forTask(task));
     logger.info(`[${task.id}] Verification: ${verification.status} — ${verification.reason}`);
     return verification;
   }
 
   /**
-   * Parse documents (PDFs, images) for data extraction.
+   * Extract typed records from uploaded documents against a target schema.
+   * Spreadsheets and key/value text are parsed locally; PDFs and images go to the model.
+   * Pass `options` from forTask(task) to charge and audit model calls against the task.
    */
-  async parseDocuments(documents) {
-    if (!documents || documents.length === 0) return [];
+  async parseDocuments(documents, schema, options = {}) {
+    const extraction = { schema, extracted_at: new Date().toISOString(), documents: [] };
 
-    const results = [];
-    for (const doc of documents) {
+    for (const doc of documents || []) {
       try {
-        const content = readFileSync(doc.path);
-        const base64 = content.toString('base64');
-
-        const url = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${GEMINI_API_KEY}`;
-
-        const response = await fetch(url, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            contents: [{
-              parts: [
-                { text: 'Extract all structured data from this document. Return as JSON with key-value pairs.' },
-                { inline_data: { mime_type: doc.mimetype, data: base64 } }
-              ]
-            }]
-          })
-        });
-
-        if (response.ok) {
-          const data = await response.json();
-          const text = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-          results.push({ file: doc.original, extracted: text });
-        }
+        // Extracted values are the client's data, so tokens in the answer are resolved here
+        const result = await extractDocument(doc, schema, { ...options, restoreResponse: true });
+        extraction.documents.push({ file: doc.original, ...result });
+        logger.info(`Extracted ${result.records.length} record(s) from ${doc.original} (${result.method})`);
       } catch (err) {
         logger.error(`Document parse error (${doc.original}): ${err.message}`);
-        results.push({ file: doc.original, error: err.message });
+        extraction.documents.push({ file: doc.original, error: err.message });
       }
     }
 
-    return results;
+    return extraction;
   }
 }
@@ -0,0 +1,357 @@
+/**
+ * LLM Provider Layer
+ * One interface over every model backend the agency talks to. Each pipeline
+ * role (classify, plan, architect, verify, parse-documents, outreach, answer)
+ * is routed to a provider + model by configuration, so a role can move to a
+ * local model server or the offline stand-in without touching callers.
+ *
+ * Routing, per role (role name upper-cased, dashes as underscores):
+ *   LLM_PROVIDER              default provider for every role (gemini)
+ *   LLM_<ROLE>_PROVIDER       gemini | openai | local
+ *   LLM_<ROLE>_MODEL          model name passed to that provider
+ */
+
+import { createLogger } from './logger.js';
+import { validate, SchemaValidationError } from './llm-schemas.js';
+import { llmLatency, llmErrors } from './metrics.js';
+
+const logger = createLogger('llm-providers');
+
+const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-3.1-pro-preview';
+const FLASH_MODEL = process.env.GEMINI_FLASH_MODEL || 'gemini-2.5-flash-lite';
+
+// Total tries (first answer + repair re-prompts) for schema-checked responses
+const STRUCTURED_ATTEMPTS = parseInt(process.env.LLM_STRUCTURED_ATTEMPTS || '3');
+
+// Built-in defaults per role. Env overrides are applied in resolveRoute().
+const ROLE_DEFAULTS = {
+  'classify':        { model: GEMINI_MODEL, temperature: 0.2 },
+  'plan':            { model: GEMINI_MODEL, temperature: 0.2 },
+  'architect':       { model: GEMINI_MODEL, temperature: 0.2 },
+  'verify':          { model: FLASH_MODEL,  temperature: 0.2 },
+  'parse-documents': { model: GEMINI_MODEL, temperature: 0.2 },
+  'outreach':        { model: GEMINI_MODEL, temperature: 0.4 },
+  'answer':          { model: GEMINI_MODEL, temperature: 0.2 }
+};
+
+// --- Providers ---
+// Each provider implements generate({ prompt, model, temperature, maxOutputTokens, attachments, role })
+// and resolves to { text, usage: { input_tokens, output_tokens }, model, provider }.
+
+class GeminiProvider {
+  constructor() {
+    this.name = 'gemini';
+    this.apiKey = process.env.GEMINI_API_KEY;
+  }
+
+  async generate({ prompt, model, temperature, maxOutputTokens, attachments = [] }) {
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${this.apiKey}`;
+
+    const parts = [{ text: prompt }];
+    for (const a of attachments) {
+      parts.push({ inline_data: { mime_type: a.mimeType, data: a.data } });
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        contents: [{ parts }],
+        generationConfig: { temperature, maxOutputTokens }
+      })
+    });
+
+    if (!response.ok) {
+      const err = await response.text();
+      throw new Error(`Gemini API error (${response.status}): ${err}`);
+    }
+
+    const data = await response.json();
+    return {
+      text: data.candidates?.[0]?.content?.parts?.[0]?.text || '',
+      usage: {
+        input_tokens: data.usageMetadata?.promptTokenCount || 0,
+        output_tokens: data.usageMetadata?.candidatesTokenCount || 0
+      },
+      model,
+      provider: this.name
+    };
+  }
+}
+
+/**
+ * Any server speaking the OpenAI chat completions API
+ * (OpenAI itself, vLLM, llama.cpp server, Ollama, LM Studio...).
+ */
+class OpenAICompatibleProvider {
+  constructor() {
+    this.name = 'openai';
+    this.baseUrl = (process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/$/, '');
+    this.apiKey = process.env.OPENAI_API_KEY;
+  }
+
+  async generate({ prompt, model, temperature, maxOutputTokens, attachments = [] }) {
+    let content = prompt;
+    if (attachments.length) {
+      content = [{ type: 'text', text: prompt }];
+      for (const a of attachments) {
+        if (!a.mimeType.startsWith('image/')) {
+          throw new Error(`OpenAI-compatible provider cannot take ${a.mimeType} attachments`);
+        }
+        content.push({ type: 'image_url', image_url: { url: `data:${a.mimeType};base64,${a.data}` } });
+      }
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content }],
+        temperature,
+        max_tokens: maxOutputTokens
+      })
+    });
+
+    if (!response.ok) {
+      const err = await response.text();
+      throw new Error(`OpenAI-compatible API error (${response.status}): ${err}`);
+    }
+
+    const data = await response.json();
+    return {
+      text: data.choices?.[0]?.message?.content || '',
+      usage: {
+        input_tokens: data.usage?.prompt_tokens || 0,
+        output_tokens: data.usage?.completion_tokens || 0
+      },
+      model,
+      provider: this.name
+    };
+  }
+}
+
+/**
+ * Deterministic offline stand-in for air-gapped development.
+ * Returns well-formed canned responses per role so the whole pipeline
+ * can run end to end without network access. Same prompt, same answer.
+ */
+class LocalProvider {
+  constructor() {
+    this.name = 'local';
+  }
+
+  async generate({ prompt, model, role }) {
+    const field = (label) => prompt.match(new RegExp(`^${label}: (.*)$`, 'm'))?.[1]?.trim() || '';
+    let body;
+
+    switch (role) {
+      case 'classify': {
+        const message = prompt.match(/CLIENT MESSAGE: "([\s\S]*?)"/)?.[1] || '';
+        const simple = /\?\s*$/.test(message.trim());
+        body = {
+          type: simple ? 'simple' : 'data-entry',
+          mode: 'EXECUTE',
+          software: null,
+          complexity: 'low',
+          estimated_steps: 1
+        };
+        break;
+      }
+
+      case 'plan':
+        body = {
+          steps: [{
+            step_number: 1,
+            action: field('TASK') || 'Complete the task as described',
+            mode: field('CURRENT MODE') === 'SUPERVISE' ? 'SUPERVISE' : 'EXECUTE',
+            verification: 'Task output matches the request',
+            tools_needed: []
+          }],
+          estimated_duration_minutes: 1,
+          requires_human_approval: false,
+          safety_notes: 'Generated by the local provider; no model was consulted.'
+        };
+        break;
+
+      case 'architect':
+        body = {
+          root_cause: field('LAST ERROR') || 'unknown',
+          revised_plan: {
+            steps: [{
+              step_number: 1,
+              action: field('TASK') || 'Retry the task',
+              mode: 'EXECUTE',
+              verification: 'Task output matches the request',
+              tools_needed: []
+            }]
+          },
+          confidence: 0.5,
+          alternative_approaches: [],
+          should_escalate_to_human: false
+        };
+        break;
+
+      case 'verify':
+        body = { status: 'PASS', reason: 'Local provider accepts all results', suggestions: '' };
+        break;
+
+      case 'parse-documents':
+        // Nothing is read from the document; review flags the schema's required fields as missing
+        body = { records: [] };
+        break;
+
+      default:
+        // Free text roles (outreach, answer)
+        return this.result(`[local:${model}] ${prompt.split('\n').find(l => l.trim()) || ''}`.trim(), prompt, model);
+    }
+
+    return this.result(JSON.stringify(body), prompt, model);
+  }
+
+  result(text, prompt, model) {
+    // Rough 4-chars-per-token estimate keeps usage numbers plausible
+    return {
+      text,
+      usage: { input_tokens: Math.ceil(prompt.length / 4), output_tokens: Math.ceil(text.length / 4) },
+      model,
+      provider: this.name
+    };
+  }
+}
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAICompatibleProvider,
+  local: LocalProvider
+};
+
+const instances = new Map();
+
+function getProvider(name) {
+  if (!PROVIDERS[name]) throw new Error(`Unknown LLM provider: ${name}`);
+  if (!instances.has(name)) instances.set(name, new PROVIDERS[name]());
+  return instances.get(name);
+}
+
+/**
+ * Resolve which provider and model serve a role.
+ */
+export function resolveRoute(role) {
+  const defaults = ROLE_DEFAULTS[role];
+  if (!defaults) throw new Error(`Unknown LLM role: ${role}`);
+
+  const key = role.toUpperCase().replace(/-/g, '_');
+  const provider = process.env[`LLM_${key}_PROVIDER`] || process.env.LLM_PROVIDER || 'gemini';
+  const model = process.env[`LLM_${key}_MODEL`]
+    || (provider === 'gemini' ? defaults.model : process.env.LLM_DEFAULT_MODEL || defaults.model);
+
+  return { role, provider, model, temperature: defaults.temperature };
+}
+
+/**
+ * Send a prompt for a role and return the full provider response.
+ * Task calls pass hooks in `options`:
+ *   redactor   { check(provider, attachments), redact(text), restore(text) }: the client's
+ *              data policy is checked and the prompt redacted before it leaves; with
+ *              `restoreResponse` the answer gets the real values back. Required:
+ *              only prompts that carry no client data pass `redactor: null`
+ *   onPrompt   called with { role, provider, model, prompt, attachments } as sent (audit trail)
+ *   onUsage    called with { role, provider, model, usage } after the call (cost accounting)
+ */
+export async function generate(role, prompt, options = {}) {
+  const route = resolveRoute(role);
+  const provider = getProvider(route.provider);
+  const model = options.model || route.model;
+  const labels = { role, provider: route.provider, model };
+
+  const { redactor } = options;
+  if (redactor === undefined) {
+    throw new Error(`Model call for '${role}' has no redactor (pass redactor: null only for prompts without client data)`);
+  }
+  redactor?.check(route.provider, options.attachments);
+  const outbound = redactor ? redactor.redact(prompt) : prompt;
+  options.onPrompt?.({ ...labels, prompt: outbound, attachments: options.attachments?.length || 0 });
+  const stopTimer = llmLatency.startTimer(labels);
+
+  try {
+    const response = await provider.generate({
+      prompt: outbound,
+      role,
+      model,
+      temperature: options.temperature ?? route.temperature,
+      maxOutputTokens: options.maxOutputTokens || 4096,
+      attachments: options.attachments
+    });
+    options.onUsage?.({ role, provider: response.provider, model: response.model, usage: response.usage });
+    if (redactor && options.restoreResponse) response.text = redactor.restore(response.text);
+    return response;
+  } catch (err) {
+    llmErrors.inc(labels);
+    throw err;
+  } finally {
+    stopTimer();
+  }
+}
+
+/**
+ * Send a prompt for a role and return the response text.
+ */
+export async function callModel(role, prompt, options = {}) {
+  const { text } = await generate(role, prompt, options);
+  return text;
+}
+
+/**
+ * Send a prompt for a role and return JSON that satisfies a schema.
+ * Invalid or unparseable answers are sent back to the model with the
+ * validation errors quoted, up to LLM_STRUCTURED_ATTEMPTS tries in total.
+ * Throws SchemaValidationError if no attempt validates.
+ */
+export async function callModelStructured(role, prompt, schema, options = {}) {
+  const attempts = options.attempts || STRUCTURED_ATTEMPTS;
+  const basePrompt = prompt + '\n\nRespond with valid JSON only. No markdown, no code fences.';
+  let currentPrompt = basePrompt;
+  let errors = [];
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const cleaned = stripFences(await callModel(role, currentPrompt, options));
+
+    let parsed;
+    try {
+      parsed = JSON.parse(cleaned);
+      errors = validate(schema, parsed);
+    } catch (err) {
+      errors = [`response is not valid JSON (${err.message})`];
+    }
+
+    if (errors.length === 0) return parsed;
+
+    logger.warn(`Invalid ${role} response (attempt ${attempt}/${attempts}): ${errors.slice(0, 5).join('; ')}`);
+    currentPrompt = `${basePrompt}
+
+YOUR PREVIOUS RESPONSE WAS REJECTED. It failed validation with these errors:
+${errors.slice(0, 20).map(e => `- ${e}`).join('\n')}
+
+Previous response:
+${cleaned.slice(0, 3000)}
+
+Return the corrected JSON object only, with every required field present.`;
+  }
+
+  throw new SchemaValidationError(role, errors, attempts);
+}
+
+export function stripFences(text) {
+  return text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+}
+
+export function describeRoutes() {
+  return Object.keys(ROLE_DEFAULTS).map(role => {
+    const { provider, model } = resolveRoute(role);
+    return `${role}=${provider}:${model}`;
+  }).join(', ');
+}
@@ -0,0 +1,140 @@
+/**
+ * Schemas for structured model output, and a small validator for them.
+ * The schemas use a JSON Schema subset: type (string or list), enum,
+ * required, properties, items, minItems, minLength, minimum, maximum.
+ */
+
+const MODE = { type: 'string', enum: ['EXECUTE', 'SUPERVISE', 'ARCHITECT'] };
+
+const PLAN_STEP = {
+  type: 'object',
+  required: ['step_number', 'action', 'mode', 'verification'],
+  properties: {
+    step_number: { type: 'integer', minimum: 1 },
+    action: { type: 'string', minLength: 1 },
+    mode: { type: 'string', enum: ['EXECUTE', 'SUPERVISE'] },
+    verification: { type: 'string' },
+    tools_needed: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+export const CLASSIFICATION_SCHEMA = {
+  type: 'object',
+  required: ['type', 'mode'],
+  properties: {
+    type: { type: 'string', enum: ['data-entry', 'data-extraction', 'workflow', 'setup', 'simple'] },
+    mode: MODE,
+    software: { type: ['string', 'null'] },
+    complexity: { type: 'string', enum: ['low', 'medium', 'high'] },
+    estimated_steps: { type: 'number', minimum: 0 }
+  }
+};
+
+export const PLAN_SCHEMA = {
+  type: 'object',
+  required: ['steps', 'requires_human_approval'],
+  properties: {
+    steps: { type: 'array', minItems: 1, items: PLAN_STEP },
+    estimated_duration_minutes: { type: 'number', minimum: 0 },
+    requires_human_approval: { type: 'boolean' },
+    safety_notes: { type: ['string', 'null'] }
+  }
+};
+
+export const ARCHITECT_SCHEMA = {
+  type: 'object',
+  required: ['root_cause', 'confidence', 'should_escalate_to_human'],
+  properties: {
+    root_cause: { type: 'string', minLength: 1 },
+    revised_plan: {
+      type: ['object', 'null'],
+      required: ['steps'],
+      properties: { steps: { type: 'array', minItems: 1, items: PLAN_STEP } }
+    },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    alternative_approaches: { type: 'array', items: { type: 'string' } },
+    should_escalate_to_human: { type: 'boolean' }
+  }
+};
+
+export const VERIFICATION_SCHEMA = {
+  type: 'object',
+  required: ['status', 'reason'],
+  properties: {
+    status: { type: 'string', enum: ['PASS', 'RETRY', 'ESCALATE'] },
+    reason: { type: 'string' },
+    suggestions: { type: ['string', 'null'] }
+  }
+};
+
+/**
+ * Thrown when a model can't produce output matching a schema within its repair budget.
+ */
+export class SchemaValidationError extends Error {
+  constructor(role, errors, attempts) {
+    super(`Model could not produce a valid ${role} response after ${attempts} attempt(s): ${errors.join('; ')}`);
+    this.name = 'SchemaValidationError';
+    this.role = role;
+    this.errors = errors;
+    this.attempts = attempts;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function typeMatches(expected, actual) {
+  return expected === actual || (expected === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema. Returns a list of error strings (empty when valid).
+ */
+export function validate(schema, value, path = '$') {
+  const errors = [];
+  const actual = typeOf(value);
+  const types = [].concat(schema.type || []);
+
+  if (types.length && !types.some(t => typeMatches(t, actual))) {
+    errors.push(`${path} should be ${types.join(' or ')}, got ${actual}`);
+    return errors;
+  }
+  if (value === null) return errors;
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+  }
+  if (schema.minLength !== undefined && typeof value === 'string' && value.length < schema.minLength) {
+    errors.push(`${path} should not be empty`);
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    errors.push(`${path} should be >= ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && typeof value === 'number' && value > schema.maximum) {
+    errors.push(`${path} should be <= ${schema.maximum}`);
+  }
+
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validate(sub, value[key], `${path}.${key}`));
+    }
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+    }
+  }
+
+  return errors;
+}
@@ -1,23 +1,143 @@
-import { mkdirSync, appendFileSync } from 'fs';
+/**
+ * Structured Logging
+ * Each component logs JSON lines to its own file in LOG_DIR, rotated daily
+ * and by size (LOG_MAX_SIZE, default 20m) and kept for LOG_MAX_FILES (default
+ * 14d). LOG_LEVEL (error, warn, info, debug; default info) sets the minimum
+ * level written. The console keeps the readable one-line format.
+ *
+ * Lines about a task carry task_id, session_id, mode and hop as fields, so a
+ * task's timeline can be pulled from every component's log (readTaskLogs).
+ * Fields can be passed explicitly (logger.info(msg, { task_id, session_id }));
+ * messages written as "[<task id>] ..." are correlated by their prefix, and
+ * mode and hop are filled in from the task while it is queued or running.
+ * Credential values are masked to their handles, in messages and fields,
+ * before anything is written.
+ */
+
+import { mkdirSync, createReadStream } from 'fs';
+import { readdir, stat } from 'fs/promises';
+import { createInterface } from 'readline';
 import { join } from 'path';
+import winston from 'winston';
+import DailyRotateFile from 'winston-daily-rotate-file';
 
 const LOG_DIR = process.env.OPENCLAW_LOG_DIR || '/home/brans/.openclaw/logs';
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+const LOG_MAX_SIZE = process.env.LOG_MAX_SIZE || '20m';
+const LOG_MAX_FILES = process.env.LOG_MAX_FILES || '14d';
+
+export const LEVELS = ['error', 'warn', 'info', 'debug'];
+
+// "[LEGACY-1718000000000-1a2b3c4d] Planned 4 steps"
+const TASK_PREFIX = /^\[(LEGACY-\d+-[0-9a-f]+)\]/;
 
 try { mkdirSync(LOG_DIR, { recursive: true }); } catch {}
 
-export function createLogger(component) {
-  const logFile = join(LOG_DIR, `${component}.log`);
+// task id -> in-memory task, registered by the queue so lines pick up mode and hop
+let resolveTask = () => null;
+
+export function setTaskResolver(fn) {
+  resolveTask = fn;
+}
+
+// Masks secret values out of lines, registered by the credential vault
+let mask = text => text;
+
+export function setMasker(fn) {
+  mask = fn;
+}
+
+// Strings anywhere in a line's fields, e.g. a failed command's output
+function maskFields(value) {
+  if (typeof value === 'string') return mask(value);
+  if (Array.isArray(value)) return value.map(maskFields);
+  if (value instanceof Error) return { message: mask(value.message), stack: mask(value.stack) };
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, maskFields(v)]));
+  }
+  return value;
+}
+
+function correlate(msg, fields = {}) {
+  const task_id = fields.task_id || String(msg).match(TASK_PREFIX)?.[1];
+  if (!task_id) return fields;
 
-  const write = (level, msg) => {
-    const line = `[${new Date().toISOString()}] [${level}] [${component}] ${msg}`;
-    console.log(line);
-    try { appendFileSync(logFile, line + '\n'); } catch {}
+  const envelope = resolveTask(task_id)?.envelope;
+  return {
+    task_id,
+    ...(envelope ? { mode: envelope.mode, hop: envelope.hops } : {}),
+    ...fields
   };
+}
+
+const consoleFormat = winston.format.printf(({ level, message, component, timestamp }) =>
+  `[${timestamp}] [${level.toUpperCase()}] [${component}] ${message}`);
+
+export function createLogger(component) {
+  const logger = winston.createLogger({
+    level: LOG_LEVEL,
+    defaultMeta: { component },
+    format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+    transports: [
+      new winston.transports.Console({ format: consoleFormat }),
+      new DailyRotateFile({
+        dirname: LOG_DIR,
+        filename: `${component}-%DATE%.log`,
+        maxSize: LOG_MAX_SIZE,
+        maxFiles: LOG_MAX_FILES,
+        auditFile: join(LOG_DIR, `.${component}-audit.json`)
+      })
+    ]
+  });
+
+  const write = (level, msg, fields) => logger.log(level, mask(msg), maskFields(correlate(msg, fields)));
 
   return {
-    info: (msg) => write('INFO', msg),
-    warn: (msg) => write('WARN', msg),
-    error: (msg) => write('ERROR', msg),
-    debug: (msg) => write('DEBUG', msg)
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    debug: (msg, fields) => write('debug', msg, fields)
   };
 }
+
+/**
+ * Every logged line for a task across components, oldest first.
+ * `level` keeps that level and more severe; `components` limits the files read;
+ * `since` (the task's created_at) skips files last written before it, and
+ * earlier lines. Files are streamed line by line.
+ */
+export async function readTaskLogs(taskId, { level, components, since, limit = 1000 } = {}) {
+  const maxLevel = level ? LEVELS.indexOf(level) : LEVELS.length - 1;
+  const cutoff = since ? Date.parse(since) : 0;
+  const entries = [];
+
+  let files;
+  try { files = await readdir(LOG_DIR); } catch { return []; }
+
+  for (const f of files.filter(f => /\.log(\.\d+)?$/.test(f))) {
+    if (components && !components.some(c => f.startsWith(`${c}-`))) continue;
+
+    const file = join(LOG_DIR, f);
+    try {
+      if ((await stat(file)).mtimeMs < cutoff) continue;
+      const lines = createInterface({ input: createReadStream(file, 'utf8'), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line.includes(taskId)) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          // Plain-text lines from before structured logging
+          continue;
+        }
+        if (entry.task_id !== taskId || LEVELS.indexOf(entry.level) > maxLevel) continue;
+        if (cutoff && Date.parse(entry.timestamp) < cutoff) continue;
+        entries.push(entry);
+      }
+    } catch {
+      // Rotated away while being read
+    }
+  }
+
+  return entries.sort((a, b) => a.timestamp.localeCompare(b.timestamp)).slice(-limit);
+}
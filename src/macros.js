@@ -0,0 +1,324 @@
+/**
+ * GUI Macro Store
+ * A macro is the concrete action list (clicks, keystrokes, waits, window
+ * focus) for each step of a workflow that already succeeded, with a
+ * screenshot checkpoint taken before each step. One file per client +
+ * software + workflow; every successful run that needed the model adds a new
+ * version. Tasks without a client neither record nor replay macros.
+ *
+ * Typed text is stored with the task's data taken out: credential values
+ * become their handles and values from the task's records (batch rows or
+ * extracted documents) become {{record:<path>}} placeholders, e.g.
+ * {{record:0.patient_name}}, filled from the replaying task's own records.
+ * A run whose typed text can't be parameterized (a value that matches several
+ * fields, or identifying data that isn't in the records) isn't recorded, and
+ * a macro whose placeholders the task can't fill isn't replayed.
+ *
+ * Checkpoints: the perceptual hash of the whole screen, plus hashes of small
+ * regions around each click target. Replay of a step only proceeds when the
+ * click regions (or, for keyboard-only steps, the whole screen) still match.
+ */
+
+import { writeFileSync, readFileSync, readdirSync, existsSync, mkdirSync, renameSync } from 'fs';
+import { join } from 'path';
+import { createLogger } from './logger.js';
+import { perceptualHash, regionHash, sameScreen } from './screen-hash.js';
+import { maskCredentials } from './credentials.js';
+import { RedactionVault, detectIdentifying } from './redaction.js';
+import { extractedValues } from './document-extraction.js';
+
+const logger = createLogger('macros');
+
+const MACRO_DIR = process.env.MACRO_DIR || '/home/brans/legacy-automation-agency/macros';
+// Size of the anchor region captured around each click
+const REGION_W = 160;
+const REGION_H = 80;
+// Versions kept per macro
+const VERSION_LIMIT = 10;
+
+export const ACTION_TYPES = ['click', 'double_click', 'right_click', 'type', 'key', 'wait', 'focus'];
+
+// {{record:0.patient_name}}, {{record:2.line_items.1.amount}}
+const FIELD_PLACEHOLDER = /\{\{record:([\w.-]+)\}\}/g;
+// Any placeholder or handle, left alone when parameterizing
+const PLACEHOLDER = /(\{\{[^}]*\}\})/;
+// Shorter values are only parameterized when they are the whole typed text
+const MIN_INLINE_VALUE = 3;
+
+function slug(s) {
+  return String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function macroKey(clientId, software, workflow) {
+  return `${slug(clientId)}__${slug(software)}__${slug(workflow)}`;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * The data a task enters: its batch records, else the records extracted from its documents.
+ */
+function taskRecords(task) {
+  if (task.records?.length) return task.records;
+  if (!task.extraction) return [];
+  return extractedValues(task.extraction).flatMap(doc => doc.records || []);
+}
+
+// Every non-empty scalar in the records, by path ("0.patient_name", "0.line_items.1.amount")
+function fieldValues(task) {
+  const values = new Map();
+  const visit = (value, path) => {
+    if (value && typeof value === 'object') {
+      for (const [key, v] of Object.entries(value)) visit(v, `${path}.${key}`);
+    } else if (value !== null && value !== undefined && String(value).trim()) {
+      values.set(path, String(value).trim());
+    }
+  };
+  taskRecords(task).forEach((record, i) => visit(record, String(i)));
+  return values;
+}
+
+/**
+ * Typed text as it is stored in a macro: the task's redaction tokens put back,
+ * then credentials swapped for handles and record values for placeholders.
+ * Throws when a value can't be tied to exactly one field, or when identifying
+ * data that isn't in the records would be stored as it was typed.
+ */
+function parameterize(task, text, redaction) {
+  const paths = new Map();
+  for (const [path, value] of fieldValues(task)) paths.set(value, [...(paths.get(value) || []), path]);
+  const placeholder = (value) => {
+    const matches = paths.get(value);
+    if (matches.length > 1) throw new Error(`typed value matches ${matches.length} fields (${matches.join(', ')})`);
+    return `{{record:${matches[0]}}}`;
+  };
+
+  let out = maskCredentials(redaction.restore(task.id, text));
+  const whole = out.trim();
+  if (paths.has(whole)) {
+    out = out.replace(whole, placeholder(whole));
+  } else {
+    const values = [...paths.keys()].filter(v => v.length >= MIN_INLINE_VALUE).sort((a, b) => b.length - a.length);
+    out = out.split(PLACEHOLDER).map((part, i) => {
+      if (i % 2) return part;
+      for (const value of values) {
+        part = part.replace(new RegExp(`(?<![\\w])${escapeRegex(value)}(?![\\w])`, 'g'), () => placeholder(value));
+      }
+      return part;
+    }).join('');
+  }
+
+  const literal = out.split(PLACEHOLDER).filter((_, i) => i % 2 === 0).join(' ');
+  const kinds = detectIdentifying(literal);
+  if (kinds.length || /\[\[[A-Z_]+_\d+\]\]/.test(literal)) {
+    throw new Error(`typed text holds identifying data not found in the task's records (${kinds.join(', ') || 'redaction token'})`);
+  }
+  return out;
+}
+
+/**
+ * Placeholder paths in a macro version the task's records have no value for.
+ */
+function unfilledFields(task, version) {
+  const values = fieldValues(task);
+  const missing = new Set();
+  for (const step of version.steps) {
+    for (const action of step.actions) {
+      if (action.type !== 'type') continue;
+      for (const [, path] of String(action.text).matchAll(FIELD_PLACEHOLDER)) {
+        if (!values.has(path)) missing.add(path);
+      }
+    }
+  }
+  return [...missing];
+}
+
+/**
+ * A recorded action with its placeholders filled from the task's records.
+ * Credential handles are left for the bridge to resolve.
+ */
+export function fillAction(task, action) {
+  if (action.type !== 'type') return action;
+  const values = fieldValues(task);
+  return {
+    ...action,
+    text: action.text.replace(FIELD_PLACEHOLDER, (_, path) => {
+      if (!values.has(path)) throw new Error(`No value for {{record:${path}}} in the task's records`);
+      return values.get(path);
+    })
+  };
+}
+
+/**
+ * Anchor regions around every click in a step, hashed from the screenshot
+ * taken just before the step ran.
+ */
+function buildCheckpoint(screenshot, actions) {
+  if (!screenshot) return null;
+  const regions = actions
+    .filter(a => ['click', 'double_click', 'right_click'].includes(a.type))
+    .map(a => {
+      const region = {
+        x: Math.max(0, Math.round(a.x - REGION_W / 2)),
+        y: Math.max(0, Math.round(a.y - REGION_H / 2)),
+        w: REGION_W,
+        h: REGION_H
+      };
+      return { ...region, hash: regionHash(screenshot, region) };
+    })
+    .filter(r => r.hash);
+
+  return { hash: perceptualHash(screenshot), regions };
+}
+
+export class MacroStore {
+  constructor() {
+    try { mkdirSync(MACRO_DIR, { recursive: true }); } catch {}
+    this.redaction = new RedactionVault();
+  }
+
+  file(clientId, software, workflow) {
+    return join(MACRO_DIR, `${macroKey(clientId, software, workflow)}.json`);
+  }
+
+  load(clientId, software, workflow) {
+    const file = this.file(clientId, software, workflow);
+    if (!existsSync(file)) return null;
+    return JSON.parse(readFileSync(file, 'utf8'));
+  }
+
+  save(macro) {
+    const file = this.file(macro.client_id, macro.software, macro.workflow);
+    writeFileSync(`${file}.tmp`, JSON.stringify(macro, null, 2));
+    renameSync(`${file}.tmp`, file);
+  }
+
+  list() {
+    return readdirSync(MACRO_DIR).filter(f => f.endsWith('.json')).map(f => {
+      const m = JSON.parse(readFileSync(join(MACRO_DIR, f), 'utf8'));
+      return { client_id: m.client_id || null, software: m.software, workflow: m.workflow, current_version: m.current_version, stats: m.stats };
+    });
+  }
+
+  /**
+   * Current version of the macro for a task's client, software and workflow,
+   * or with `versionNumber` exactly that version (the one a task's plan was
+   * built from). Null if there is none or the task's records can't fill it.
+   */
+  find(task, versionNumber) {
+    if (!task.client_id || !task.workflow) return null;
+    const macro = this.load(task.client_id, task.software_name, task.workflow);
+    const version = macro?.versions.find(v => v.version === (versionNumber ?? macro.current_version));
+    if (!version) return null;
+
+    const missing = unfilledFields(task, version);
+    if (missing.length) {
+      logger.info(`[${task.id}] Not replaying macro v${version.version}: no value for ${missing.join(', ')}`);
+      return null;
+    }
+    return version;
+  }
+
+  /**
+   * Save a successful SUPERVISE run as a new macro version.
+   * Every step must have succeeded and reported its concrete actions.
+   * Returns the new version number, or null if the run can't be recorded.
+   */
+  record(task, plan, result) {
+    if (!task.client_id || !task.workflow) return null;
+
+    const steps = [];
+    for (const planStep of plan.steps || []) {
+      const r = result.results?.find(x => x.step === planStep.step_number);
+      if (!r || r.status !== 'success' || !Array.isArray(r.actions) || r.actions.length === 0) {
+        logger.info(`[${task.id}] Not recording macro: step ${planStep.step_number} has no reported actions`);
+        return null;
+      }
+      let actions = r.actions.filter(a => ACTION_TYPES.includes(a.type));
+      // Replayed steps already hold placeholders
+      if (!r.replayed) {
+        try {
+          actions = actions.map(a => a.type === 'type' ? { ...a, text: parameterize(task, String(a.text ?? ''), this.redaction) } : a);
+        } catch (err) {
+          logger.info(`[${task.id}] Not recording macro: step ${planStep.step_number} ${err.message}`);
+          return null;
+        }
+      }
+      steps.push({
+        step_number: planStep.step_number,
+        action: planStep.action,
+        verification: planStep.verification,
+        // Replayed steps keep the checkpoint they were replayed against
+        checkpoint: r.checkpoint || buildCheckpoint(r.screenshots?.before, actions),
+        actions
+      });
+    }
+
+    const macro = this.load(task.client_id, task.software_name, task.workflow) || {
+      client_id: task.client_id,
+      software: task.software_name,
+      workflow: task.workflow,
+      current_version: 0,
+      versions: [],
+      stats: { recorded: 0, replayed_steps: 0, fallback_steps: 0 }
+    };
+
+    const version = macro.current_version + 1;
+    macro.versions.push({ version, created_at: new Date().toISOString(), source_task_id: task.id, steps });
+    if (macro.versions.length > VERSION_LIMIT) macro.versions.splice(0, macro.versions.length - VERSION_LIMIT);
+    macro.current_version = version;
+    macro.stats.recorded++;
+
+    this.save(macro);
+    logger.info(`[${task.id}] Recorded macro ${macroKey(task.client_id, task.software_name, task.workflow)} v${version} (${steps.length} steps)`);
+    return version;
+  }
+
+  /**
+   * Count replayed vs. fallback steps for a finished run.
+   */
+  recordUsage(task, { replayed, fallback }) {
+    const macro = this.load(task.client_id, task.software_name, task.workflow);
+    if (!macro) return;
+    macro.stats.replayed_steps += replayed;
+    macro.stats.fallback_steps += fallback;
+    this.save(macro);
+  }
+}
+
+/**
+ * Does the current screen still match a macro step's checkpoint?
+ */
+export function checkpointMatches(checkpoint, screenshot) {
+  if (!checkpoint || !screenshot) return false;
+
+  if (checkpoint.regions?.length) {
+    return checkpoint.regions.every(r => {
+      const current = regionHash(screenshot, r);
+      return current && sameScreen(current, r.hash);
+    });
+  }
+
+  const current = perceptualHash(screenshot);
+  return Boolean(current && checkpoint.hash && sameScreen(current, checkpoint.hash));
+}
+
+/**
+ * Plan derived from a macro version, used instead of asking the model to plan.
+ */
+export function planFromMacro(version) {
+  return {
+    steps: version.steps.map(s => ({
+      step_number: s.step_number,
+      action: s.action,
+      mode: 'SUPERVISE',
+      verification: s.verification,
+      tools_needed: ['macro']
+    })),
+    estimated_duration_minutes: 1,
+    requires_human_approval: false,
+    safety_notes: `Replaying recorded macro v${version.version}`
+  };
+}
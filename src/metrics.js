@@ -0,0 +1,137 @@
+/**
+ * Prometheus Metrics
+ * Pipeline health for alerting and capacity planning, scraped from GET /metrics:
+ * queue depth and busy slots of the processing loop, time spent in each
+ * phase, task outcomes by software and mode, ARCHITECT escalations, and
+ * screenshot and LLM call health.
+ *
+ * Task metrics are derived from the queue's task events, so the pipeline
+ * itself only reports what it can't see from there (LLM calls, screenshots).
+ */
+
+import client from 'prom-client';
+import { profileId } from './software-profiles.js';
+
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'agency_' });
+
+// Statuses whose duration is tracked as a pipeline phase
+const PHASES = ['extracting', 'classifying', 'planned', 'executing', 'verifying'];
+
+// Task status -> outcome counted in agency_task_outcomes_total
+const OUTCOMES = {
+  completed: 'success',
+  retrying: 'retry',
+  'needs-human': 'escalate',
+  'dead-lettered': 'dead-letter',
+  failed: 'failed'
+};
+
+const queueDepth = new client.Gauge({
+  name: 'agency_queue_depth',
+  help: 'Tasks waiting in the queue',
+  registers: [registry]
+});
+
+const activeTasks = new client.Gauge({
+  name: 'agency_active_tasks',
+  help: 'Tasks being processed (each holds a desktop session)',
+  registers: [registry]
+});
+
+const maxConcurrent = new client.Gauge({
+  name: 'agency_max_concurrent_tasks',
+  help: 'Processing slots (MAX_CONCURRENT_TASKS)',
+  registers: [registry]
+});
+
+const phaseDuration = new client.Histogram({
+  name: 'agency_phase_duration_seconds',
+  help: 'Time a task spends in each pipeline phase',
+  labelNames: ['phase'],
+  buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1200, 1800, 3600],
+  registers: [registry]
+});
+
+const taskOutcomes = new client.Counter({
+  name: 'agency_task_outcomes_total',
+  help: 'Task hop outcomes (success, retry, escalate, dead-letter, failed)',
+  labelNames: ['outcome', 'software', 'mode'],
+  registers: [registry]
+});
+
+const escalations = new client.Counter({
+  name: 'agency_architect_escalations_total',
+  help: 'Tasks escalated to ARCHITECT mode',
+  registers: [registry]
+});
+
+const deescalations = new client.Counter({
+  name: 'agency_architect_deescalations_total',
+  help: 'Tasks de-escalated from ARCHITECT back to EXECUTE',
+  registers: [registry]
+});
+
+export const screenshotFailures = new client.Counter({
+  name: 'agency_screenshot_failures_total',
+  help: 'Desktop screenshots that could not be captured',
+  registers: [registry]
+});
+
+export const llmLatency = new client.Histogram({
+  name: 'agency_llm_request_duration_seconds',
+  help: 'LLM call latency',
+  labelNames: ['role', 'provider', 'model'],
+  buckets: [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60, 120],
+  registers: [registry]
+});
+
+export const llmErrors = new client.Counter({
+  name: 'agency_llm_errors_total',
+  help: 'LLM calls that failed (transport or provider errors)',
+  labelNames: ['role', 'provider', 'model'],
+  registers: [registry]
+});
+
+/**
+ * Follow a task queue: gauges read it at scrape time, and phase timings and
+ * outcomes come from its status and escalation events.
+ */
+export function observeQueue(taskQueue) {
+  queueDepth.collect = () => queueDepth.set(taskQueue.pending());
+  activeTasks.collect = () => activeTasks.set(taskQueue.active());
+  maxConcurrent.collect = () => maxConcurrent.set(taskQueue.maxConcurrent);
+
+  // task id -> { status, since (ms) } for the phase it is in
+  const current = new Map();
+
+  taskQueue.on('task-event', (event) => {
+    if (event.type === 'escalation') {
+      if (event.to === 'ARCHITECT') escalations.inc();
+      if (event.to === 'EXECUTE') deescalations.inc();
+      return;
+    }
+    if (event.type !== 'status') return;
+
+    const at = new Date(event.at).getTime();
+    const entered = current.get(event.task_id);
+    if (entered && PHASES.includes(entered.status)) {
+      phaseDuration.observe({ phase: entered.status }, (at - entered.since) / 1000);
+    }
+    if (PHASES.includes(event.to)) {
+      current.set(event.task_id, { status: event.to, since: at });
+    } else {
+      current.delete(event.task_id);
+    }
+
+    const outcome = OUTCOMES[event.to];
+    if (outcome) {
+      const task = taskQueue.liveTask(event.task_id);
+      taskOutcomes.inc({
+        outcome,
+        software: profileId(task?.software_name) || 'unknown',
+        mode: event.mode || 'unknown'
+      });
+    }
+  });
+}
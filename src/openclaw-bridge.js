@@ -1,15 +1,88 @@
-import { execSync, spawn } from 'child_process';
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { join } from 'path';
+import { EventEmitter } from 'events';
+import { execSync, execFileSync, spawn } from 'child_process';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, mkdtempSync, rmSync } from 'fs';
+import { join, basename } from 'path';
+import { tmpdir } from 'os';
 import { createLogger } from './logger.js';
+import { perceptualHash, recordStateHash, detectLoop } from './screen-hash.js';
+import { MacroStore, checkpointMatches, fillAction } from './macros.js';
+import { ProfileStore, describeProfile } from './software-profiles.js';
+import { screenshotFailures } from './metrics.js';
+import { AuditTrail } from './audit.js';
+import { RedactionVault } from './redaction.js';
+import { CredentialVault, maskSecrets } from './credentials.js';
 
 const logger = createLogger('openclaw-bridge');
 
 const STATE_DIR = process.env.OPENCLAW_STATE_DIR || '/home/brans/.openclaw/state';
 const SESSION_FILE = join(STATE_DIR, 'session.json');
 
-export class OpenClawBridge {
+// Session result protocol: each session writes <token>.json here when it finishes,
+// or prints a sentinel line in its pane if it can't write files
+const RESULTS_DIR = process.env.SESSION_RESULTS_DIR || '/home/brans/.openclaw/session-results';
+const STEP_TIMEOUT_MS = parseInt(process.env.SESSION_STEP_TIMEOUT_MS || '600000');
+const RESULT_POLL_MS = 2000;
+const SENTINEL = 'OPENCLAW_RESULT';
+// Captures are filed per task: <dir>/<task id>/step-3-before-<ts>.png, action-<ts>.png
+const SCREENSHOT_DIR = process.env.SCREENSHOT_DIR || '/home/brans/legacy-automation-agency/screenshots';
+// Upper bound for a single xdotool call (window searches block until a match)
+const ACTION_TIMEOUT_MS = parseInt(process.env.ACTION_TIMEOUT_MS || '15000');
+
+// Direct desktop actions and the fields each one needs
+export const ACTION_FIELDS = {
+  move: ['x', 'y'],
+  click: [],
+  double_click: [],
+  right_click: [],
+  type: ['text'],
+  key: ['keys'],
+  wait: ['ms'],
+  focus: ['window'],
+  wait_window: ['window'],
+  active_window: []
+};
+
+/**
+ * Why an action can't be run, or null if it's well-formed.
+ */
+export function actionError(action) {
+  if (!ACTION_FIELDS[action?.type]) return `Unknown action type: ${action?.type}`;
+  const missing = ACTION_FIELDS[action.type].filter(f => action[f] === undefined || action[f] === '');
+  return missing.length ? `Action '${action.type}' requires ${missing.join(', ')}` : null;
+}
+
+try { mkdirSync(RESULTS_DIR, { recursive: true }); } catch {}
+
+const shellQuote = value => `'${String(value).replace(/'/g, `'\\''`)}'`;
+
+/**
+ * Write a session's credential environment to a private file (0600, in a 0700
+ * directory) and return the shell command that loads it and deletes it.
+ * Values never go on a command line, where the process list would show them.
+ */
+export function writeSessionEnv(env) {
+  const dir = mkdtempSync(join(tmpdir(), 'openclaw-env-'));
+  const file = join(dir, 'env');
+  const lines = Object.entries(env).map(([name, value]) => `export ${name}=${shellQuote(value)}\n`);
+  writeFileSync(file, lines.join(''), { mode: 0o600 });
+  return { dir, command: `. ${shellQuote(file)}; rm -rf ${shellQuote(dir)}` };
+}
+
+/**
+ * Emits 'step' ({ task_id, step, status, ... }) as plan steps start and finish,
+ * 'screenshot' ({ task_id, step, phase, path }) for each capture during a task,
+ * and 'action' ({ task_id, action, status, screenshot, ... }) for direct desktop actions.
+ */
+export class OpenClawBridge extends EventEmitter {
   constructor() {
+    super();
+    // taskId -> 'pause' | 'cancel', honoured at the next step boundary
+    this.stopRequests = new Map();
+    this.macros = new MacroStore();
+    this.profiles = new ProfileStore();
+    this.audit = new AuditTrail();
+    this.redaction = new RedactionVault();
+    this.credentials = new CredentialVault();
     logger.info('OpenClaw Bridge initialized');
   }
 
@@ -35,44 +108,113 @@ export class OpenClawBridge {
 
   /**
    * Spawn a new Claude Code session for a task.
-   * Uses tmux to manage multiple sessions.
+   * Uses tmux to manage multiple sessions. Credentials the prompt refers to
+   * are put in the window's environment (resolved against `clientId`).
    */
-  async spawnClaudeSession({ taskId, mode, prompt }) {
-    const sessionName = `task-${taskId.slice(-8)}`;
+  async spawnClaudeSession({ taskId, clientId, mode, prompt, step }) {
+    const sessionName = step ? `task-${taskId.slice(-8)}-s${step}` : `task-${taskId.slice(-8)}`;
+    const resultToken = `${sessionName}-${Date.now().toString(36)}`;
 
-    logger.info(`Spawning Claude Code session: ${sessionName} (mode: ${mode})`);
+    const fields = { task_id: taskId, session_id: sessionName, mode };
+    logger.info(`Spawning Claude Code session: ${sessionName} (mode: ${mode})`, fields);
 
     try {
+      // Audited as the model wrote it; the session gets the real values back
+      const fullPrompt = this.buildPrompt(taskId, mode, prompt) + this.buildResultInstructions(resultToken, mode);
+      this.audit.record(taskId, 'prompt', { channel: 'session', session_id: sessionName, mode, step: step ?? null, prompt: maskSecrets(fullPrompt) });
+      const { text: sessionPrompt, env } = this.credentials.sessionEnv(
+        { id: taskId, client_id: clientId || null }, this.redaction.restore(taskId, fullPrompt));
+
       // Create tmux window for this task
-      execSync(`tmux new-window -t openclaw -n ${sessionName} 2>/dev/null || true`);
+      try { execFileSync('tmux', ['new-window', '-t', 'openclaw', '-n', sessionName], { stdio: 'ignore' }); } catch {}
 
-      // Start Claude Code in the window
-      execSync(`tmux send-keys -t openclaw:${sessionName} "claude" Enter`);
+      // Start Claude Code in the window, after its shell has read the task's credentials
+      const envFile = Object.keys(env).length ? writeSessionEnv(env) : null;
+      try {
+        execFileSync('tmux', ['send-keys', '-t', `openclaw:${sessionName}`, envFile ? `${envFile.command}; claude` : 'claude', 'Enter']);
 
-      // Wait for Claude to initialize
-      await new Promise(r => setTimeout(r, 5000));
+        // Wait for Claude to initialize
+        await new Promise(r => setTimeout(r, 5000));
+      } finally {
+        // Normally gone already; don't leave values on disk if the shell never sourced it
+        if (envFile) rmSync(envFile.dir, { recursive: true, force: true });
+      }
 
       // Send the task prompt
-      const fullPrompt = this.buildPrompt(taskId, mode, prompt);
-      execSync(`tmux send-keys -t openclaw:${sessionName} "${fullPrompt.replace(/"/g, '\\"')}" Enter`);
+      const credentialNote = Object.keys(env).length
+        ? `\n\nCREDENTIALS: ${Object.keys(env).map(n => `$${n}`).join(', ')} are set in your shell environment. Type them from the shell (e.g. xdotool type -- "$NAME"); never print, echo or write out their values.`
+        : '';
+      // No shell in between, so $NAME references reach the session as written
+      execFileSync('tmux', ['send-keys', '-t', `openclaw:${sessionName}`, sessionPrompt + credentialNote, 'Enter']);
 
       const session = {
         id: sessionName,
         task_id: taskId,
         mode,
         started_at: new Date().toISOString(),
-        status: 'running'
+        status: 'running',
+        result_token: resultToken,
+        result_file: join(RESULTS_DIR, `${resultToken}.json`)
       };
 
-      logger.info(`Session spawned: ${sessionName}`);
+      logger.info(`Session spawned: ${sessionName}`, fields);
       return session;
 
     } catch (err) {
-      logger.error(`Failed to spawn session ${sessionName}: ${err.message}`);
+      logger.error(`Failed to spawn session ${sessionName}: ${err.message}`, fields);
       throw err;
     }
   }
 
+  /**
+   * Ask a running task to stop. Pause takes effect at the next step boundary;
+   * cancel also kills the task's tmux windows so the current step ends now.
+   */
+  requestStop(taskId, reason) {
+    this.stopRequests.set(taskId, reason);
+    if (reason === 'cancel') this.killTaskSessions(taskId);
+  }
+
+  stopRequested(taskId) {
+    return this.stopRequests.get(taskId) || null;
+  }
+
+  clearStop(taskId) {
+    this.stopRequests.delete(taskId);
+  }
+
+  /**
+   * Kill every tmux window opened for a task. Returns the window names killed.
+   */
+  killTaskSessions(taskId) {
+    const prefix = `task-${taskId.slice(-8)}`;
+    let windows = [];
+    try {
+      windows = execSync(`tmux list-windows -t openclaw -F '#{window_name}' 2>/dev/null`, { encoding: 'utf8' })
+        .split('\n')
+        .filter(w => w === prefix || w.startsWith(`${prefix}-`));
+    } catch {
+      return [];
+    }
+
+    for (const w of windows) {
+      try { execSync(`tmux kill-window -t openclaw:${w} 2>/dev/null || true`); } catch {}
+    }
+    if (windows.length) logger.info(`[${taskId}] Killed ${windows.length} session window(s)`);
+    return windows;
+  }
+
+  /**
+   * Record a finished step on the task so a paused run can pick up after it.
+   */
+  recordProgress(task, entry) {
+    task.progress = task.progress || { completed_steps: [], results: [] };
+    if (entry.status === 'success' || entry.status === 'skipped') {
+      task.progress.completed_steps.push(entry.step);
+      task.progress.results.push(entry);
+    }
+  }
+
   /**
    * Build the appropriate prompt based on mode (EXECUTE/ARCHITECT/SUPERVISE).
    */
@@ -95,12 +237,277 @@ export class OpenClawBridge {
   }
 
   /**
-   * Take a screenshot of the current desktop.
+   * Instructions appended to every session prompt telling it how to report back.
+   * The sentinel is described rather than shown so the prompt echoed in the
+   * pane can never be mistaken for a real result.
+   */
+  buildResultInstructions(resultToken, mode) {
+    const file = join(RESULTS_DIR, `${resultToken}.json`);
+    // GUI runs also report the concrete input they sent so the step can be recorded as a macro
+    const actions = mode === 'SUPERVISE'
+      ? ' and actions (every input you sent, in order, as objects: {"type":"click"|"double_click"|"right_click","x":..,"y":..}, {"type":"type","text":".."}, {"type":"key","keys":"ctrl+s"}, {"type":"wait","ms":..}, {"type":"focus","window":"title"})'
+      : '';
+    return `\n\nWHEN FINISHED: write a JSON object to ${file} with fields status ("success" or "failed"), output (what you did or extracted), exit_code (0 on success), summary (one sentence)${actions}. ` +
+      `If you cannot write that file, print a single line consisting of ${SENTINEL}, a space, ${resultToken}, a space, then the same JSON object.`;
+  }
+
+  /**
+   * Wait for a spawned session to report its result.
+   * Polls for the result file, falling back to scanning the pane for the
+   * sentinel line. Always captures the pane transcript and closes the window.
+   */
+  async waitForSessionResult(session, timeoutMs = STEP_TIMEOUT_MS) {
+    const target = `openclaw:${session.id}`;
+    const deadline = Date.now() + timeoutMs;
+    const sentinel = new RegExp(`${SENTINEL} ${session.result_token} (\\{.*\\})`);
+    let reported = null;
+    let transcript = '';
+
+    while (Date.now() < deadline) {
+      await new Promise(r => setTimeout(r, RESULT_POLL_MS));
+
+      if (this.stopRequested(session.task_id) === 'cancel') {
+        return { status: 'cancelled', output: null, exit_code: null, summary: 'Cancelled by operator', transcript: null, transcript_tail: '' };
+      }
+
+      if (existsSync(session.result_file)) {
+        try {
+          reported = JSON.parse(readFileSync(session.result_file, 'utf8'));
+          break;
+        } catch {
+          // Session may still be writing the file — try again next poll
+        }
+      }
+
+      transcript = this.capturePane(target);
+      const match = transcript.match(sentinel);
+      if (match) {
+        try {
+          reported = JSON.parse(match[1]);
+          break;
+        } catch {}
+      }
+    }
+
+    // Anything the session echoed from its credentials goes back to handles
+    transcript = maskSecrets(this.capturePane(target) || transcript);
+    const transcriptFile = join(RESULTS_DIR, `${session.result_token}.transcript.txt`);
+    try { writeFileSync(transcriptFile, transcript); } catch {}
+
+    try { execSync(`tmux kill-window -t ${target} 2>/dev/null || true`); } catch {}
+
+    if (!reported) {
+      logger.warn(`Session ${session.id} produced no result within ${Math.round(timeoutMs / 1000)}s`, { task_id: session.task_id, session_id: session.id });
+      return {
+        status: 'timeout',
+        output: null,
+        exit_code: null,
+        summary: `No result within ${Math.round(timeoutMs / 1000)}s`,
+        transcript: transcriptFile,
+        transcript_tail: transcript.slice(-500)
+      };
+    }
+
+    reported = JSON.parse(maskSecrets(JSON.stringify(reported)));
+    const status = reported.status === 'success' ? 'success' : 'failed';
+    logger.info(`Session ${session.id} reported ${status}${reported.summary ? `: ${reported.summary}` : ''}`, { task_id: session.task_id, session_id: session.id });
+    return {
+      status,
+      output: reported.output ?? null,
+      exit_code: reported.exit_code ?? (status === 'success' ? 0 : 1),
+      summary: reported.summary || '',
+      ...(Array.isArray(reported.actions) ? { actions: reported.actions } : {}),
+      transcript: transcriptFile,
+      transcript_tail: transcript.slice(-500)
+    };
+  }
+
+  capturePane(target) {
+    try {
+      return execSync(`tmux capture-pane -p -J -S -2000 -t ${target} 2>/dev/null`, { encoding: 'utf8' });
+    } catch {
+      return '';
+    }
+  }
+
+  /**
+   * Spawn a session for one plan step and wait for its reported outcome.
    */
-  async takeScreenshot() {
-    const screenshotDir = '/home/brans/legacy-automation-agency/screenshots';
-    const filename = `screenshot-${Date.now()}.png`;
+  async runStep(task, step, mode, prompt) {
+    const session = await this.spawnClaudeSession({
+      taskId: task.id,
+      clientId: task.client_id,
+      mode,
+      prompt,
+      step: step.step_number
+    });
+    task.envelope.session_ids.push(session.id);
+
+    const timeoutMs = step.timeout_seconds ? step.timeout_seconds * 1000 : STEP_TIMEOUT_MS;
+    const outcome = await this.waitForSessionResult(session, timeoutMs);
+    return { session: session.id, ...outcome };
+  }
+
+  /**
+   * Send one concrete input to the desktop with xdotool.
+   * Returns data for actions that read desktop state, otherwise undefined.
+   */
+  async performAction(action) {
+    const xdotool = (args, timeout = ACTION_TIMEOUT_MS) =>
+      execFileSync('xdotool', args, { encoding: 'utf8', timeout }).trim();
+
+    switch (action.type) {
+      case 'move':
+        xdotool(['mousemove', '--sync', String(action.x), String(action.y)]);
+        break;
+      case 'click':
+      case 'double_click':
+      case 'right_click': {
+        const button = action.type === 'right_click' ? '3' : String(action.button || 1);
+        const repeat = action.type === 'double_click' ? ['--repeat', '2'] : [];
+        // Without coordinates, click wherever the pointer already is
+        const move = action.x !== undefined ? ['mousemove', '--sync', String(action.x), String(action.y)] : [];
+        xdotool([...move, 'click', ...repeat, button]);
+        break;
+      }
+      case 'type':
+        xdotool(['type', '--delay', String(action.delay_ms || 40), '--', action.text]);
+        break;
+      case 'key':
+        xdotool(['key', '--', ...String(action.keys).split(/\s+/)]);
+        break;
+      case 'wait':
+        await new Promise(r => setTimeout(r, action.ms || 500));
+        break;
+      case 'focus':
+        xdotool(['search', '--sync', '--limit', '1', '--name', action.window, 'windowactivate', '--sync']);
+        break;
+      case 'wait_window': {
+        const timeout = action.timeout_ms || ACTION_TIMEOUT_MS;
+        try {
+          const id = xdotool(['search', '--sync', '--limit', '1', '--name', action.window], timeout);
+          return { window_id: id };
+        } catch (err) {
+          if (err.code === 'ETIMEDOUT') throw new Error(`Window "${action.window}" did not appear within ${timeout}ms`);
+          throw err;
+        }
+      }
+      case 'active_window': {
+        const geometry = {};
+        for (const line of xdotool(['getactivewindow', 'getwindowgeometry', '--shell']).split('\n')) {
+          const [key, value] = line.split('=');
+          if (value !== undefined) geometry[key.toLowerCase()] = parseInt(value);
+        }
+        return {
+          window_id: geometry.window,
+          title: xdotool(['getactivewindow', 'getwindowname']),
+          x: geometry.x,
+          y: geometry.y,
+          width: geometry.width,
+          height: geometry.height
+        };
+      }
+      default:
+        throw new Error(`Unknown action type: ${action.type}`);
+    }
+  }
+
+  /**
+   * An action with redaction tokens and credential handles in its text
+   * replaced by the task's real values. The action log keeps the tokenized form.
+   */
+  restoreAction(task, action) {
+    if (action.type !== 'type') return action;
+    return { ...action, text: this.credentials.resolve(task, this.redaction.restore(task.id, action.text), 'type') };
+  }
+
+  /**
+   * Run a single desktop action for a task without an LLM session.
+   * A screenshot is taken after the action; the entry is emitted as an
+   * 'action' event so the queue can log it against the task. Credential
+   * handles in typed text resolve against the task's client.
+   */
+  async runAction(task, action) {
+    const invalid = actionError(action);
+    if (invalid) throw new Error(invalid);
+
+    const taskId = task.id;
+    const started = Date.now();
+    const entry = { at: new Date(started).toISOString(), action, status: 'success' };
+    try {
+      const result = await this.performAction(this.restoreAction(task, action));
+      if (result) entry.result = result;
+    } catch (err) {
+      entry.status = 'failed';
+      // xdotool errors quote the command line, typed text included
+      entry.error = maskSecrets(err.message);
+      logger.warn(`[${taskId}] Action ${action.type} failed: ${entry.error}`);
+    }
+    entry.duration_ms = Date.now() - started;
+    entry.screenshot = await this.takeScreenshot({ taskId, label: 'action' });
+
+    this.emit('action', { task_id: taskId, ...entry });
+    return entry;
+  }
+
+  /**
+   * If the active window is a modal dialog the software profile knows about,
+   * dismiss it with the profile's actions. Returns the dialog handled, or null.
+   */
+  async dismissKnownDialog(task, profile) {
+    if (!profile?.profile.dialogs?.length) return null;
+
+    let title;
+    try {
+      title = (await this.performAction({ type: 'active_window' })).title.toLowerCase();
+    } catch {
+      return null;
+    }
+
+    const dialog = profile.profile.dialogs.find(d => title.includes(d.title_contains.toLowerCase()));
+    if (!dialog) return null;
+
+    logger.info(`[${task.id}] Dismissing known dialog "${dialog.title_contains}"`);
+    for (const action of dialog.dismiss) {
+      const entry = await this.runAction(task, action);
+      if (entry.status !== 'success') break;
+    }
+    return dialog;
+  }
+
+  /**
+   * Replay a recorded macro step's actions, placeholders filled from the
+   * task's records. A short settle wait follows each action so the UI can
+   * catch up, as it would for a human.
+   */
+  async replayStep(task, macroStep) {
+    try {
+      for (const action of macroStep.actions) {
+        await this.performAction(this.restoreAction(task, fillAction(task, action)));
+        if (action.type !== 'wait') await new Promise(r => setTimeout(r, 150));
+      }
+      logger.info(`[${task.id}] Replayed macro step ${macroStep.step_number} (${macroStep.actions.length} actions)`);
+      return {
+        status: 'success',
+        summary: `Replayed ${macroStep.actions.length} recorded action(s)`,
+        replayed: true,
+        actions: macroStep.actions,
+        checkpoint: macroStep.checkpoint
+      };
+    } catch (err) {
+      return { status: 'failed', error: `Macro replay failed: ${err.message}`, replayed: true };
+    }
+  }
+
+  /**
+   * Take a screenshot of the current desktop, filed under the task when there is one.
+   */
+  async takeScreenshot({ taskId, step, phase, label } = {}) {
+    const screenshotDir = taskId && basename(taskId) === taskId ? join(SCREENSHOT_DIR, taskId) : SCREENSHOT_DIR;
+    const name = step !== undefined ? `step-${step}-${phase}` : label || 'screenshot';
+    const filename = `${name}-${Date.now()}.png`;
     const filepath = join(screenshotDir, filename);
+    try { mkdirSync(screenshotDir, { recursive: true }); } catch {}
 
     try {
       // Try different screenshot tools
@@ -123,6 +530,7 @@ export class OpenClawBridge {
       return filepath;
     } catch (err) {
       logger.warn(`Screenshot failed: ${err.message}`);
+      screenshotFailures.inc();
       return null;
     }
   }
@@ -131,9 +539,19 @@ export class OpenClawBridge {
    * Execute a task using shell commands (EXECUTE mode).
    */
   async executeTask(task, plan) {
-    const results = [];
+    // Steps finished before a pause are carried over, not re-run
+    const results = [...(task.progress?.results || [])];
+    const done = task.progress?.completed_steps || [];
 
     for (const step of (plan.steps || [])) {
+      if (done.includes(step.step_number)) continue;
+
+      const stop = this.stopRequested(task.id);
+      if (stop) {
+        logger.info(`[${task.id}] Stopping before step ${step.step_number} (${stop})`);
+        return { task_id: task.id, mode: 'EXECUTE', results, stopped: stop };
+      }
+
       if (step.mode === 'SUPERVISE') {
         // Skip GUI steps in EXECUTE mode — they need SUPERVISE
         results.push({
@@ -141,24 +559,20 @@ export class OpenClawBridge {
           status: 'skipped',
           reason: 'GUI step requires SUPERVISE mode'
         });
+        this.recordProgress(task, results[results.length - 1]);
         continue;
       }
 
       logger.info(`[${task.id}] Executing step ${step.step_number}: ${step.action}`);
+      this.emit('step', { task_id: task.id, step: step.step_number, status: 'started', action: step.action });
 
       try {
-        // For EXECUTE mode, we dispatch to a Claude Code session
-        const session = await this.spawnClaudeSession({
-          taskId: task.id,
-          mode: 'EXECUTE',
-          prompt: `Step ${step.step_number}: ${step.action}\n\nVerification: ${step.verification}`
-        });
+        // For EXECUTE mode, we dispatch to a Claude Code session and wait for its report
+        const outcome = await this.runStep(task, step, 'EXECUTE',
+          `Step ${step.step_number}: ${step.action}\n\nVerification: ${step.verification}`
+        );
 
-        results.push({
-          step: step.step_number,
-          status: 'dispatched',
-          session: session.id
-        });
+        results.push({ step: step.step_number, ...outcome });
       } catch (err) {
         results.push({
           step: step.step_number,
@@ -166,6 +580,13 @@ export class OpenClawBridge {
           error: err.message
         });
       }
+
+      const last = results[results.length - 1];
+      this.recordProgress(task, last);
+      this.emit('step', { task_id: task.id, step: step.step_number, status: last.status, summary: last.summary || last.error });
+
+      // Later steps build on earlier ones — stop at the first step that didn't succeed
+      if (last.status !== 'success') break;
     }
 
     return { task_id: task.id, mode: 'EXECUTE', results };
@@ -175,29 +596,68 @@ export class OpenClawBridge {
    * Execute a GUI task using Computer Use (SUPERVISE mode).
    */
   async superviseTask(task, plan) {
-    const results = [];
+    const results = [...(task.progress?.results || [])];
+    const done = task.progress?.completed_steps || [];
+
+    // Known workflow: replay recorded steps whose checkpoint still matches the screen,
+    // from the version the plan (and any approval of it) was built from
+    const macro = task.macro ? this.macros.find(task, task.macro.version) : null;
+    if (task.macro && !macro) {
+      throw new Error(`Macro v${task.macro.version} for ${task.software_name}/${task.workflow} is no longer available to replay`);
+    }
+    const profile = this.profiles.match(task.software_name);
+    const profileInfo = profile ? `\n\n${describeProfile(profile)}` : '';
 
     for (const step of (plan.steps || [])) {
+      if (done.includes(step.step_number)) continue;
+
+      const stop = this.stopRequested(task.id);
+      if (stop) {
+        logger.info(`[${task.id}] Stopping before step ${step.step_number} (${stop})`);
+        return { task_id: task.id, mode: 'SUPERVISE', results, stopped: stop };
+      }
+
       logger.info(`[${task.id}] SUPERVISE step ${step.step_number}: ${step.action}`);
 
+      this.emit('step', { task_id: task.id, step: step.step_number, status: 'started', action: step.action });
+
+      // Clear nag screens (update reminders, backup prompts) before looking at the screen
+      await this.dismissKnownDialog(task, profile);
+
       // Take screenshot before action
-      const beforeScreenshot = await this.takeScreenshot();
+      const beforeScreenshot = await this.takeScreenshot({ taskId: task.id, step: step.step_number, phase: 'before' });
+      if (beforeScreenshot) this.emit('screenshot', { task_id: task.id, step: step.step_number, phase: 'before', path: beforeScreenshot });
 
       try {
-        const session = await this.spawnClaudeSession({
-          taskId: task.id,
-          mode: 'SUPERVISE',
-          prompt: `Step ${step.step_number}: ${step.action}\n\nExpected UI state: ${step.verification}`
-        });
+        const macroStep = macro?.steps.find(s => s.step_number === step.step_number);
+        let outcome;
+
+        if (macroStep && checkpointMatches(macroStep.checkpoint, beforeScreenshot)) {
+          outcome = await this.replayStep(task, macroStep);
+        } else {
+          if (macroStep) logger.info(`[${task.id}] Checkpoint mismatch at step ${step.step_number}, falling back to model session`);
+          outcome = await this.runStep(task, step, 'SUPERVISE',
+            `Step ${step.step_number}: ${step.action}\n\nExpected UI state: ${step.verification}${profileInfo}`
+          );
+          if (macro) outcome.fallback = true;
+        }
 
         // Take screenshot after action
-        const afterScreenshot = await this.takeScreenshot();
+        const afterScreenshot = await this.takeScreenshot({ taskId: task.id, step: step.step_number, phase: 'after' });
+        if (afterScreenshot) this.emit('screenshot', { task_id: task.id, step: step.step_number, phase: 'after', path: afterScreenshot });
+
+        const hashes = {
+          before: beforeScreenshot && perceptualHash(beforeScreenshot),
+          after: afterScreenshot && perceptualHash(afterScreenshot)
+        };
+        recordStateHash(task, { hash: hashes.before, step: step.step_number, phase: 'before' });
+        recordStateHash(task, { hash: hashes.after, step: step.step_number, phase: 'after', status: outcome.status });
 
         results.push({
           step: step.step_number,
-          status: 'dispatched',
-          session: session.id,
-          screenshots: { before: beforeScreenshot, after: afterScreenshot }
+          ...outcome,
+          screenshots: { before: beforeScreenshot, after: afterScreenshot },
+          state_hashes: hashes
         });
       } catch (err) {
         results.push({
@@ -206,8 +666,22 @@ export class OpenClawBridge {
           error: err.message
         });
       }
+
+      const last = results[results.length - 1];
+      this.recordProgress(task, last);
+      this.emit('step', { task_id: task.id, step: step.step_number, status: last.status, summary: last.summary || last.error });
+
+      if (last.status !== 'success') {
+        // Stop spending hops on a screen that isn't responding
+        const loop = detectLoop(task.envelope.state_hashes);
+        if (loop.detected) logger.warn(`[${task.id}] Loop detected after step ${step.step_number}: ${loop.reason}`);
+        return { task_id: task.id, mode: 'SUPERVISE', results, loop };
+      }
     }
 
-    return { task_id: task.id, mode: 'SUPERVISE', results };
+    // Every step succeeded. Only a retry hop can be cycling; a first run goes to verification.
+    const loop = task.envelope.consecutive_failures > 0 ? detectLoop(task.envelope.state_hashes) : { detected: false };
+    if (loop.detected) logger.warn(`[${task.id}] Loop detected at the end of a retry hop: ${loop.reason}`);
+    return { task_id: task.id, mode: 'SUPERVISE', results, loop };
   }
 }
@@ -7,29 +7,16 @@
 import { writeFileSync, existsSync, mkdirSync, readFileSync } from 'fs';
 import { join } from 'path';
 import { createLogger } from './logger.js';
+import { callModel, stripFences } from './llm-providers.js';
 
 const logger = createLogger('outreach');
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-3.1-pro-preview';
+
+// Market research and pitches to prospects carry no client data
+const NO_CLIENT_DATA = { redactor: null };
 
 const OUTREACH_DIR = '/home/brans/legacy-automation-agency/outreach';
 if (!existsSync(OUTREACH_DIR)) mkdirSync(OUTREACH_DIR, { recursive: true });
 
-async function callGemini(prompt) {
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${GEMINI_API_KEY}`;
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      contents: [{ parts: [{ text: prompt }] }],
-      generationConfig: { temperature: 0.4, maxOutputTokens: 4096 }
-    })
-  });
-  if (!response.ok) throw new Error(`Gemini error: ${response.status}`);
-  const data = await response.json();
-  return data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-}
-
 /**
  * Generate a list of target industries and software to search for.
  */
@@ -59,8 +46,8 @@ Focus on:
 
 Return as a JSON array of objects.`;
 
-  const result = await callGemini(prompt);
-  const cleaned = result.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  const result = await callModel('outreach', prompt, NO_CLIENT_DATA);
+  const cleaned = stripFences(result);
 
   writeFileSync(join(OUTREACH_DIR, 'target-list.json'), cleaned);
   logger.info('Target list saved to outreach/target-list.json');
@@ -95,8 +82,8 @@ Each template should:
 
 Return as JSON with: channel, subject (if email), body, notes.`;
 
-  const result = await callGemini(prompt);
-  const cleaned = result.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  const result = await callModel('outreach', prompt, NO_CLIENT_DATA);
+  const cleaned = stripFences(result);
 
   writeFileSync(join(OUTREACH_DIR, 'templates.json'), cleaned);
   logger.info('Outreach templates saved to outreach/templates.json');
@@ -125,8 +112,8 @@ Also provide:
 
 Return as JSON with: platform, search_query, expected_results, monthly_value_per_client, roi_pitch.`;
 
-  const result = await callGemini(prompt);
-  const cleaned = result.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  const result = await callModel('outreach', prompt, NO_CLIENT_DATA);
+  const cleaned = stripFences(result);
 
   writeFileSync(join(OUTREACH_DIR, 'job-research.json'), cleaned);
   logger.info('Job research saved to outreach/job-research.json');
@@ -157,7 +144,7 @@ Write a warm, professional message (under 150 words) that:
 
 Sound like a helpful consultant, not a salesperson.`;
 
-  return await callGemini(prompt);
+  return await callModel('outreach', prompt, NO_CLIENT_DATA);
 }
 
 /**
@@ -0,0 +1,341 @@
+/**
+ * Prospect CRM
+ * Businesses found by outreach (job boards, intake, referrals), tracked from
+ * first sighting to a won or lost deal. One JSON file per prospect in
+ * PROSPECT_DIR, holding its pipeline stage and stage history, notes, contact
+ * history, the next follow-up date and the latest drafted pitch.
+ *
+ * Adding a prospect that is already known (same job URL, same email, or same
+ * company once names are normalized: case, punctuation, Inc/LLC/...) merges
+ * into the existing record instead of creating a second one, so outreach runs
+ * can be imported repeatedly.
+ *
+ * Logging a contact moves the pipeline along on its own: the first outbound
+ * message marks a found prospect as pitched, and an inbound one marks a
+ * pitched prospect as replied. Other stages are set explicitly.
+ *
+ * Assessment requests from the public intake form land here too, kept on the
+ * prospect as pending intake requests. Nothing runs for them until an
+ * operator turns one into a task for a client account. The form is
+ * anonymous, so a submission joins a known prospect only on the same email
+ * and never moves its stage.
+ */
+
+import { writeFileSync, readFileSync, readdirSync, mkdirSync, existsSync, renameSync } from 'fs';
+import { join, basename } from 'path';
+import { randomBytes } from 'crypto';
+import { createLogger } from './logger.js';
+import { generatePitch } from './outreach.js';
+
+const logger = createLogger('prospects');
+
+const PROSPECT_DIR = process.env.PROSPECT_DIR || '/home/brans/legacy-automation-agency/prospects';
+
+export const STAGES = ['found', 'pitched', 'replied', 'assessment-booked', 'won', 'lost'];
+
+// Stages with nothing left to follow up on
+const CLOSED_STAGES = ['won', 'lost'];
+
+const CONTACT_DIRECTIONS = ['outbound', 'inbound'];
+
+const EDITABLE_FIELDS = ['company', 'contact_name', 'email', 'phone', 'software', 'industry', 'pain_point', 'source'];
+
+// Intake form fields and their longest accepted length
+const INTAKE_FIELDS = { name: 200, email: 200, company: 200, software: 200, task_type: 50, volume: 200, description: 5000 };
+
+// "Acme Dental, LLC." -> "acme dental"
+export function companyKey(company) {
+  return String(company || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/\b(inc|llc|ltd|llp|pllc|pc|co|corp|corporation|company|limited|dds|dmd)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Job postings are the same posting whatever tracking parameters the link carries
+export function normalizeUrl(url) {
+  if (!url) return null;
+  try {
+    const parsed = new URL(url);
+    return `${parsed.protocol}//${parsed.host.toLowerCase()}${parsed.pathname.replace(/\/+$/, '')}`;
+  } catch {
+    return String(url).trim().replace(/[?#].*$/, '').replace(/\/+$/, '');
+  }
+}
+
+function validDate(value) {
+  if (value === null) return null;
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value))) {
+    throw new Error('`next_follow_up` must be a date (YYYY-MM-DD) or null');
+  }
+  return value;
+}
+
+export class ProspectStore {
+  constructor() {
+    try { mkdirSync(PROSPECT_DIR, { recursive: true }); } catch {}
+  }
+
+  list({ stage, due, intake } = {}) {
+    const today = new Date().toISOString().slice(0, 10);
+    const prospects = [];
+    for (const f of readdirSync(PROSPECT_DIR).filter(f => f.endsWith('.json'))) {
+      try {
+        prospects.push(JSON.parse(readFileSync(join(PROSPECT_DIR, f), 'utf8')));
+      } catch (err) {
+        logger.error(`Skipping unreadable prospect ${f}: ${err.message}`);
+      }
+    }
+    return prospects
+      .filter(p => !stage || p.stage === stage)
+      .filter(p => !due || (p.next_follow_up && p.next_follow_up <= today && !CLOSED_STAGES.includes(p.stage)))
+      .filter(p => intake !== 'pending' || (p.intake_requests || []).some(r => !r.task_id))
+      .sort((a, b) => due
+        ? a.next_follow_up.localeCompare(b.next_follow_up)
+        : new Date(b.updated_at) - new Date(a.updated_at));
+  }
+
+  get(prospectId) {
+    if (typeof prospectId !== 'string' || basename(prospectId) !== prospectId) return null;
+    const file = join(PROSPECT_DIR, `${prospectId}.json`);
+    if (!existsSync(file)) return null;
+    return JSON.parse(readFileSync(file, 'utf8'));
+  }
+
+  save(prospect) {
+    prospect.updated_at = new Date().toISOString();
+    const file = join(PROSPECT_DIR, `${prospect.id}.json`);
+    writeFileSync(`${file}.tmp`, JSON.stringify(prospect, null, 2));
+    renameSync(`${file}.tmp`, file);
+  }
+
+  /**
+   * The known prospect a submission duplicates, if any.
+   */
+  findDuplicate({ company, job_url, email }) {
+    const url = normalizeUrl(job_url);
+    const key = companyKey(company);
+    const mail = email && String(email).trim().toLowerCase();
+    return this.list().find(p => (url && p.job_urls.includes(url))
+      || (mail && p.email?.toLowerCase() === mail)
+      || (key && companyKey(p.company) === key)) || null;
+  }
+
+  /**
+   * Add a prospect, or merge into the one it duplicates.
+   * Returns { prospect, created }.
+   */
+  add(fields, by) {
+    const { company, job_url, email, next_follow_up } = fields;
+    if (!company && !job_url && !email) throw new Error('A prospect needs a `company`, a `job_url` or an `email`');
+    const followUp = next_follow_up === undefined ? undefined : validDate(next_follow_up);
+
+    const existing = this.findDuplicate(fields);
+    if (existing) return { prospect: this.merge(existing, fields, by, followUp), created: false };
+    return { prospect: this.create(fields, by, followUp), created: true };
+  }
+
+  /**
+   * Fold a duplicate submission into a known prospect. What's already known wins.
+   */
+  merge(existing, { job_url, note, ...fields }, by, followUp) {
+    for (const field of EDITABLE_FIELDS) {
+      if (!existing[field] && fields[field]) existing[field] = fields[field];
+    }
+    const url = normalizeUrl(job_url);
+    if (url && !existing.job_urls.includes(url)) existing.job_urls.push(url);
+    if (note && !existing.notes.some(n => n.text === note)) existing.notes.push({ at: new Date().toISOString(), by, text: note });
+    if (followUp !== undefined) existing.next_follow_up = followUp;
+    this.save(existing);
+    logger.info(`Merged duplicate into prospect ${existing.id} (${existing.company || url || existing.email})`);
+    return existing;
+  }
+
+  /**
+   * A new prospect, starting in the found stage.
+   */
+  create(fields, by, followUp) {
+    const { job_url, email, note } = fields;
+    const now = new Date().toISOString();
+    const prospect = {
+      id: `PROS-${randomBytes(5).toString('hex')}`,
+      ...Object.fromEntries(EDITABLE_FIELDS.map(field => [field, fields[field] || null])),
+      job_urls: job_url ? [normalizeUrl(job_url)] : [],
+      stage: 'found',
+      stage_history: [{ stage: 'found', at: now, by }],
+      notes: note ? [{ at: now, by, text: note }] : [],
+      contacts: [],
+      next_follow_up: followUp ?? null,
+      pitch: null,
+      intake_requests: [],
+      created_at: now
+    };
+    this.save(prospect);
+    logger.info(`Added prospect ${prospect.id} (${prospect.company || job_url || email})`);
+    return prospect;
+  }
+
+  /**
+   * Add many prospects (an outreach run's results). Returns counts and ids.
+   */
+  import(list, by) {
+    const summary = { created: 0, merged: 0, skipped: 0, ids: [] };
+    for (const fields of list) {
+      try {
+        const { prospect, created } = this.add(fields, by);
+        summary[created ? 'created' : 'merged']++;
+        if (!summary.ids.includes(prospect.id)) summary.ids.push(prospect.id);
+      } catch {
+        summary.skipped++;
+      }
+    }
+    logger.info(`Imported prospects: ${summary.created} new, ${summary.merged} merged, ${summary.skipped} skipped`);
+    return summary;
+  }
+
+  update(prospectId, changes, by) {
+    const prospect = this.get(prospectId);
+    if (!prospect) return null;
+
+    for (const field of EDITABLE_FIELDS) {
+      if (changes[field] !== undefined) prospect[field] = changes[field];
+    }
+    if (changes.next_follow_up !== undefined) prospect.next_follow_up = validDate(changes.next_follow_up);
+    if (changes.stage !== undefined) this.moveTo(prospect, changes.stage, by);
+
+    this.save(prospect);
+    return prospect;
+  }
+
+  moveTo(prospect, stage, by) {
+    if (!STAGES.includes(stage)) throw new Error(`Invalid stage: ${stage} (one of ${STAGES.join(', ')})`);
+    if (prospect.stage === stage) return;
+    logger.info(`Prospect ${prospect.id}: ${prospect.stage} -> ${stage}`);
+    prospect.stage = stage;
+    prospect.stage_history.push({ stage, at: new Date().toISOString(), by });
+    // A closed deal has nothing to follow up
+    if (CLOSED_STAGES.includes(stage)) prospect.next_follow_up = null;
+  }
+
+  addNote(prospectId, text, by) {
+    const prospect = this.get(prospectId);
+    if (!prospect) return null;
+    if (!text) throw new Error('`text` is required');
+
+    prospect.notes.push({ at: new Date().toISOString(), by, text });
+    this.save(prospect);
+    return prospect;
+  }
+
+  /**
+   * Log a message sent to or received from the prospect.
+   */
+  addContact(prospectId, { channel, direction = 'outbound', summary, next_follow_up }, by) {
+    const prospect = this.get(prospectId);
+    if (!prospect) return null;
+    if (!channel) throw new Error('`channel` is required (e.g. email, upwork, linkedin, phone)');
+    if (!CONTACT_DIRECTIONS.includes(direction)) throw new Error(`\`direction\` must be one of ${CONTACT_DIRECTIONS.join(', ')}`);
+
+    prospect.contacts.push({ at: new Date().toISOString(), channel, direction, summary: summary || null, by });
+    if (direction === 'outbound' && prospect.stage === 'found') this.moveTo(prospect, 'pitched', by);
+    if (direction === 'inbound' && prospect.stage === 'pitched') this.moveTo(prospect, 'replied', by);
+    if (next_follow_up !== undefined) prospect.next_follow_up = validDate(next_follow_up);
+
+    this.save(prospect);
+    return prospect;
+  }
+
+  /**
+   * Record an assessment request from the public intake form. The submitter
+   * becomes a prospect (or joins the one with the same email) and the request
+   * waits on it for an operator. Returns { prospect, request }.
+   */
+  addIntake(submission) {
+    const fields = {};
+    for (const [name, max] of Object.entries(INTAKE_FIELDS)) {
+      const value = submission?.[name];
+      if (value === undefined || value === null || value === '') continue;
+      if (typeof value !== 'string') throw new Error(`\`${name}\` must be a string`);
+      if (value.length > max) throw new Error(`\`${name}\` must be at most ${max} characters`);
+      fields[name] = value.trim();
+    }
+    if (!fields.description) throw new Error('`description` is required');
+    if (!fields.email) throw new Error('`email` is required');
+
+    const submitted = {
+      company: fields.company,
+      contact_name: fields.name,
+      email: fields.email,
+      software: fields.software,
+      pain_point: fields.description,
+      source: 'intake-form'
+    };
+    const mail = fields.email.toLowerCase();
+    const existing = this.list().find(p => p.email?.toLowerCase() === mail);
+    const prospect = existing ? this.merge(existing, submitted, 'intake-form') : this.create(submitted, 'intake-form');
+
+    const now = new Date().toISOString();
+    const request = {
+      id: `INTAKE-${randomBytes(4).toString('hex')}`,
+      at: now,
+      software: fields.software || null,
+      task_type: fields.task_type || null,
+      volume: fields.volume || null,
+      description: fields.description,
+      task_id: null
+    };
+    prospect.intake_requests = prospect.intake_requests || [];
+    prospect.intake_requests.push(request);
+    prospect.contacts.push({ at: now, channel: 'intake-form', direction: 'inbound', summary: 'Assessment request', by: 'intake-form' });
+
+    this.save(prospect);
+    logger.info(`Intake request ${request.id} on prospect ${prospect.id}`);
+    return { prospect, request };
+  }
+
+  /**
+   * A prospect's intake request not yet turned into a task: the one named, or the latest.
+   */
+  pendingIntake(prospectId, requestId) {
+    const requests = this.get(prospectId)?.intake_requests || [];
+    const request = requestId ? requests.find(r => r.id === requestId) : requests.filter(r => !r.task_id).pop();
+    if (!request) throw new Error(requestId ? `No intake request ${requestId} on this prospect` : 'No pending intake request on this prospect');
+    if (request.task_id) throw new Error(`Intake request ${request.id} was already converted to task ${request.task_id}`);
+    return request;
+  }
+
+  /**
+   * Mark an intake request as turned into a task.
+   */
+  convertIntake(prospectId, requestId, taskId, by) {
+    const prospect = this.get(prospectId);
+    const request = prospect.intake_requests.find(r => r.id === requestId);
+    Object.assign(request, { task_id: taskId, converted_at: new Date().toISOString(), converted_by: by });
+    prospect.notes.push({ at: request.converted_at, by, text: `Intake request ${requestId} converted to task ${taskId}` });
+    this.save(prospect);
+    logger.info(`Intake request ${requestId} converted to task ${taskId} by ${by}`);
+    return prospect;
+  }
+
+  /**
+   * Draft an outreach message for the prospect with generatePitch. The draft
+   * is kept on the prospect; sending it is logged as a contact.
+   */
+  async draftPitch(prospectId, by) {
+    const prospect = this.get(prospectId);
+    if (!prospect) return null;
+
+    const text = await generatePitch({
+      name: prospect.contact_name || 'there',
+      company: prospect.company || 'your company',
+      software: prospect.software || 'your desktop software',
+      painPoint: prospect.pain_point || 'manual data entry'
+    });
+
+    prospect.pitch = { text: text.trim(), drafted_at: new Date().toISOString(), by };
+    this.save(prospect);
+    logger.info(`Drafted pitch for prospect ${prospect.id}`);
+    return prospect;
+  }
+}
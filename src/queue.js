@@ -1,35 +1,265 @@
-import { writeFileSync, readFileSync } from 'fs';
-import { join } from 'path';
-import { createLogger } from './logger.js';
+import { EventEmitter } from 'events';
+import { writeFileSync, readFileSync, renameSync, readdirSync, mkdirSync, existsSync, rmSync } from 'fs';
+import { join, basename } from 'path';
+import { createLogger, setTaskResolver } from './logger.js';
+import { TaskJournal } from './task-journal.js';
+import { DeadLetterStore } from './dead-letter.js';
+import { assessPlan, alreadyApproved, planDigest, recordDecision } from './approval.js';
+import { SchemaValidationError } from './llm-schemas.js';
+import { planFromMacro } from './macros.js';
+import { schemaForTask, reviewItems, applyCorrections } from './document-extraction.js';
+import { profileId } from './software-profiles.js';
+import { DeliverableStore } from './deliverables.js';
+import { AuditTrail } from './audit.js';
+import { PolicyError } from './redaction.js';
 
 const logger = createLogger('queue');
 
-export class TaskQueue {
+const TASK_DIR = process.env.TASK_DIR || '/home/brans/legacy-automation-agency/tasks';
+
+// Statuses a task can be left in when the process dies mid-flight
+const IN_FLIGHT_STATUSES = ['received', 'extracting', 'classifying', 'planned', 'executing', 'verifying', 'retrying'];
+
+const CANCELLABLE_STATUSES = [...IN_FLIGHT_STATUSES, 'paused', 'awaiting-review', 'awaiting-approval', 'needs-human'];
+
+export const MODES = ['EXECUTE', 'SUPERVISE', 'ARCHITECT'];
+
+// Recent events kept so reconnecting stream clients can catch up (Last-Event-ID)
+const EVENT_BACKLOG = 500;
+
+// Direct desktop actions kept on each task record
+const ACTION_LOG_LIMIT = 200;
+
+// Concurrent tasks per target application, e.g. "dentrix=1,sage-50=2".
+// A GUI app usually has one desktop session, so most limits will be 1.
+const APP_LIMITS = Object.fromEntries((process.env.APP_CONCURRENCY || '')
+  .split(',').map(pair => pair.split('=')).filter(([app, n]) => app && n)
+  .map(([app, n]) => [profileId(app), parseInt(n)]));
+const APP_LIMIT_DEFAULT = parseInt(process.env.APP_CONCURRENCY_DEFAULT || '0') || Infinity;
+
+// Tasks for "Dentrix G7" count against a "dentrix" limit
+function appKey(software) {
+  const app = profileId(software);
+  return Object.keys(APP_LIMITS).filter(k => app === k || app.startsWith(`${k}-`)).sort((a, b) => b.length - a.length)[0] || app;
+}
+
+/**
+ * Fresh anti-loop envelope for a new (or replayed) task.
+ */
+export function newEnvelope(taskId, mode = 'EXECUTE') {
+  return {
+    ttl_max: 10,
+    hops: 0,
+    mode,
+    state_hashes: [],
+    consecutive_failures: 0,
+    consecutive_successes: 0,
+    escalated: false,
+    session_ids: [],
+    mcp_cache_key: `${taskId}-cache`
+  };
+}
+
+/**
+ * Task queue and processing loop.
+ * Also the event bus for task activity: every published event is emitted as
+ * 'task-event' with { id, type, task_id, client_id, at, ...data }. Types: status, plan,
+ * step, screenshot, verification, escalation, approval.
+ */
+export class TaskQueue extends EventEmitter {
   constructor() {
+    super();
     this.queue = [];
     this.processing = new Map();
     this.done = [];
     this.maxConcurrent = parseInt(process.env.MAX_CONCURRENT_TASKS || '3');
+
+    try { mkdirSync(TASK_DIR, { recursive: true }); } catch {}
+    this.journal = new TaskJournal(TASK_DIR);
+    this.deadLetters = new DeadLetterStore();
+    this.deliverables = new DeliverableStore();
+    this.audit = new AuditTrail();
+
+    this.eventSeq = 0;
+    this.eventLog = [];
+    this.lastStatus = new Map();
+    this.owners = new Map();
+
+    // Log lines about a queued or running task carry its mode and hop
+    setTaskResolver(taskId => this.processing.get(taskId) || this.queue.find(t => t.id === taskId));
+  }
+
+  /**
+   * Publish a task event to subscribers and the replay backlog.
+   * Every event also goes into the task's audit trail.
+   */
+  publish(type, taskId, data = {}) {
+    const event = {
+      id: ++this.eventSeq,
+      type,
+      task_id: taskId,
+      client_id: this.owners.get(taskId) || null,
+      at: new Date().toISOString(),
+      ...data
+    };
+    this.audit.record(taskId, type, data);
+    this.eventLog.push(event);
+    if (this.eventLog.length > EVENT_BACKLOG) this.eventLog.shift();
+    this.emit('task-event', event);
+    return event;
+  }
+
+  /**
+   * Events after a given ID, optionally for one task.
+   */
+  eventsSince(lastId, taskId) {
+    return this.eventLog.filter(e => e.id > lastId && (!taskId || e.task_id === taskId));
   }
 
   enqueue(task) {
     this.queue.push(task);
-    logger.info(`Enqueued task ${task.id} (queue depth: ${this.queue.length})`);
+    logger.info(`Enqueued task ${task.id} (queue depth: ${this.queue.length})`, { task_id: task.id });
+  }
+
+  /**
+   * Take the first queued task whose target application has a free slot.
+   */
+  nextTask() {
+    const running = new Map();
+    for (const t of this.processing.values()) {
+      const app = appKey(t.software_name);
+      running.set(app, (running.get(app) || 0) + 1);
+    }
+    const index = this.queue.findIndex(t => {
+      const app = appKey(t.software_name);
+      return (running.get(app) || 0) < (APP_LIMITS[app] ?? APP_LIMIT_DEFAULT);
+    });
+    return index === -1 ? null : this.queue.splice(index, 1)[0];
   }
 
   pending() { return this.queue.length; }
   completed() { return this.done.length; }
   active() { return this.processing.size; }
 
+  /**
+   * Rebuild the queue from persisted task files after a restart.
+   * Uncommitted journal writes are replayed first, then every in-flight task
+   * is resumed or sent back for re-planning depending on where it stopped.
+   */
+  recover() {
+    for (const entry of this.journal.uncommitted()) this.recoverWrite(entry);
+    this.journal.reset();
+
+    const tasks = this.listTasks();
+    tasks.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+    let resumed = 0;
+    for (const task of tasks) {
+      if (task.status === 'completed') {
+        this.done.push(task);
+        continue;
+      }
+      if (!IN_FLIGHT_STATUSES.includes(task.status)) continue;
+
+      this.recoverTask(task);
+      if (task.status !== 'dead-lettered') resumed++;
+    }
+
+    logger.info(`Recovered ${resumed} in-flight task(s), ${this.done.length} completed`);
+  }
+
+  /**
+   * Settle a task write the journal never saw committed. A complete temp file
+   * with the journaled status is the write that was cut short before its
+   * rename; anything else means the task file still holds the last good record.
+   */
+  recoverWrite({ task_id, status }) {
+    if (typeof task_id !== 'string' || basename(task_id) !== task_id) return;
+    const file = join(TASK_DIR, `${task_id}.json`);
+
+    let pending = null;
+    try { pending = JSON.parse(readFileSync(`${file}.tmp`, 'utf8')); } catch {}
+
+    if (pending?.id === task_id && pending.status === status) {
+      renameSync(`${file}.tmp`, file);
+      logger.warn(`[${task_id}] Completed interrupted task write (status: ${status})`);
+    } else {
+      rmSync(`${file}.tmp`, { force: true });
+      logger.warn(`[${task_id}] Interrupted task write to ${status} did not land; keeping the saved record`);
+    }
+  }
+
+  recoverTask(task) {
+    const interrupted = task.status;
+    task.recovered_from = interrupted;
+
+    switch (interrupted) {
+      case 'received':
+      case 'retrying':
+        // Never started (or between attempts) — pick up as-is
+        break;
+
+      case 'planned':
+        // Plan survived; keep it and go straight to execution
+        if (!task.plan?.steps?.length) task.status = 'received';
+        break;
+
+      case 'extracting':
+      case 'classifying':
+        task.status = 'received';
+        break;
+
+      case 'executing':
+      case 'verifying':
+        // We can't tell what the session did to the target app before the crash,
+        // so count it as a failed attempt and re-plan from the current screen
+        task.envelope.consecutive_failures++;
+        task.envelope.consecutive_successes = 0;
+        task.last_error = `Interrupted by server restart while ${interrupted}`;
+        this.recordHop(task, 'INTERRUPTED', task.last_error);
+
+        if (task.envelope.hops >= task.envelope.ttl_max) {
+          logger.warn(`[${task.id}] Interrupted with TTL exhausted (${task.envelope.hops}/${task.envelope.ttl_max}). Dead-lettering.`);
+          task.status = 'dead-lettered';
+          this.saveTask(task);
+          this.deadLetter(task);
+          return;
+        }
+
+        if (task.envelope.consecutive_failures >= 3 && !task.envelope.escalated) {
+          task.envelope.mode = 'ARCHITECT';
+          task.envelope.escalated = true;
+        }
+        task.status = 'retrying';
+        break;
+    }
+
+    this.saveTask(task);
+    this.queue.push(task);
+    logger.info(`[${task.id}] Recovered from '${interrupted}' as '${task.status}' (hop ${task.envelope.hops}/${task.envelope.ttl_max})`);
+  }
+
   async startProcessing(gemini, openclaw) {
     logger.info('Task processing loop started');
+    this.openclaw = openclaw;
+    this.gemini = gemini;
+
+    // Relay per-step progress from the bridge onto the task event bus,
+    // saving after each finished step so pause/restart keeps the progress
+    openclaw.on('step', ({ task_id, ...data }) => {
+      this.publish('step', task_id, data);
+      const task = this.processing.get(task_id);
+      if (task && data.status !== 'started') this.saveTask(task);
+    });
+    openclaw.on('screenshot', ({ task_id, ...data }) => this.publish('screenshot', task_id, data));
+    openclaw.on('action', ({ task_id, ...entry }) => this.logAction(task_id, entry));
 
     setInterval(async () => {
       // Don't exceed concurrency limit
       if (this.processing.size >= this.maxConcurrent) return;
-      if (this.queue.length === 0) return;
 
-      const task = this.queue.shift();
+      const task = this.nextTask();
+      if (!task) return;
       this.processing.set(task.id, task);
 
       logger.info(`Processing task ${task.id} (${task.description.slice(0, 60)}...)`);
@@ -38,21 +268,70 @@ export class TaskQueue {
         await this.processTask(task, gemini, openclaw);
       } catch (err) {
         logger.error(`Task ${task.id} failed: ${err.message}`);
-        await this.handleFailure(task, err, gemini, openclaw);
+        if (err instanceof SchemaValidationError || err instanceof PolicyError) {
+          this.failTask(task, err);
+        } else {
+          await this.handleFailure(task, err, gemini, openclaw);
+        }
       }
+
+      // A pause that arrived after the last step boundary has nothing left to stop
+      openclaw.clearStop(task.id);
     }, 5000); // Check queue every 5 seconds
   }
 
   async processTask(task, gemini, openclaw) {
-    // Phase 1: Gemini orchestrator classifies and plans
-    logger.info(`[${task.id}] Phase 1: Gemini classification`);
-    task.status = 'classifying';
-    this.saveTask(task);
+    let plan;
 
-    const plan = await gemini.planExecution(task);
-    task.plan = plan;
-    task.status = 'planned';
-    this.saveTask(task);
+    // Checked before every hop so a task looping through ARCHITECT can't run up the model bill
+    const overBudget = gemini.costs.overBudget(task);
+    if (overBudget) {
+      this.holdForBudget(task, overBudget);
+      return;
+    }
+
+    if (task.status === 'planned' && task.plan?.steps?.length) {
+      // Recovered after a restart, or resumed, with its plan intact; the plan may
+      // have been revised by ARCHITECT since it was approved, so it is checked again
+      logger.info(`[${task.id}] Resuming with existing plan (${task.plan.steps.length} steps)`);
+      plan = task.plan;
+      if (this.holdForApproval(task, plan)) return;
+    } else {
+      // Phase 0: typed data out of the uploads, checked by a human if the extraction is unsure
+      if (task.documents?.length && !task.extraction) {
+        if (await this.extractDocuments(task, gemini)) return;
+      }
+
+      // Phase 1: Gemini orchestrator classifies and plans
+      logger.info(`[${task.id}] Phase 1: Gemini classification`);
+      task.status = 'classifying';
+      this.saveTask(task);
+
+      // A GUI workflow we've recorded before skips the model on its first attempt
+      const macro = task.envelope.mode === 'SUPERVISE' && task.envelope.consecutive_failures === 0
+        ? openclaw.macros.find(task)
+        : null;
+
+      if (macro) {
+        logger.info(`[${task.id}] Using recorded macro v${macro.version} for ${task.software_name}/${task.workflow}`);
+        plan = planFromMacro(macro);
+        task.macro = { version: macro.version };
+      } else {
+        plan = await gemini.planExecution(task);
+        delete task.macro;
+      }
+      task.plan = plan;
+      task.progress = { completed_steps: [], results: [] };
+      this.publishPlan(task, macro ? 'macro' : 'model');
+
+      // Risky or model-flagged plans wait for an operator before anything runs
+      if (this.holdForApproval(task, plan)) return;
+
+      task.status = 'planned';
+      this.saveTask(task);
+    }
+
+    if (this.settleStop(task)) return;
 
     // Phase 2: Execute based on mode
     logger.info(`[${task.id}] Phase 2: Execution (mode: ${task.envelope.mode})`);
@@ -71,17 +350,35 @@ export class TaskQueue {
         break;
       case 'ARCHITECT':
         result = await gemini.architectTask(task);
+        if (task.plan !== plan) this.publishPlan(task, 'architect');
         break;
       default:
         result = await openclaw.executeTask(task, plan);
     }
 
+    if (result.stopped && this.settleStop(task)) return;
+
+    // Surface the first step that didn't succeed so retries and ARCHITECT see it
+    const failedStep = result.results?.find(r => r.status !== 'success' && r.status !== 'skipped');
+    if (failedStep) {
+      task.last_error = `Step ${failedStep.step} ${failedStep.status}: ${failedStep.error || failedStep.summary || 'no details'}`;
+      logger.warn(`[${task.id}] ${task.last_error}`);
+    }
+
+    // A screen that stopped changing or keeps cycling won't fix itself on retry
+    if (result.loop?.detected) {
+      this.handleLoop(task, result);
+      return;
+    }
+
     // Phase 3: Flash-Lite verification
     logger.info(`[${task.id}] Phase 3: Verification`);
     task.status = 'verifying';
     this.saveTask(task);
 
     const verification = await gemini.verifyResult(task, result);
+    this.recordHop(task, verification.status, verification.reason);
+    this.publish('verification', task.id, { verdict: verification.status, reason: verification.reason, hop: task.envelope.hops });
 
     if (verification.status === 'PASS') {
       task.status = 'completed';
@@ -94,9 +391,13 @@ export class TaskQueue {
       if (task.envelope.consecutive_successes >= 2 && task.envelope.escalated) {
         task.envelope.mode = 'EXECUTE';
         task.envelope.escalated = false;
+        this.publish('escalation', task.id, { to: 'EXECUTE', reason: 'De-escalated after consecutive successes' });
         logger.info(`[${task.id}] De-escalated to EXECUTE mode`);
       }
 
+      if (result.mode === 'SUPERVISE') this.recordMacro(task, plan, result, openclaw);
+      await this.writeDeliverables(task);
+
       this.saveTask(task);
       this.processing.delete(task.id);
       this.done.push(task);
@@ -120,9 +421,12 @@ export class TaskQueue {
       if (task.envelope.consecutive_failures >= 3 && !task.envelope.escalated) {
         task.envelope.mode = 'ARCHITECT';
         task.envelope.escalated = true;
+        this.publish('escalation', task.id, { to: 'ARCHITECT', reason: '3 consecutive failures' });
         logger.info(`[${task.id}] Escalated to ARCHITECT mode after 3 failures`);
       }
 
+      if (this.settleStop(task)) return;
+
       // Re-enqueue
       task.status = 'retrying';
       this.saveTask(task);
@@ -136,13 +440,225 @@ export class TaskQueue {
       task.verification = verification;
       this.saveTask(task);
       this.processing.delete(task.id);
+      this.publish('escalation', task.id, { to: 'needs-human', reason: verification.reason });
       logger.warn(`[${task.id}] Needs human intervention`);
     }
   }
 
+  /**
+   * Extract the task's documents against its target schema. Returns true
+   * when the task has been parked for operator review of uncertain fields.
+   */
+  async extractDocuments(task, gemini) {
+    logger.info(`[${task.id}] Phase 0: Extracting ${task.documents.length} document(s)`);
+    task.status = 'extracting';
+    this.saveTask(task);
+
+    task.extraction = await gemini.parseDocuments(task.documents, schemaForTask(task), gemini.forTask(task));
+    const items = reviewItems(task.extraction);
+    this.publish('extraction', task.id, {
+      schema: task.extraction.schema.id,
+      records: task.extraction.documents.reduce((n, d) => n + (d.records?.length || 0), 0),
+      review_items: items.length
+    });
+
+    if (items.length === 0) {
+      task.extraction.review = { state: 'not-needed' };
+      return false;
+    }
+
+    task.status = 'awaiting-review';
+    task.extraction.review = { state: 'pending', items, requested_at: new Date().toISOString() };
+    this.saveTask(task);
+    this.processing.delete(task.id);
+    this.publish('review', task.id, { state: 'pending', items: items.length });
+    logger.warn(`[${task.id}] Awaiting review of ${items.length} extracted field(s)`);
+    return true;
+  }
+
+  /**
+   * Publish the task's current plan as its next version (model, macro, architect or operator).
+   */
+  publishPlan(task, source, extra = {}) {
+    task.plan_version = (task.plan_version || 0) + 1;
+    this.publish('plan', task.id, { version: task.plan_version, source, ...extra, steps: task.plan.steps?.length || 0, plan: task.plan });
+  }
+
+  /**
+   * Park a task whose plan is risky or model-flagged and not already approved
+   * as it stands. Returns true when the task now waits for an operator.
+   */
+  holdForApproval(task, plan) {
+    const gate = assessPlan(task, plan);
+    if (!gate.required || alreadyApproved(task, gate, plan)) return false;
+
+    task.status = 'awaiting-approval';
+    task.approval = {
+      state: 'pending',
+      rules: gate.rules,
+      reasons: gate.reasons,
+      safety_notes: plan.safety_notes || null,
+      requested_at: new Date().toISOString()
+    };
+    this.saveTask(task);
+    this.processing.delete(task.id);
+    this.publish('approval', task.id, { state: 'pending', reasons: gate.reasons });
+    logger.warn(`[${task.id}] Awaiting approval: ${gate.reasons.join('; ')}`);
+    return true;
+  }
+
+  /**
+   * Decision log entry for an operator action, also kept in the audit trail.
+   */
+  decide(task, decision) {
+    const entry = recordDecision(task, decision);
+    this.audit.record(task.id, 'decision', entry);
+    return entry;
+  }
+
+  /**
+   * Park a task that has hit its model budget until an operator approves more
+   * spend. Approval sends it back to the status it was stopped in; rules an
+   * earlier plan approval covered stay approved.
+   */
+  holdForBudget(task, reason) {
+    const approved = task.approval?.state === 'approved' ? task.approval.rules.filter(r => r !== 'budget') : [];
+    task.approval = {
+      state: 'pending',
+      rules: [...approved, 'budget'],
+      plan_digest: approved.length ? task.approval.plan_digest : undefined,
+      reasons: [reason],
+      safety_notes: null,
+      resume_status: task.status,
+      requested_at: new Date().toISOString()
+    };
+    task.status = 'awaiting-approval';
+    this.saveTask(task);
+    this.processing.delete(task.id);
+    this.publish('approval', task.id, { state: 'pending', reasons: [reason] });
+    logger.warn(`[${task.id}] Awaiting approval: ${reason}`);
+  }
+
+  /**
+   * Build the client's download folder for a task. A failure here doesn't
+   * undo the completion; an operator can regenerate the files later.
+   */
+  async writeDeliverables(task) {
+    try {
+      const manifest = await this.deliverables.generate(task);
+      task.deliverables = { generated_at: manifest.generated_at, files: manifest.files.map(f => f.name) };
+      this.publish('deliverables', task.id, { files: manifest.files.length });
+      return manifest;
+    } catch (err) {
+      logger.warn(`[${task.id}] Failed to generate deliverables: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * After a successful GUI run, keep the macro for its workflow current:
+   * a run that needed the model at any step becomes the next macro version.
+   */
+  recordMacro(task, plan, result, openclaw) {
+    if (!task.workflow || !task.client_id) return;
+    const steps = result.results || [];
+    const replayed = steps.filter(r => r.replayed).length;
+    const fallback = steps.length - replayed;
+
+    try {
+      if (task.macro) openclaw.macros.recordUsage(task, { replayed, fallback });
+      if (!task.macro || fallback > 0) {
+        const version = openclaw.macros.record(task, plan, result);
+        if (version) task.macro_recorded = version;
+      }
+    } catch (err) {
+      logger.warn(`[${task.id}] Failed to record macro: ${err.message}`);
+    }
+  }
+
+  /**
+   * Append a direct desktop action to the task's action log.
+   */
+  logAction(taskId, entry) {
+    const task = this.liveTask(taskId);
+    if (!task) return;
+    const log = task.action_log || (task.action_log = []);
+    log.push(entry);
+    if (log.length > ACTION_LOG_LIMIT) log.splice(0, log.length - ACTION_LOG_LIMIT);
+    this.saveTask(task);
+    this.publish('action', taskId, entry);
+  }
+
+  /**
+   * End a task that can't safely continue — the model never produced a usable
+   * plan or verdict, so there is nothing trustworthy to execute or retry with,
+   * or the client's data policy forbids the call it needs.
+   */
+  failTask(task, error) {
+    task.last_error = error.message;
+    task.failure = { role: error.role, errors: error.errors, attempts: error.attempts, at: new Date().toISOString() };
+    this.recordHop(task, 'INVALID', error.message);
+    task.status = 'failed';
+    this.saveTask(task);
+    this.processing.delete(task.id);
+    this.publish('escalation', task.id, { to: 'failed', reason: error.message });
+    logger.error(`[${task.id}] FAILED: ${error.message}`);
+  }
+
+  /**
+   * Apply a pending pause or cancel at a phase boundary.
+   * Returns true if the task was stopped and processing should end here.
+   */
+  settleStop(task) {
+    const stop = this.openclaw?.stopRequested(task.id);
+    if (!stop) return false;
+
+    this.openclaw.clearStop(task.id);
+    this.processing.delete(task.id);
+    task.status = stop === 'cancel' ? 'cancelled' : 'paused';
+    delete task.stop_requested;
+    this.saveTask(task);
+
+    const done = task.progress?.completed_steps?.length || 0;
+    logger.info(`[${task.id}] ${stop === 'cancel' ? 'Cancelled' : `Paused after ${done} completed step(s)`}`);
+    return true;
+  }
+
+  /**
+   * Escalate a task whose screen-state hashes show it going nowhere.
+   * First detection hands it to ARCHITECT; a loop after that goes to a human.
+   */
+  handleLoop(task, result) {
+    task.result = result;
+    task.last_error = `Loop detected (${result.loop.kind}): ${result.loop.reason}`;
+    this.recordHop(task, 'LOOP', task.last_error);
+    task.envelope.consecutive_failures++;
+    task.envelope.consecutive_successes = 0;
+    this.processing.delete(task.id);
+
+    if (!task.envelope.escalated) {
+      task.envelope.mode = 'ARCHITECT';
+      task.envelope.escalated = true;
+      task.status = 'retrying';
+      this.saveTask(task);
+      this.queue.push(task);
+      this.publish('escalation', task.id, { to: 'ARCHITECT', reason: task.last_error });
+      logger.warn(`[${task.id}] ${task.last_error}. Escalated to ARCHITECT mode`);
+      return;
+    }
+
+    task.status = 'needs-human';
+    this.saveTask(task);
+    this.publish('escalation', task.id, { to: 'needs-human', reason: task.last_error });
+    logger.warn(`[${task.id}] ${task.last_error} while already escalated. Needs human intervention`);
+  }
+
   async handleFailure(task, error, gemini, openclaw) {
     task.envelope.consecutive_failures++;
     task.last_error = error.message;
+    this.recordHop(task, 'ERROR', error.message);
+
+    if (this.settleStop(task)) return;
 
     if (task.envelope.hops >= task.envelope.ttl_max) {
       task.status = 'dead-lettered';
@@ -153,6 +669,9 @@ export class TaskQueue {
     }
 
     if (task.envelope.consecutive_failures >= 3) {
+      if (!task.envelope.escalated) {
+        this.publish('escalation', task.id, { to: 'ARCHITECT', reason: error.message });
+      }
       task.envelope.mode = 'ARCHITECT';
       task.envelope.escalated = true;
     }
@@ -164,21 +683,322 @@ export class TaskQueue {
   }
 
   saveTask(task) {
-    const dir = process.env.TASK_DIR || '/home/brans/legacy-automation-agency/tasks';
     try {
-      writeFileSync(join(dir, `${task.id}.json`), JSON.stringify(task, null, 2));
+      const seq = this.journal.begin(task);
+      this.writeTaskFile(task);
+      this.journal.commit(seq, task.id);
     } catch (err) {
       logger.error(`Failed to save task ${task.id}: ${err.message}`);
     }
+
+    if (task.client_id) this.owners.set(task.id, task.client_id);
+
+    // Every status transition passes through here, so this is where they're published
+    const previous = this.lastStatus.get(task.id);
+    if (previous !== task.status) {
+      this.lastStatus.set(task.id, task.status);
+      this.publish('status', task.id, { from: previous || null, to: task.status, mode: task.envelope?.mode, hop: task.envelope?.hops });
+    }
+  }
+
+  /**
+   * Write via a temp file and rename so a crash never leaves a half-written record.
+   */
+  writeTaskFile(task) {
+    const file = join(TASK_DIR, `${task.id}.json`);
+    writeFileSync(`${file}.tmp`, JSON.stringify(task, null, 2));
+    renameSync(`${file}.tmp`, file);
   }
 
   deadLetter(task) {
-    const dlDir = '/home/brans/.openclaw/dead-letter';
     try {
-      writeFileSync(join(dlDir, `${task.id}.json`), JSON.stringify(task, null, 2));
+      this.deadLetters.add(task);
       logger.warn(`Task ${task.id} moved to dead-letter queue`);
     } catch (err) {
       logger.error(`Failed to dead-letter task ${task.id}: ${err.message}`);
     }
   }
+
+  /**
+   * Send a dead-lettered task back through the pipeline with a fresh envelope.
+   * The previous attempt's error and hop history are kept under `replays`.
+   */
+  replayDeadLetter(taskId, { description, mode } = {}) {
+    const task = this.deadLetters.get(taskId);
+    if (!task) return null;
+    if (mode && !MODES.includes(mode)) throw new Error(`Invalid mode: ${mode}`);
+
+    task.replays = task.replays || [];
+    task.replays.push({
+      at: new Date().toISOString(),
+      dead_lettered_at: task.dead_lettered_at,
+      last_error: task.last_error || null,
+      hop_history: task.hop_history || [],
+      previous_description: description ? task.description : undefined
+    });
+
+    if (description) task.description = description;
+    task.envelope = newEnvelope(task.id, mode || 'EXECUTE');
+    task.status = 'received';
+    task.hop_history = [];
+    delete task.plan;
+    delete task.result;
+    delete task.verification;
+    delete task.last_error;
+    delete task.dead_lettered_at;
+    delete task.recovered_from;
+
+    this.saveTask(task);
+    this.deadLetters.remove(taskId);
+    this.enqueue(task);
+    logger.info(`[${task.id}] Replayed from dead-letter queue (mode: ${task.envelope.mode})`);
+    return task;
+  }
+
+  /**
+   * Read every task record on disk.
+   */
+  listTasks() {
+    let files;
+    try {
+      files = readdirSync(TASK_DIR).filter(f => f.endsWith('.json'));
+    } catch (err) {
+      logger.error(`Failed to read task directory: ${err.message}`);
+      return [];
+    }
+
+    const tasks = [];
+    for (const f of files) {
+      try {
+        tasks.push(JSON.parse(readFileSync(join(TASK_DIR, f), 'utf8')));
+      } catch (err) {
+        logger.error(`Skipping unreadable task file ${f}: ${err.message}`);
+      }
+    }
+    return tasks;
+  }
+
+  /**
+   * Read a task record from disk. Returns null for unknown IDs.
+   */
+  loadTask(taskId) {
+    if (typeof taskId !== 'string' || basename(taskId) !== taskId) return null;
+    const file = join(TASK_DIR, `${taskId}.json`);
+    if (!existsSync(file)) return null;
+    return JSON.parse(readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * The in-memory copy of a queued or running task if there is one, else the saved record.
+   * Operator actions must mutate the live object or the processing loop would overwrite them.
+   */
+  liveTask(taskId) {
+    return this.processing.get(taskId)
+      || this.queue.find(t => t.id === taskId)
+      || this.loadTask(taskId);
+  }
+
+  /**
+   * Load a task that must be in one of the given statuses for an operator action.
+   */
+  loadTaskFor(taskId, statuses, action) {
+    const task = this.liveTask(taskId);
+    if (!task) return null;
+    if (!statuses.includes(task.status)) {
+      throw new Error(`Cannot ${action} task in status '${task.status}'`);
+    }
+    return task;
+  }
+
+  /**
+   * Approve a pending plan and send the task on to execution with that plan.
+   * A budget hold is approved by allowing more spend, and the task resumes where it stopped.
+   */
+  approveTask(taskId, { by, note }) {
+    const task = this.loadTaskFor(taskId, ['awaiting-approval'], 'approve');
+    if (!task) return null;
+
+    task.approval.state = 'approved';
+    task.approval.decided_at = new Date().toISOString();
+    task.approval.decided_by = by;
+    // A budget approval keeps the plan an earlier approval covered; otherwise the plan on screen is approved
+    task.approval.plan_digest = task.approval.plan_digest ?? planDigest(task.plan);
+    this.decide(task, { decision: 'approve', by, note });
+
+    if (task.approval.rules.includes('budget')) this.gemini?.costs.approveOverrun(task);
+    task.status = task.approval.resume_status || 'planned';
+    delete task.approval.resume_status;
+    this.saveTask(task);
+    this.enqueue(task);
+    this.publish('approval', task.id, { state: 'approved', by });
+    logger.info(`[${task.id}] Plan approved by ${by}`);
+    return task;
+  }
+
+  /**
+   * Accept a parked extraction, with any corrections ({ "<review path>": value }),
+   * and send the task on to planning. Fields still uncertain after the
+   * corrections are accepted as reviewed.
+   */
+  reviewExtraction(taskId, { by, note, corrections }) {
+    const task = this.loadTaskFor(taskId, ['awaiting-review'], 'review');
+    if (!task) return null;
+
+    // All corrections apply or none do
+    const extraction = structuredClone(task.extraction);
+    applyCorrections(extraction, corrections);
+    task.extraction = extraction;
+    this.decide(task, { decision: 'review', by, note });
+    task.extraction.review = {
+      ...task.extraction.review,
+      state: 'approved',
+      corrections: Object.keys(corrections || {}).length,
+      decided_at: new Date().toISOString(),
+      decided_by: by
+    };
+
+    task.status = 'received';
+    this.saveTask(task);
+    this.enqueue(task);
+    this.publish('review', task.id, { state: 'approved', by });
+    logger.info(`[${task.id}] Extraction reviewed by ${by}`);
+    return task;
+  }
+
+  rejectTask(taskId, { by, note }) {
+    const task = this.loadTaskFor(taskId, ['awaiting-review', 'awaiting-approval', 'needs-human'], 'reject');
+    if (!task) return null;
+
+    if (task.approval) {
+      task.approval.state = 'rejected';
+      task.approval.decided_at = new Date().toISOString();
+      task.approval.decided_by = by;
+    }
+    this.decide(task, { decision: 'reject', by, note });
+
+    task.status = 'rejected';
+    this.saveTask(task);
+    this.publish('approval', task.id, { state: 'rejected', by });
+    logger.info(`[${task.id}] Rejected by ${by}`);
+    return task;
+  }
+
+  /**
+   * Replace a pending plan. The task keeps waiting until someone approves it.
+   */
+  editPlan(taskId, { by, note, plan }) {
+    const task = this.loadTaskFor(taskId, ['awaiting-approval'], 'edit the plan of');
+    if (!task) return null;
+
+    this.decide(task, { decision: 'edit-plan', by, note });
+    task.plan_history = task.plan_history || [];
+    task.plan_history.push({ plan: task.plan, replaced_at: new Date().toISOString(), replaced_by: by });
+    task.plan = plan;
+    this.publishPlan(task, 'operator', { by });
+
+    this.saveTask(task);
+    logger.info(`[${task.id}] Plan edited by ${by} (${plan.steps.length} steps)`);
+    return task;
+  }
+
+  /**
+   * Stop a task for good. Queued tasks are dropped at once; a running task
+   * has its sessions killed and is settled by the processing loop.
+   */
+  cancelTask(taskId, { by, note }) {
+    const task = this.loadTaskFor(taskId, CANCELLABLE_STATUSES, 'cancel');
+    if (!task) return null;
+
+    this.decide(task, { decision: 'cancel', by, note });
+
+    if (this.processing.has(taskId)) {
+      this.openclaw?.requestStop(taskId, 'cancel');
+      task.stop_requested = 'cancel';
+      logger.info(`[${taskId}] Cancel requested by ${by}`);
+      return task;
+    }
+
+    this.queue = this.queue.filter(t => t.id !== taskId);
+    this.openclaw?.killTaskSessions(taskId);
+    task.status = 'cancelled';
+    this.saveTask(task);
+    logger.info(`[${taskId}] Cancelled by ${by}`);
+    return task;
+  }
+
+  /**
+   * Hold a task at the next step boundary, keeping completed steps.
+   */
+  pauseTask(taskId, { by, note }) {
+    const task = this.loadTaskFor(taskId, IN_FLIGHT_STATUSES, 'pause');
+    if (!task) return null;
+
+    this.decide(task, { decision: 'pause', by, note });
+
+    if (this.processing.has(taskId)) {
+      this.openclaw?.requestStop(taskId, 'pause');
+      task.stop_requested = 'pause';
+      logger.info(`[${taskId}] Pause requested by ${by}`);
+      return task;
+    }
+
+    this.queue = this.queue.filter(t => t.id !== taskId);
+    task.status = 'paused';
+    this.saveTask(task);
+    logger.info(`[${taskId}] Paused by ${by}`);
+    return task;
+  }
+
+  /**
+   * Move a paused or needs-human task forward again.
+   * Paused tasks continue their current plan from the last completed step.
+   * Needs-human tasks have failure counters cleared, and if they already
+   * spent their TTL they get a few more hops.
+   */
+  resumeTask(taskId, { by, note, mode, extra_hops = 3 }) {
+    const task = this.loadTaskFor(taskId, ['paused', 'needs-human'], 'resume');
+    if (!task) return null;
+    if (mode && !MODES.includes(mode)) throw new Error(`Invalid mode: ${mode}`);
+
+    this.decide(task, { decision: 'resume', by, note });
+    delete task.stop_requested;
+
+    if (task.status === 'paused') {
+      if (mode) task.envelope.mode = mode;
+      task.status = task.plan?.steps?.length ? 'planned' : 'received';
+      this.saveTask(task);
+      this.enqueue(task);
+      logger.info(`[${task.id}] Resumed by ${by} after ${task.progress?.completed_steps?.length || 0} completed step(s)`);
+      return task;
+    }
+
+    task.envelope.consecutive_failures = 0;
+    if (mode) {
+      task.envelope.mode = mode;
+      task.envelope.escalated = mode === 'ARCHITECT';
+    }
+    if (task.envelope.hops >= task.envelope.ttl_max) {
+      task.envelope.ttl_max = task.envelope.hops + extra_hops;
+    }
+
+    task.status = 'retrying';
+    this.saveTask(task);
+    this.enqueue(task);
+    logger.info(`[${task.id}] Resumed by ${by} (mode: ${task.envelope.mode})`);
+    return task;
+  }
+
+  /**
+   * Append one hop's outcome to the task's history.
+   */
+  recordHop(task, outcome, detail) {
+    task.hop_history = task.hop_history || [];
+    task.hop_history.push({
+      hop: task.envelope.hops,
+      mode: task.envelope.mode,
+      outcome,
+      detail: detail || null,
+      at: new Date().toISOString()
+    });
+  }
 }
@@ -0,0 +1,256 @@
+/**
+ * PII/PHI Redaction
+ * Patient data must not reach a remote model. Every model call made for a
+ * task goes through a redactor: names, dates of birth, SSNs, phone numbers,
+ * insurance/member IDs, street addresses and emails in the prompt are swapped
+ * for tokens like [[NAME_2]]. The same value always gets the same token within
+ * a task, so plans the model writes refer to the tokens, and real values are
+ * put back only where the work happens: the prompt handed to the sandbox
+ * session, and text typed by desktop actions. Extraction responses are
+ * restored on receipt, since they become the client's data.
+ *
+ * Values come from pattern detectors plus the task's own structured data
+ * (batch records and extracted fields whose names say what they are).
+ * Token maps are kept per task in REDACTION_DIR, apart from the task record.
+ *
+ * Per-client policy (REDACTION_DIR/policies.json, set through the API):
+ *   redact              redact prompts (default REDACT_PII, on)
+ *   allowed_providers   providers the client's data may go to at all (null = any)
+ *   document_providers  providers trusted with whole, unredactable documents
+ *                       (PDFs, images); null = any allowed provider
+ * Defaults for the lists come from LLM_ALLOWED_PROVIDERS / LLM_DOCUMENT_PROVIDERS.
+ */
+
+import { writeFileSync, readFileSync, existsSync, mkdirSync, renameSync, rmSync } from 'fs';
+import { join, basename } from 'path';
+import { createLogger } from './logger.js';
+import { extractedValues } from './document-extraction.js';
+import { maskSecrets } from './credentials.js';
+
+const logger = createLogger('redaction');
+
+const REDACTION_DIR = process.env.REDACTION_DIR || '/home/brans/legacy-automation-agency/redaction';
+const POLICIES_FILE = join(REDACTION_DIR, 'policies.json');
+
+const PROVIDERS = ['gemini', 'openai', 'local'];
+
+function providerList(value) {
+  if (!value) return null;
+  return value.split(',').map(p => p.trim()).filter(Boolean);
+}
+
+const DEFAULT_POLICY = {
+  redact: process.env.REDACT_PII !== 'false',
+  allowed_providers: providerList(process.env.LLM_ALLOWED_PROVIDERS),
+  document_providers: providerList(process.env.LLM_DOCUMENT_PROVIDERS)
+};
+
+/**
+ * A model call refused by the client's data policy. Retrying won't help.
+ */
+export class PolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PolicyError';
+  }
+}
+
+// Pattern detectors, most specific first. Where a pattern has a capture
+// group, only the group is redacted (the label stays for context).
+const DETECTORS = [
+  { kind: 'SSN', regex: /\b\d{3}-\d{2}-\d{4}\b/g },
+  { kind: 'EMAIL', regex: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+  { kind: 'DOB', regex: /\b(?:0?[1-9]|1[0-2])[/-](?:0?[1-9]|[12]\d|3[01])[/-](?:19|20)\d{2}\b/g },
+  { kind: 'DOB', regex: /\b(?:DOB|D\.O\.B\.|[Dd]ate of [Bb]irth|[Bb]irth ?[Dd]ate)\W{0,3}((?:19|20)\d{2}-\d{2}-\d{2})\b/g },
+  { kind: 'INSURANCE_ID', regex: /\b(?:[Mm]ember|[Ii]nsurance|[Pp]olicy|[Ss]ubscriber|[Gg]roup)\s*(?:ID|Id|id|#|[Nn]o\.?|[Nn]umber)\s*[:#]?\s*([A-Z0-9][A-Z0-9-]{4,})\b/g },
+  { kind: 'PHONE', regex: /(?<![\w-])(?:\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]\d{4}\b/g },
+  { kind: 'ADDRESS', regex: /\b\d{1,6}\s+(?:[A-Z][a-z]+\s+){1,4}(?:St|Street|Ave|Avenue|Rd|Road|Blvd|Boulevard|Dr|Drive|Ln|Lane|Ct|Court|Way|Pl|Place|Pkwy|Parkway|Cir|Circle)\b\.?(?:,?\s+(?:Apt|Suite|Unit|#)\.?\s*\w+)?/g },
+  { kind: 'NAME', regex: /\b(?:[Pp]atient|[Nn]ame|[Gg]uarantor|[Ss]ubscriber|[Ii]nsured|[Rr]esponsible [Pp]arty|Mr\.?|Mrs\.?|Ms\.?|Dr\.?)\s*:?\s+([A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+){0,2})\b/g }
+];
+
+// Structured fields whose values are always redacted, by field name
+const FIELD_KINDS = [
+  { kind: 'SSN', regex: /ssn|social/i },
+  { kind: 'DOB', regex: /dob|birth/i },
+  { kind: 'EMAIL', regex: /e-?mail/i },
+  { kind: 'PHONE', regex: /phone|mobile|fax/i },
+  { kind: 'INSURANCE_ID', regex: /insurance|member|policy|subscriber/i },
+  { kind: 'ADDRESS', regex: /address|street/i },
+  { kind: 'NAME', regex: /name|guarantor|patient/i }
+];
+
+const TOKEN = /\[\[([A-Z_]+_\d+)\]\]/g;
+
+/**
+ * Kinds of identifying data the pattern detectors find in text (e.g. ['SSN', 'PHONE']).
+ */
+export function detectIdentifying(text) {
+  if (typeof text !== 'string') return [];
+  return [...new Set(DETECTORS.filter(d => text.match(d.regex)).map(d => d.kind))];
+}
+
+/**
+ * Identifying values in a task's own data, as [{ kind, value }].
+ */
+function knownValues(task) {
+  const values = [];
+  const visit = (record) => {
+    for (const [key, value] of Object.entries(record || {})) {
+      if (Array.isArray(value)) {
+        value.forEach(v => v && typeof v === 'object' && visit(v));
+        continue;
+      }
+      const field = FIELD_KINDS.find(f => f.regex.test(key));
+      const text = value === null || value === undefined ? '' : String(value).trim();
+      if (field && text.length >= 3) values.push({ kind: field.kind, value: text });
+    }
+  };
+
+  (task.records || []).forEach(visit);
+  if (task.extraction) {
+    extractedValues(task.extraction).forEach(doc => (doc.records || []).forEach(visit));
+  }
+  // Longest first so "John Smith" goes before "John"
+  return values.sort((a, b) => b.value.length - a.value.length);
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export class RedactionVault {
+  constructor() {
+    try { mkdirSync(REDACTION_DIR, { recursive: true }); } catch {}
+  }
+
+  file(taskId) {
+    return join(REDACTION_DIR, `${taskId}.json`);
+  }
+
+  load(taskId) {
+    if (typeof taskId !== 'string' || basename(taskId) !== taskId) return null;
+    const file = this.file(taskId);
+    if (!existsSync(file)) return { tokens: {}, counts: {} };
+    return JSON.parse(readFileSync(file, 'utf8'));
+  }
+
+  save(taskId, vault) {
+    const file = this.file(taskId);
+    writeFileSync(`${file}.tmp`, JSON.stringify(vault, null, 2), { mode: 0o600 });
+    renameSync(`${file}.tmp`, file);
+  }
+
+  /**
+   * Replace identifying values in text with the task's tokens, adding new ones as needed.
+   */
+  redact(task, text) {
+    const vault = this.load(task.id);
+    if (!vault || !text) return text;
+
+    const byValue = new Map(Object.entries(vault.tokens).map(([token, value]) => [value, token]));
+    let added = 0;
+    const tokenFor = (kind, value) => {
+      if (!byValue.has(value)) {
+        vault.counts[kind] = (vault.counts[kind] || 0) + 1;
+        const token = `[[${kind}_${vault.counts[kind]}]]`;
+        vault.tokens[token] = value;
+        byValue.set(value, token);
+        added++;
+      }
+      return byValue.get(value);
+    };
+
+    let out = text;
+    for (const { kind, value } of knownValues(task)) {
+      out = out.replace(new RegExp(`(?<![\\w])${escapeRegex(value)}(?![\\w])`, 'g'), () => tokenFor(kind, value));
+    }
+    for (const { kind, regex } of DETECTORS) {
+      out = out.replace(regex, (match, group) => {
+        if (typeof group !== 'string') return tokenFor(kind, match);
+        return match.replace(group, tokenFor(kind, group));
+      });
+    }
+
+    if (added) {
+      this.save(task.id, vault);
+      logger.info(`[${task.id}] Redacted ${added} new value(s) (${Object.keys(vault.tokens).length} token(s) in total)`);
+    }
+    return out;
+  }
+
+  /**
+   * Delete a task's token map, for a message that never became a saved task.
+   */
+  discard(taskId) {
+    if (typeof taskId !== 'string' || basename(taskId) !== taskId) return;
+    rmSync(this.file(taskId), { force: true });
+  }
+
+  /**
+   * Put real values back in place of a task's tokens. Unknown tokens are left as they are.
+   */
+  restore(taskId, text) {
+    if (typeof text !== 'string' || !text.includes('[[')) return text;
+    const vault = this.load(taskId);
+    if (!vault) return text;
+    return text.replace(TOKEN, (token) => vault.tokens[token] ?? token);
+  }
+
+  /**
+   * Options for model calls made for a task (see llm-providers generate):
+   * the policy check, prompt redaction (and secret masking) and response restoration.
+   */
+  forTask(task) {
+    const policy = this.policyFor(task.client_id);
+    return {
+      check: (provider, attachments = []) => {
+        if (policy.allowed_providers && !policy.allowed_providers.includes(provider)) {
+          throw new PolicyError(`Data policy for ${task.client_id || 'this task'} does not allow the ${provider} provider`);
+        }
+        const documentProviders = policy.document_providers || policy.allowed_providers;
+        if (attachments.length && documentProviders && !documentProviders.includes(provider)) {
+          throw new PolicyError(`Data policy for ${task.client_id || 'this task'} does not allow sending whole documents to ${provider}`);
+        }
+      },
+      // Credential values go back to their handles first, whatever the policy
+      redact: (text) => policy.redact ? this.redact(task, maskSecrets(text)) : maskSecrets(text),
+      restore: (text) => this.restore(task.id, text)
+    };
+  }
+
+  // --- Per-client policy ---
+
+  loadPolicies() {
+    try {
+      return JSON.parse(readFileSync(POLICIES_FILE, 'utf8'));
+    } catch {
+      return {};
+    }
+  }
+
+  policyFor(clientId) {
+    return { ...DEFAULT_POLICY, ...(clientId ? this.loadPolicies()[clientId] : {}) };
+  }
+
+  setPolicy(clientId, { redact, allowed_providers, document_providers }) {
+    if (redact !== undefined && typeof redact !== 'boolean') throw new Error('`redact` must be true or false');
+    for (const [name, list] of Object.entries({ allowed_providers, document_providers })) {
+      if (list === undefined || list === null) continue;
+      if (!Array.isArray(list) || list.some(p => !PROVIDERS.includes(p))) {
+        throw new Error(`\`${name}\` must be a list of providers (${PROVIDERS.join(', ')}) or null for any`);
+      }
+    }
+
+    const policies = this.loadPolicies();
+    const policy = { ...policies[clientId] };
+    if (redact !== undefined) policy.redact = redact;
+    if (allowed_providers !== undefined) policy.allowed_providers = allowed_providers;
+    if (document_providers !== undefined) policy.document_providers = document_providers;
+    policies[clientId] = policy;
+
+    writeFileSync(`${POLICIES_FILE}.tmp`, JSON.stringify(policies, null, 2));
+    renameSync(`${POLICIES_FILE}.tmp`, POLICIES_FILE);
+    logger.info(`Data policy for ${clientId}: ${JSON.stringify(this.policyFor(clientId))}`);
+    return { client_id: clientId, ...this.policyFor(clientId) };
+  }
+}
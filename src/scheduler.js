@@ -0,0 +1,212 @@
+/**
+ * Recurring Scheduled Automations
+ * Retainer work that runs on a clock (nightly Dentrix end-of-day report,
+ * weekly Sage 50 export). Each schedule is a JSON file holding a cron
+ * expression, timezone and task template; every firing creates a normal task
+ * in the TaskQueue. A firing is skipped while the previous run is unfinished.
+ */
+
+import cron from 'node-cron';
+import { writeFileSync, readFileSync, readdirSync, mkdirSync, unlinkSync, existsSync, renameSync } from 'fs';
+import { join, basename } from 'path';
+import { randomBytes } from 'crypto';
+import { createLogger } from './logger.js';
+import { MODES } from './queue.js';
+
+const logger = createLogger('scheduler');
+
+const SCHEDULE_DIR = process.env.SCHEDULE_DIR || '/home/brans/legacy-automation-agency/schedules';
+const HISTORY_LIMIT = 50;
+
+// A scheduled run in any other status is still going
+const FINISHED_STATUSES = ['completed', 'dead-lettered', 'rejected', 'cancelled', 'failed'];
+
+const EDITABLE_FIELDS = ['name', 'cron', 'timezone', 'software_name', 'task_template'];
+
+function validateDefinition(def) {
+  if (!def.cron || !cron.validate(def.cron)) throw new Error(`Invalid cron expression: ${def.cron}`);
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: def.timezone });
+  } catch {
+    throw new Error(`Invalid timezone: ${def.timezone}`);
+  }
+  if (!def.task_template?.description) throw new Error('`task_template.description` is required');
+  const { mode } = def.task_template;
+  if (mode && !MODES.includes(mode)) throw new Error(`Invalid mode: ${mode} (one of ${MODES.join(', ')})`);
+}
+
+export class Scheduler {
+  /**
+   * @param {TaskQueue} taskQueue  queue that runs the created tasks
+   * @param {Function} createTask  builds a task record from submission fields
+   */
+  constructor(taskQueue, createTask) {
+    this.taskQueue = taskQueue;
+    this.createTask = createTask;
+    this.jobs = new Map();
+    try { mkdirSync(SCHEDULE_DIR, { recursive: true }); } catch {}
+  }
+
+  /**
+   * Load every schedule from disk and arm the ones that aren't paused.
+   */
+  start() {
+    const schedules = this.list();
+    for (const schedule of schedules) {
+      if (!schedule.paused) this.arm(schedule);
+    }
+    logger.info(`Scheduler started: ${this.jobs.size} active of ${schedules.length} schedule(s)`);
+  }
+
+  list() {
+    const schedules = [];
+    for (const f of readdirSync(SCHEDULE_DIR).filter(f => f.endsWith('.json'))) {
+      try {
+        schedules.push(JSON.parse(readFileSync(join(SCHEDULE_DIR, f), 'utf8')));
+      } catch (err) {
+        logger.error(`Skipping unreadable schedule ${f}: ${err.message}`);
+      }
+    }
+    return schedules.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  }
+
+  get(scheduleId) {
+    if (typeof scheduleId !== 'string' || basename(scheduleId) !== scheduleId) return null;
+    const file = join(SCHEDULE_DIR, `${scheduleId}.json`);
+    if (!existsSync(file)) return null;
+    return JSON.parse(readFileSync(file, 'utf8'));
+  }
+
+  save(schedule) {
+    schedule.updated_at = new Date().toISOString();
+    const file = join(SCHEDULE_DIR, `${schedule.id}.json`);
+    writeFileSync(`${file}.tmp`, JSON.stringify(schedule, null, 2));
+    renameSync(`${file}.tmp`, file);
+  }
+
+  create({ name, cron: expression, timezone = 'UTC', software_name, task_template, client_id = null }) {
+    const schedule = {
+      id: `SCHED-${randomBytes(5).toString('hex')}`,
+      name: name || task_template?.description?.slice(0, 60),
+      cron: expression,
+      timezone,
+      software_name: software_name || 'unknown',
+      task_template,
+      client_id,
+      paused: false,
+      created_at: new Date().toISOString(),
+      last_run_at: null,
+      last_task_id: null,
+      history: []
+    };
+    validateDefinition(schedule);
+
+    this.save(schedule);
+    this.arm(schedule);
+    logger.info(`Created schedule ${schedule.id} (${schedule.cron} ${schedule.timezone})`);
+    return schedule;
+  }
+
+  update(scheduleId, changes) {
+    const schedule = this.get(scheduleId);
+    if (!schedule) return null;
+
+    for (const field of EDITABLE_FIELDS) {
+      if (changes[field] !== undefined) schedule[field] = changes[field];
+    }
+    validateDefinition(schedule);
+
+    this.save(schedule);
+    this.disarm(schedule.id);
+    if (!schedule.paused) this.arm(schedule);
+    return schedule;
+  }
+
+  remove(scheduleId) {
+    const schedule = this.get(scheduleId);
+    if (!schedule) return false;
+    this.disarm(scheduleId);
+    unlinkSync(join(SCHEDULE_DIR, `${scheduleId}.json`));
+    logger.info(`Deleted schedule ${scheduleId}`);
+    return true;
+  }
+
+  setPaused(scheduleId, paused) {
+    const schedule = this.get(scheduleId);
+    if (!schedule) return null;
+
+    schedule.paused = paused;
+    this.save(schedule);
+    if (paused) this.disarm(scheduleId);
+    else this.arm(schedule);
+    logger.info(`Schedule ${scheduleId} ${paused ? 'paused' : 'resumed'}`);
+    return schedule;
+  }
+
+  arm(schedule) {
+    this.disarm(schedule.id);
+    const job = cron.schedule(schedule.cron, () => this.fire(schedule.id), { timezone: schedule.timezone });
+    this.jobs.set(schedule.id, job);
+  }
+
+  disarm(scheduleId) {
+    this.jobs.get(scheduleId)?.stop();
+    this.jobs.delete(scheduleId);
+  }
+
+  /**
+   * Create this schedule's next task, unless its previous run is still going.
+   * Returns the history entry for the firing.
+   */
+  fire(scheduleId, { manual = false } = {}) {
+    const schedule = this.get(scheduleId);
+    if (!schedule) return null;
+
+    const at = new Date().toISOString();
+    let entry;
+
+    const previous = schedule.last_task_id && this.taskQueue.loadTask(schedule.last_task_id);
+    if (previous && !FINISHED_STATUSES.includes(previous.status)) {
+      entry = { at, outcome: 'skipped', task_id: null, reason: `Previous run ${previous.id} still ${previous.status}`, manual };
+      logger.warn(`[${schedule.id}] Skipping firing: ${entry.reason}`);
+    } else {
+      const { description, task_type, mode, workflow } = schedule.task_template;
+      const task = this.createTask({
+        description,
+        software_name: schedule.software_name,
+        task_type,
+        workflow,
+        mode,
+        client_id: schedule.client_id,
+        source: { channel: 'schedule', schedule_id: schedule.id }
+      });
+      task.schedule_id = schedule.id;
+
+      this.taskQueue.saveTask(task);
+      this.taskQueue.enqueue(task);
+
+      schedule.last_task_id = task.id;
+      schedule.last_run_at = at;
+      entry = { at, outcome: 'created', task_id: task.id, reason: null, manual };
+      logger.info(`[${schedule.id}] Fired: created task ${task.id}`);
+    }
+
+    schedule.history.push(entry);
+    if (schedule.history.length > HISTORY_LIMIT) schedule.history.splice(0, schedule.history.length - HISTORY_LIMIT);
+    this.save(schedule);
+    return entry;
+  }
+
+  /**
+   * Schedule with each history entry's task status filled in from the task record.
+   */
+  withRunStatus(schedule) {
+    return {
+      ...schedule,
+      history: schedule.history.map(h => ({
+        ...h,
+        task_status: h.task_id ? this.taskQueue.loadTask(h.task_id)?.status || 'missing' : null
+      }))
+    };
+  }
+}
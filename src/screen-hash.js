@@ -0,0 +1,129 @@
+/**
+ * Screen-state hashing and loop detection.
+ * Screenshots are reduced to a 64-bit difference hash (dHash) so near-identical
+ * screens (cursor blink, clock tick) hash within a few bits of each other.
+ * The loop detector reads the hashes recorded on a task envelope and flags
+ * tasks whose screen has stopped changing or keeps returning to the same state.
+ */
+
+import { execFileSync } from 'child_process';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('screen-hash');
+
+// Hashes within this many bits are treated as the same screen
+const SAME_SCREEN_BITS = parseInt(process.env.LOOP_HASH_THRESHOLD || '5');
+// Consecutive steps whose action left the screen unchanged before we call it stuck
+const STUCK_STEPS = parseInt(process.env.LOOP_STUCK_STEPS || '3');
+// Times a hop may end on the same screen before we call it a cycle
+const CYCLE_REPEATS = parseInt(process.env.LOOP_CYCLE_REPEATS || '3');
+// Envelope history is sent to ARCHITECT, so keep it bounded
+const MAX_HASHES = 60;
+
+/**
+ * Compute a dHash for an image file (or a crop of it) using ImageMagick.
+ * Returns a 16-char hex string, or null if the image can't be read.
+ */
+export function perceptualHash(imagePath, crop) {
+  try {
+    const cropArgs = crop ? ['-crop', `${crop.w}x${crop.h}+${crop.x}+${crop.y}`, '+repage'] : [];
+
+    // 9x8 grayscale: each row yields 8 left/right brightness comparisons
+    const pixels = execFileSync('convert', [
+      imagePath, ...cropArgs, '-colorspace', 'Gray', '-resize', '9x8!', '-depth', '8', 'gray:-'
+    ], { maxBuffer: 1024 });
+
+    if (pixels.length !== 72) throw new Error(`unexpected pixel buffer (${pixels.length} bytes)`);
+
+    let hash = 0n;
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        const left = pixels[row * 9 + col];
+        const right = pixels[row * 9 + col + 1];
+        hash = (hash << 1n) | (left > right ? 1n : 0n);
+      }
+    }
+    return hash.toString(16).padStart(16, '0');
+  } catch (err) {
+    logger.warn(`Could not hash ${imagePath}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * dHash of one rectangle ({ x, y, w, h }) of an image.
+ */
+export function regionHash(imagePath, region) {
+  return perceptualHash(imagePath, region);
+}
+
+export function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let bits = 0;
+  while (diff) {
+    bits += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return bits;
+}
+
+export function sameScreen(a, b) {
+  return hammingDistance(a, b) <= SAME_SCREEN_BITS;
+}
+
+/**
+ * Append a screenshot hash to the task envelope. `status` is the step's
+ * outcome, recorded with its 'after' hash.
+ */
+export function recordStateHash(task, { hash, step, phase, status }) {
+  if (!hash) return;
+  const hashes = task.envelope.state_hashes || (task.envelope.state_hashes = []);
+  hashes.push({ hash, step, phase, ...(status ? { status } : {}), hop: task.envelope.hops, at: new Date().toISOString() });
+  if (hashes.length > MAX_HASHES) hashes.splice(0, hashes.length - MAX_HASHES);
+}
+
+/**
+ * Inspect recorded hashes for a stuck or cycling screen.
+ * Returns { detected: false } or { detected: true, kind, reason }.
+ */
+export function detectLoop(stateHashes = []) {
+  // Stuck: the last N steps each ended on the screen they started on without
+  // succeeding. A step that reports success counts as progress even when the
+  // whole-screen hash hardly moves (typing into one small field).
+  const pairs = [];
+  for (let i = 1; i < stateHashes.length; i++) {
+    const before = stateHashes[i - 1];
+    const after = stateHashes[i];
+    if (before.phase === 'before' && after.phase === 'after' && before.step === after.step && before.hop === after.hop) {
+      pairs.push(after.status !== 'success' && sameScreen(before.hash, after.hash));
+    }
+  }
+  const recent = pairs.slice(-STUCK_STEPS);
+  if (recent.length === STUCK_STEPS && recent.every(Boolean)) {
+    return {
+      detected: true,
+      kind: 'stuck',
+      reason: `Screen unchanged across the last ${STUCK_STEPS} steps`
+    };
+  }
+
+  // Cycling: hops keep finishing on a screen we've already finished on
+  const finals = new Map();
+  for (const entry of stateHashes) {
+    if (entry.phase === 'after') finals.set(entry.hop, entry.hash);
+  }
+  const hopEnds = [...finals.values()];
+  const last = hopEnds[hopEnds.length - 1];
+  if (last) {
+    const repeats = hopEnds.filter(h => sameScreen(h, last)).length;
+    if (repeats >= CYCLE_REPEATS) {
+      return {
+        detected: true,
+        kind: 'cycle',
+        reason: `${repeats} hops ended on the same screen (${last})`
+      };
+    }
+  }
+
+  return { detected: false };
+}
@@ -4,14 +4,23 @@ import multer from 'multer';
 import { v4 as uuidv4 } from 'uuid';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync } from 'fs';
-
-function require_fs_fallback() { return { readdirSync }; }
+import { existsSync, mkdirSync, readFileSync } from 'fs';
 import dotenv from 'dotenv';
-import { TaskQueue } from './queue.js';
+import { TaskQueue, newEnvelope, MODES } from './queue.js';
 import { GeminiOrchestrator } from './gemini-orchestrator.js';
-import { OpenClawBridge } from './openclaw-bridge.js';
-import { createLogger } from './logger.js';
+import { OpenClawBridge, ACTION_FIELDS, actionError } from './openclaw-bridge.js';
+import { createLogger, readTaskLogs, LEVELS } from './logger.js';
+import { summarizeDeadLetter } from './dead-letter.js';
+import { Scheduler } from './scheduler.js';
+import { parseProfile } from './software-profiles.js';
+import { listSchemas } from './document-extraction.js';
+import { BatchManager, parseRecords } from './batches.js';
+import { WebhookManager, taskCallback } from './webhooks.js';
+import { registry, observeQueue } from './metrics.js';
+import { PRICES } from './costs.js';
+import { ProspectStore, STAGES } from './prospects.js';
+import { AccountStore, authenticate, requireScope, requireOperator, canAccessTask } from './accounts.js';
+import { PolicyError } from './redaction.js';
 
 dotenv.config();
 
@@ -21,7 +30,17 @@ const ROOT = join(__dirname, '..');
 
 const app = express();
 const logger = createLogger('server');
-const upload = multer({ dest: join(ROOT, 'uploads/') });
+
+// Uploads are kept per tenant so one client's documents never sit beside another's
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const dir = join(ROOT, 'uploads', req.principal?.client_id || 'operator');
+      mkdirSync(dir, { recursive: true });
+      cb(null, dir);
+    }
+  })
+});
 
 // Ensure directories exist
 ['uploads', 'tasks', 'results', 'screenshots'].forEach(dir => {
@@ -29,14 +48,58 @@ const upload = multer({ dest: join(ROOT, 'uploads/') });
   if (!existsSync(path)) mkdirSync(path, { recursive: true });
 });
 
-app.use(cors());
-app.use(express.json());
+// Cross-origin access only for explicitly listed origins (comma-separated)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+app.use(cors({ origin: CORS_ORIGINS.length ? CORS_ORIGINS : false }));
+// The public intake form gets a small cap; it is parsed here, so the larger limit below never applies to it
+app.use('/api/intake', express.json({ limit: '16kb' }));
+// Batches can post their records inline, so allow more than the 100kb default
+app.use(express.json({ limit: '5mb' }));
 app.use(express.static(join(ROOT, 'public')));
 
 // --- Core Components ---
 const gemini = new GeminiOrchestrator();
 const taskQueue = new TaskQueue();
 const openclaw = new OpenClawBridge();
+const accounts = new AccountStore();
+
+/**
+ * Build a task record from a submission. Every task is bound to the tenant that submitted it.
+ */
+function createTask({ description, software_name, task_type, workflow, extraction_schema, documents = [], source, mode, client_id, callback }) {
+  const taskId = `LEGACY-${Date.now()}-${uuidv4().slice(0, 8)}`;
+  return {
+    id: taskId,
+    client_id: client_id || null,
+    description,
+    software_name: software_name || 'unknown',
+    task_type: task_type || 'data-entry',
+    // Named workflows (e.g. "new-patient-registration") can be recorded and replayed as macros
+    workflow: workflow || null,
+    // Target schema for uploaded documents; defaults to one named after the workflow
+    extraction_schema: extraction_schema || null,
+    documents,
+    status: 'received',
+    created_at: new Date().toISOString(),
+    ...(source ? { source } : {}),
+    // Status changes are POSTed here as well as to the client's registered webhooks
+    ...(callback ? { callback } : {}),
+    envelope: newEnvelope(taskId, mode)
+  };
+}
+
+const scheduler = new Scheduler(taskQueue, createTask);
+const batches = new BatchManager(taskQueue, createTask);
+const webhooks = new WebhookManager(taskQueue);
+const prospects = new ProspectStore();
+observeQueue(taskQueue);
+
+// Server-side file paths are for operators only; callback secrets are shown once, at submission
+function presentTask(task, principal) {
+  const callback = task.callback ? { url: task.callback.url, events: task.callback.events } : undefined;
+  if (principal.role === 'operator') return { ...task, callback };
+  return { ...task, callback, documents: (task.documents || []).map(({ path, ...doc }) => doc) };
+}
 
 // --- Health & Status ---
 app.get('/api/health', (req, res) => {
@@ -52,56 +115,152 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Anonymous nudge for the public status panel: says something changed, nothing more
+app.get('/api/health/stream', (req, res) => {
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+  res.flushHeaders();
+
+  const listener = e => { if (e.type === 'status') res.write(`event: status\ndata: {}\n\n`); };
+  taskQueue.on('task-event', listener);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    taskQueue.off('task-event', listener);
+  });
+});
+
+// --- Prometheus scrape endpoint ---
+// Open unless METRICS_TOKEN is set, in which case scrapers send it as a bearer token
+app.get('/metrics', async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get('Authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({ error: 'Invalid metrics token' });
+  }
+  res.set('Content-Type', registry.contentType);
+  res.send(await registry.metrics());
+});
+
+// --- Public intake form (landing page) ---
+// Anyone can post here, so each address gets a handful of submissions per window
+const INTAKE_LIMIT = parseInt(process.env.INTAKE_RATE_LIMIT || '5');
+const INTAKE_WINDOW_MS = parseInt(process.env.INTAKE_RATE_WINDOW_MS || String(60 * 60 * 1000));
+const intakeHits = new Map();
+
+function limitIntake(req, res, next) {
+  const now = Date.now();
+  const hits = (intakeHits.get(req.ip) || []).filter(at => now - at < INTAKE_WINDOW_MS);
+  if (hits.length >= INTAKE_LIMIT) {
+    res.set('Retry-After', String(Math.ceil((hits[0] + INTAKE_WINDOW_MS - now) / 1000)));
+    return res.status(429).json({ error: 'Too many requests; please try again later' });
+  }
+  hits.push(now);
+  intakeHits.set(req.ip, hits);
+  // Forget addresses whose window has passed
+  if (intakeHits.size > 10000) {
+    for (const [ip, times] of intakeHits) if (now - times[times.length - 1] >= INTAKE_WINDOW_MS) intakeHits.delete(ip);
+  }
+  next();
+}
+
+// Assessment requests aren't tied to a client account, so they are kept as
+// prospect leads; an operator turns one into a task (POST /api/prospects/:id/tasks)
+app.post('/api/intake', limitIntake, (req, res) => {
+  try {
+    const { prospect, request } = prospects.addIntake(req.body);
+    logger.info(`Intake request ${request.id} from prospect ${prospect.id}`);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.status(202).json({ status: 'received' });
+});
+
+// Everything below needs an API key
+app.use('/api', authenticate(accounts));
+
+// Tasks belonging to another tenant are reported as not found
+app.param('taskId', (req, res, next, taskId) => {
+  const task = taskQueue.loadTask(taskId);
+  if (task && !canAccessTask(req.principal, task)) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+  next();
+});
+
+// --- Accounts & API keys (operator) ---
+app.get('/api/accounts', requireOperator, (req, res) => {
+  res.json(accounts.list());
+});
+
+app.post('/api/accounts', requireOperator, (req, res) => {
+  try {
+    const { account, api_key } = accounts.create(req.body || {});
+    res.status(201).json({ account, api_key, message: 'Store this key now; it cannot be shown again.' });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/api/accounts/:accountId/keys', requireOperator, (req, res) => {
+  const apiKey = accounts.issueKey(req.params.accountId, req.body?.label);
+  if (!apiKey) return res.status(404).json({ error: 'Account not found' });
+  res.status(201).json({ api_key: apiKey, message: 'Store this key now; it cannot be shown again.' });
+});
+
+app.delete('/api/accounts/:accountId/keys/:keyId', requireOperator, (req, res) => {
+  if (!accounts.revokeKey(req.params.accountId, req.params.keyId)) {
+    return res.status(404).json({ error: 'Key not found' });
+  }
+  res.json({ revoked: req.params.keyId });
+});
+
 // --- Task Submission (Client-facing) ---
-app.post('/api/tasks', upload.array('documents', 10), async (req, res) => {
+app.post('/api/tasks', requireScope('tasks'), upload.array('documents', 10), async (req, res) => {
   try {
-    const { description, software_name, task_type } = req.body;
+    const { description, software_name, task_type, workflow, extraction_schema, mode, callback_url, callback_events } = req.body;
     const files = req.files || [];
+    if (mode && !MODES.includes(mode)) {
+      return res.status(400).json({ error: `Invalid mode: ${mode}`, modes: MODES });
+    }
 
-    const taskId = `LEGACY-${Date.now()}-${uuidv4().slice(0, 8)}`;
+    let callback;
+    try {
+      if (callback_url) callback = taskCallback(callback_url, callback_events);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
 
-    const task = {
-      id: taskId,
+    const task = createTask({
       description,
-      software_name: software_name || 'unknown',
-      task_type: task_type || 'data-entry',
+      software_name,
+      task_type,
+      workflow,
+      extraction_schema,
+      mode,
+      callback,
+      client_id: req.principal.client_id || req.body.client_id,
       documents: files.map(f => ({
         original: f.originalname,
         path: f.path,
         mimetype: f.mimetype,
         size: f.size
-      })),
-      status: 'received',
-      created_at: new Date().toISOString(),
-      envelope: {
-        ttl_max: 10,
-        hops: 0,
-        mode: 'EXECUTE',
-        state_hashes: [],
-        consecutive_failures: 0,
-        consecutive_successes: 0,
-        escalated: false,
-        session_ids: [],
-        mcp_cache_key: `${taskId}-cache`
-      }
-    };
+      }))
+    });
+    const taskId = task.id;
 
     // Save task to disk
-    writeFileSync(
-      join(ROOT, 'tasks', `${taskId}.json`),
-      JSON.stringify(task, null, 2)
-    );
+    taskQueue.saveTask(task);
 
     // Enqueue for Gemini orchestration
     taskQueue.enqueue(task);
 
-    logger.info(`Task submitted: ${taskId} - ${description}`);
+    logger.info(`Task submitted: ${taskId} - ${description}`, { task_id: taskId });
 
     res.status(201).json({
       task_id: taskId,
       status: 'received',
       message: 'Task received. Gemini orchestrator will classify and dispatch.',
-      estimated_time: '5-30 minutes depending on complexity'
+      estimated_time: '5-30 minutes depending on complexity',
+      ...(callback ? { callback_secret: callback.secret } : {})
     });
   } catch (err) {
     logger.error(`Task submission error: ${err.message}`);
@@ -111,66 +270,706 @@ app.post('/api/tasks', upload.array('documents', 10), async (req, res) => {
 
 // --- Task Status ---
 app.get('/api/tasks/:taskId', (req, res) => {
-  const taskPath = join(ROOT, 'tasks', `${req.params.taskId}.json`);
-  if (!existsSync(taskPath)) {
+  const task = taskQueue.loadTask(req.params.taskId);
+  if (!task) {
     return res.status(404).json({ error: 'Task not found' });
   }
-  const task = JSON.parse(readFileSync(taskPath, 'utf8'));
-  res.json(task);
+  res.json(presentTask(task, req.principal));
 });
 
-// --- List all tasks ---
+// --- List tasks (own tenant's, or all for operators) ---
 app.get('/api/tasks', (req, res) => {
-  const tasksDir = join(ROOT, 'tasks');
-  if (!existsSync(tasksDir)) return res.json([]);
+  const tasks = taskQueue.listTasks().filter(t => canAccessTask(req.principal, t));
+  res.json(tasks
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    .map(t => presentTask(t, req.principal)));
+});
+
+// --- Deliverables (exports + completion report) ---
+app.get('/api/tasks/:taskId/results', (req, res) => {
+  const task = taskQueue.loadTask(req.params.taskId);
+  if (!task) return res.status(404).json({ error: 'Task not found' });
+
+  const manifest = taskQueue.deliverables.list(task.id);
+  if (!manifest) return res.status(404).json({ error: 'No deliverables for this task yet' });
+  res.json({
+    ...manifest,
+    files: manifest.files.map(f => ({ ...f, url: `/api/tasks/${task.id}/results/${encodeURIComponent(f.name)}` }))
+  });
+});
+
+app.get('/api/tasks/:taskId/results/:file', (req, res) => {
+  const task = taskQueue.loadTask(req.params.taskId);
+  const path = task && taskQueue.deliverables.file(task.id, req.params.file);
+  if (!path) return res.status(404).json({ error: 'File not found' });
+  // The report opens in the browser; everything else downloads
+  if (req.params.file.endsWith('.html') || req.params.file.endsWith('.png')) return res.sendFile(path);
+  res.download(path);
+});
+
+// Rebuild after a fix or for tasks finished before deliverables existed
+app.post('/api/tasks/:taskId/results', requireOperator, async (req, res) => {
+  const task = taskQueue.liveTask(req.params.taskId);
+  if (!task) return res.status(404).json({ error: 'Task not found' });
+
+  const manifest = await taskQueue.writeDeliverables(task);
+  if (!manifest) return res.status(500).json({ error: 'Failed to generate deliverables' });
+  taskQueue.saveTask(task);
+  res.json(manifest);
+});
+
+// --- Audit trail and evidence ---
+// Entries are returned exactly as chained so they can be re-verified
+app.get('/api/tasks/:taskId/audit', (req, res) => {
+  const task = taskQueue.loadTask(req.params.taskId);
+  if (!task) return res.status(404).json({ error: 'Task not found' });
+  res.json({ task_id: task.id, chain: taskQueue.audit.verify(task.id), entries: taskQueue.audit.read(task.id) });
+});
+
+app.get('/api/tasks/:taskId/screenshots', (req, res) => {
+  const task = taskQueue.loadTask(req.params.taskId);
+  if (!task) return res.status(404).json({ error: 'Task not found' });
+  res.json(taskQueue.audit.screenshots(task.id).map(({ path, ...shot }) => ({
+    ...shot,
+    ...(req.principal.role === 'operator' ? { path } : {}),
+    url: `/api/tasks/${task.id}/screenshots/${encodeURIComponent(shot.file)}`
+  })));
+});
+
+app.get('/api/tasks/:taskId/screenshots/:file', (req, res) => {
+  const task = taskQueue.loadTask(req.params.taskId);
+  const shot = task && taskQueue.audit.screenshots(task.id).find(s => s.file === req.params.file);
+  if (!shot || !existsSync(shot.path)) return res.status(404).json({ error: 'Screenshot not found' });
+  res.sendFile(shot.path);
+});
+
+// Zip of the trail, a chain check, the task record and its screenshots
+app.get('/api/tasks/:taskId/evidence', async (req, res) => {
+  const task = taskQueue.loadTask(req.params.taskId);
+  if (!task) return res.status(404).json({ error: 'Task not found' });
+
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="evidence-${task.id}.zip"`
+  });
+  try {
+    await taskQueue.audit.writeBundle(presentTask(task, req.principal), res);
+  } catch (err) {
+    logger.error(`[${task.id}] Evidence export failed: ${err.message}`);
+    res.destroy(err);
+  }
+});
+
+// --- Task log timeline (operator) ---
+// Merged across components, oldest first (?level=warn&components=queue,openclaw-bridge&limit=500)
+app.get('/api/tasks/:taskId/logs', requireOperator, async (req, res) => {
+  const task = taskQueue.loadTask(req.params.taskId);
+  if (!task) return res.status(404).json({ error: 'Task not found' });
+  if (req.query.level && !LEVELS.includes(req.query.level)) {
+    return res.status(400).json({ error: `\`level\` must be one of ${LEVELS.join(', ')}` });
+  }
+
+  try {
+    res.json(await readTaskLogs(task.id, {
+      level: req.query.level,
+      components: req.query.components ? String(req.query.components).split(',') : undefined,
+      since: task.created_at,
+      limit: Math.min(parseInt(req.query.limit) || 1000, 1000)
+    }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Extracted document data ---
+app.get('/api/tasks/:taskId/extraction', (req, res) => {
+  const task = taskQueue.liveTask(req.params.taskId);
+  if (!task?.extraction) return res.status(404).json({ error: 'No extraction for this task' });
+  res.json(task.extraction);
+});
+
+app.get('/api/extraction-schemas', (req, res) => {
+  res.json(listSchemas());
+});
+
+// --- Live task events (Server-Sent Events) ---
+// Whole queue: GET /api/events (optionally ?task_id=...&types=status,step)
+// One task:    GET /api/tasks/:taskId/events
+// Reconnecting clients send Last-Event-ID and get whatever they missed from the backlog.
+function streamEvents(req, res, taskId) {
+  const types = req.query.types ? String(req.query.types).split(',') : null;
+  const tenant = req.principal.role === 'operator' ? null : req.principal.client_id;
+  const wanted = e => (!taskId || e.task_id === taskId)
+    && (!types || types.includes(e.type))
+    && (req.principal.role === 'operator' || (tenant && e.client_id === tenant));
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = e => res.write(`id: ${e.id}\nevent: ${e.type}\ndata: ${JSON.stringify(e)}\n\n`);
+
+  const lastId = parseInt(req.get('Last-Event-ID') || req.query.since || '0');
+  if (lastId) taskQueue.eventsSince(lastId, taskId).filter(wanted).forEach(send);
+
+  const listener = e => { if (wanted(e)) send(e); };
+  taskQueue.on('task-event', listener);
+
+  // Comment line keeps proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    taskQueue.off('task-event', listener);
+  });
+}
+
+app.get('/api/events', (req, res) => streamEvents(req, res, req.query.task_id));
+app.get('/api/tasks/:taskId/events', (req, res) => streamEvents(req, res, req.params.taskId));
+
+// --- Human approval gate (operator) ---
+// Decisions are attributed to the calling account; the shared bootstrap key may name itself with `by`.
+function approvalRoute(action) {
+  return (req, res) => {
+    const by = req.principal.account_id === 'operator' && req.body?.by ? req.body.by : req.principal.name;
+
+    try {
+      const task = action(req.params.taskId, { ...req.body, by });
+      if (!task) return res.status(404).json({ error: 'Task not found' });
+      res.json({ task_id: task.id, status: task.status, stop_requested: task.stop_requested || null, decisions: task.decisions });
+    } catch (err) {
+      res.status(409).json({ error: err.message });
+    }
+  };
+}
+
+app.get('/api/approvals', requireOperator, (req, res) => {
+  const waiting = taskQueue.listTasks()
+    .filter(t => ['awaiting-review', 'awaiting-approval', 'needs-human'].includes(t.status));
+  res.json(waiting);
+});
+
+app.post('/api/tasks/:taskId/approve', requireOperator, approvalRoute((id, body) => taskQueue.approveTask(id, body)));
+app.post('/api/tasks/:taskId/review', requireOperator, approvalRoute((id, body) => taskQueue.reviewExtraction(id, body)));
+app.post('/api/tasks/:taskId/reject', requireOperator, approvalRoute((id, body) => taskQueue.rejectTask(id, body)));
+app.post('/api/tasks/:taskId/edit-plan', requireOperator, (req, res, next) => {
+  const plan = req.body?.plan;
+  if (!Array.isArray(plan?.steps) || plan.steps.length === 0) {
+    return res.status(400).json({ error: '`plan.steps` must be a non-empty array' });
+  }
+  next();
+}, approvalRoute((id, body) => taskQueue.editPlan(id, body)));
+
+// --- Cancel / pause / resume (task owner or operator) ---
+app.post('/api/tasks/:taskId/cancel', requireScope('tasks'), approvalRoute((id, body) => taskQueue.cancelTask(id, body)));
+app.post('/api/tasks/:taskId/pause', requireScope('tasks'), approvalRoute((id, body) => taskQueue.pauseTask(id, body)));
+
+// Resuming a paused task is the owner's call; moving a needs-human task on is an operator's
+app.post('/api/tasks/:taskId/resume', requireScope('tasks'), (req, res, next) => {
+  const task = taskQueue.loadTask(req.params.taskId);
+  if (task?.status === 'needs-human') return requireOperator(req, res, next);
+  next();
+}, approvalRoute((id, body) => taskQueue.resumeTask(id, body)));
+
+// --- Recurring schedules ---
+// Clients manage their own schedules; operators see all and may set client_id.
+app.param('scheduleId', (req, res, next, scheduleId) => {
+  const schedule = scheduler.get(scheduleId);
+  if (!schedule || !canAccessTask(req.principal, schedule)) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  req.schedule = schedule;
+  next();
+});
+
+app.get('/api/schedules', requireScope('tasks'), (req, res) => {
+  res.json(scheduler.list().filter(s => canAccessTask(req.principal, s)));
+});
+
+app.post('/api/schedules', requireScope('tasks'), (req, res) => {
+  try {
+    const body = req.body || {};
+    const client_id = req.principal.role === 'operator' ? body.client_id : req.principal.client_id;
+    res.status(201).json(scheduler.create({ ...body, client_id }));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get('/api/schedules/:scheduleId', (req, res) => {
+  res.json(scheduler.withRunStatus(req.schedule));
+});
+
+app.patch('/api/schedules/:scheduleId', (req, res) => {
+  try {
+    res.json(scheduler.update(req.schedule.id, req.body || {}));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete('/api/schedules/:scheduleId', (req, res) => {
+  scheduler.remove(req.schedule.id);
+  res.json({ deleted: req.schedule.id });
+});
+
+app.post('/api/schedules/:scheduleId/pause', (req, res) => {
+  res.json(scheduler.setPaused(req.schedule.id, true));
+});
+
+app.post('/api/schedules/:scheduleId/resume', (req, res) => {
+  res.json(scheduler.setPaused(req.schedule.id, false));
+});
+
+// Fire now, outside the cron cadence (same skip rule applies)
+app.post('/api/schedules/:scheduleId/run', (req, res) => {
+  res.json(scheduler.fire(req.schedule.id, { manual: true }));
+});
+
+// --- Bulk record batches ---
+// Records come from an uploaded CSV/JSON `file` or an inline `records` array.
+app.param('batchId', (req, res, next, batchId) => {
+  const batch = batches.get(batchId);
+  if (!batch || !canAccessTask(req.principal, batch)) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+  req.batch = batch;
+  next();
+});
+
+app.get('/api/batches', requireScope('tasks'), (req, res) => {
+  res.json(batches.list().filter(b => canAccessTask(req.principal, b)).map(b => {
+    const { rows, ...job } = batches.present(b);
+    return job;
+  }));
+});
+
+app.post('/api/batches', requireScope('tasks'), upload.single('file'), (req, res) => {
+  try {
+    const body = req.body || {};
+    let records;
+    if (req.file) {
+      const format = /\.csv$/i.test(req.file.originalname) || req.file.mimetype === 'text/csv' ? 'csv' : 'json';
+      records = parseRecords(readFileSync(req.file.path, 'utf8'), format);
+    } else {
+      records = parseRecords(body.records ?? body);
+    }
+
+    const batch = batches.create({
+      ...body,
+      records,
+      client_id: req.principal.role === 'operator' ? body.client_id : req.principal.client_id,
+      source_file: req.file?.originalname || null
+    });
+    res.status(201).json(batch);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get('/api/batches/:batchId', (req, res) => {
+  res.json(batches.present(req.batch));
+});
+
+// Re-run only the rows whose child task failed
+app.post('/api/batches/:batchId/retry', (req, res) => {
+  res.json(batches.retryFailed(req.batch.id));
+});
+
+// --- Outbound webhooks ---
+// Clients register callbacks for their own tasks; operators may register one for
+// a given client or (no client_id) for every task.
+app.get('/api/webhooks', requireScope('tasks'), (req, res) => {
+  res.json(webhooks.list(req.principal.role === 'operator' ? undefined : req.principal.client_id));
+});
+
+app.post('/api/webhooks', requireScope('tasks'), (req, res) => {
+  const body = req.body || {};
+  if (req.principal.role !== 'operator' && !req.principal.client_id) {
+    return res.status(403).json({ error: 'This key is not bound to a client' });
+  }
+  try {
+    const webhook = webhooks.create({
+      url: body.url,
+      events: body.events,
+      description: body.description,
+      client_id: req.principal.role === 'operator' ? body.client_id || null : req.principal.client_id
+    });
+    res.status(201).json({ ...webhook, message: 'Store this secret now; it cannot be shown again.' });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete('/api/webhooks/:webhookId', requireScope('tasks'), (req, res) => {
+  const webhook = webhooks.get(req.params.webhookId);
+  if (!webhook || (req.principal.role !== 'operator' && webhook.client_id !== req.principal.client_id)) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  webhooks.remove(webhook.id);
+  res.json({ deleted: webhook.id });
+});
+
+// Delivery log, newest first (?task_id=...&webhook_id=...&limit=...)
+// Clients see deliveries to their own callbacks, not to an operator's subscriptions on their tasks
+app.get('/api/webhooks/deliveries', requireScope('tasks'), (req, res) => {
+  if (req.principal.role !== 'operator' && !req.principal.client_id) {
+    return res.status(403).json({ error: 'This key is not bound to a client' });
+  }
+  res.json(webhooks.deliveries({
+    task_id: req.query.task_id,
+    webhook_id: req.query.webhook_id,
+    client_id: req.principal.role === 'operator' ? undefined : req.principal.client_id,
+    limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+  }));
+});
+
+app.post('/api/webhooks/deliveries/:deliveryId/redeliver', requireScope('tasks'), async (req, res) => {
+  const delivery = webhooks.getDelivery(req.params.deliveryId);
+  if (!delivery || (req.principal.role !== 'operator' && !webhooks.ownedBy(delivery, req.principal.client_id))) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  res.json(await webhooks.redeliver(delivery.id));
+});
+
+// --- Model costs and budgets ---
+// Month roll-up (?month=YYYY-MM, default this month): every client for operators, their own for clients
+app.get('/api/costs', requireScope('tasks'), (req, res) => {
+  const clientId = req.principal.role === 'operator' ? req.query.client_id : req.principal.client_id;
+  if (req.principal.role !== 'operator' && !clientId) {
+    return res.status(403).json({ error: 'This key is not bound to a client' });
+  }
+  const report = gemini.costs.report(req.query.month, clientId);
+  if (!report) return res.status(400).json({ error: '`month` must look like YYYY-MM' });
+  res.json({ ...report, months: gemini.costs.months() });
+});
+
+app.get('/api/costs/prices', requireOperator, (req, res) => {
+  res.json(PRICES);
+});
+
+app.get('/api/costs/budgets/:clientId', requireOperator, (req, res) => {
+  res.json({ client_id: req.params.clientId, ...gemini.costs.budgetFor(req.params.clientId) });
+});
+
+// { monthly_usd, task_usd }: 0 = no cap, null = back to the default
+app.put('/api/costs/budgets/:clientId', requireOperator, (req, res) => {
+  try {
+    res.json(gemini.costs.setBudget(req.params.clientId, req.body || {}));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// --- Client data policies: PII redaction and allowed model providers (operator) ---
+app.get('/api/data-policies/:clientId', requireOperator, (req, res) => {
+  res.json({ client_id: req.params.clientId, ...gemini.redaction.policyFor(req.params.clientId) });
+});
+
+// { redact, allowed_providers, document_providers }: provider lists, null = any
+app.put('/api/data-policies/:clientId', requireOperator, (req, res) => {
+  try {
+    res.json(gemini.redaction.setPolicy(req.params.clientId, req.body || {}));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// --- Client software credentials ---
+// Values go in and never come back out; tasks refer to them by the handles returned.
+// Clients manage their own logins; operators any client's.
+function ownCredentials(req, res, next) {
+  if (req.principal.role !== 'operator' && req.principal.client_id !== req.params.clientId) {
+    return res.status(404).json({ error: 'Client not found' });
+  }
+  next();
+}
+
+app.get('/api/credentials', requireScope('tasks'), (req, res) => {
+  res.json(gemini.credentials.list(req.principal.role === 'operator' ? req.query.client_id : req.principal.client_id || null));
+});
+
+app.get('/api/credentials/access', requireOperator, (req, res) => {
+  res.json(gemini.credentials.accessLog({
+    clientId: req.query.client_id,
+    taskId: req.query.task_id,
+    limit: Math.min(parseInt(req.query.limit) || 200, 1000)
+  }));
+});
+
+// { username, password, ... }: replaces every stored field for that software
+app.put('/api/credentials/:clientId/:software', requireScope('tasks'), ownCredentials, (req, res) => {
+  try {
+    res.json(gemini.credentials.set(req.params.clientId, req.params.software, req.body, req.principal.name));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete('/api/credentials/:clientId/:software', requireScope('tasks'), ownCredentials, (req, res) => {
+  if (!gemini.credentials.remove(req.params.clientId, req.params.software, req.principal.name)) {
+    return res.status(404).json({ error: 'Credential not found' });
+  }
+  res.json({ deleted: `${req.params.clientId}/${req.params.software}` });
+});
+
+// --- Prospect pipeline (operator) ---
+app.use('/api/prospects', requireOperator);
 
-  const { readdirSync } = require_fs_fallback();
-  const files = readdirSync(tasksDir).filter(f => f.endsWith('.json'));
-  const tasks = files.map(f =>
-    JSON.parse(readFileSync(join(tasksDir, f), 'utf8'))
-  );
-  res.json(tasks.sort((a, b) => new Date(b.created_at) - new Date(a.created_at)));
+app.param('prospectId', (req, res, next, prospectId) => {
+  if (!prospects.get(prospectId)) return res.status(404).json({ error: 'Prospect not found' });
+  next();
+});
+
+// ?stage=replied, ?due=true for follow-ups due today or earlier (soonest first),
+// or ?intake=pending for intake requests not yet turned into tasks
+app.get('/api/prospects', (req, res) => {
+  if (req.query.stage && !STAGES.includes(req.query.stage)) {
+    return res.status(400).json({ error: `Invalid stage: ${req.query.stage}`, stages: STAGES });
+  }
+  res.json(prospects.list({ stage: req.query.stage, due: req.query.due === 'true', intake: req.query.intake }));
+});
+
+// One prospect, or { prospects: [...] } from an outreach run; duplicates merge into the known record
+app.post('/api/prospects', (req, res) => {
+  const body = req.body || {};
+  if (Array.isArray(body.prospects)) {
+    return res.json(prospects.import(body.prospects, req.principal.name));
+  }
+  try {
+    const { prospect, created } = prospects.add(body, req.principal.name);
+    res.status(created ? 201 : 200).json({ ...prospect, merged: !created });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get('/api/prospects/:prospectId', (req, res) => {
+  res.json(prospects.get(req.params.prospectId));
+});
+
+// Contact details, `stage` and `next_follow_up`
+app.patch('/api/prospects/:prospectId', (req, res) => {
+  try {
+    res.json(prospects.update(req.params.prospectId, req.body || {}, req.principal.name));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/api/prospects/:prospectId/notes', (req, res) => {
+  try {
+    res.status(201).json(prospects.addNote(req.params.prospectId, req.body?.text, req.principal.name));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// { channel, direction: outbound|inbound, summary, next_follow_up }
+app.post('/api/prospects/:prospectId/contacts', (req, res) => {
+  try {
+    res.status(201).json(prospects.addContact(req.params.prospectId, req.body || {}, req.principal.name));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Turn an intake request into a task for a client account: { client_id, request_id? } (default: the latest pending)
+app.post('/api/prospects/:prospectId/tasks', (req, res) => {
+  const { client_id, request_id } = req.body || {};
+  if (accounts.get(client_id)?.role !== 'client') {
+    return res.status(400).json({ error: '`client_id` must name a client account' });
+  }
+
+  let request;
+  try {
+    request = prospects.pendingIntake(req.params.prospectId, request_id);
+  } catch (err) {
+    return res.status(409).json({ error: err.message });
+  }
+
+  const prospect = prospects.get(req.params.prospectId);
+  const task = createTask({
+    description: [
+      `Assessment request${prospect.company ? ` from ${prospect.company}` : ''}.`,
+      request.software && `Software: ${request.software}`,
+      request.task_type && `Type: ${request.task_type}`,
+      request.volume && `Volume: ${request.volume}`,
+      `Process: ${request.description}`
+    ].filter(Boolean).join('\n'),
+    software_name: request.software,
+    task_type: 'setup',
+    source: { channel: 'intake-form', prospect_id: prospect.id, intake_request: request.id },
+    client_id
+  });
+  taskQueue.saveTask(task);
+  taskQueue.enqueue(task);
+  prospects.convertIntake(prospect.id, request.id, task.id, req.principal.name);
+
+  logger.info(`Intake request ${request.id} queued as ${task.id} for ${client_id}`, { task_id: task.id });
+  res.status(201).json({ task_id: task.id, status: 'received', prospect_id: prospect.id, intake_request: request.id });
+});
+
+app.post('/api/prospects/:prospectId/pitch', async (req, res) => {
+  try {
+    res.json(await prospects.draftPitch(req.params.prospectId, req.principal.name));
+  } catch (err) {
+    logger.error(`Pitch draft failed for ${req.params.prospectId}: ${err.message}`);
+    res.status(502).json({ error: err.message });
+  }
+});
+
+// --- Recorded GUI macros (operator) ---
+app.get('/api/macros', requireOperator, (req, res) => {
+  res.json(openclaw.macros.list());
+});
+
+// --- Software profiles (operator) ---
+// Bodies may be JSON ({ profile, note } or the bare profile) or a YAML document.
+app.use('/api/profiles', requireOperator, express.text({ type: ['application/yaml', 'application/x-yaml', 'text/yaml'] }));
+
+function profileBody(req) {
+  if (typeof req.body === 'string') return { profile: parseProfile(req.body), note: req.query.note };
+  const { profile, note, by, ...bare } = req.body || {};
+  return { profile: profile || bare, note };
+}
+
+function profileAuthor(req) {
+  const named = req.body?.by || req.query.by;
+  return req.principal.account_id === 'operator' && named ? named : req.principal.name;
+}
+
+app.get('/api/profiles', (req, res) => {
+  res.json(gemini.profiles.list());
+});
+
+app.get('/api/profiles/:profileId', (req, res) => {
+  const profile = gemini.profiles.get(req.params.profileId, req.query.version);
+  if (!profile) return res.status(404).json({ error: 'Profile not found' });
+  res.json(profile);
+});
+
+app.post('/api/profiles', (req, res) => {
+  try {
+    const { profile, note } = profileBody(req);
+    res.status(201).json(gemini.profiles.create(profile, { by: profileAuthor(req), note }));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.put('/api/profiles/:profileId', (req, res) => {
+  try {
+    const { profile, note } = profileBody(req);
+    const updated = gemini.profiles.update(req.params.profileId, profile, { by: profileAuthor(req), note });
+    if (!updated) return res.status(404).json({ error: 'Profile not found' });
+    res.json(updated);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/api/profiles/:profileId/revert', (req, res) => {
+  if (!req.body?.version) return res.status(400).json({ error: '`version` is required' });
+  const reverted = gemini.profiles.revert(req.params.profileId, req.body?.version, { by: profileAuthor(req) });
+  if (!reverted) return res.status(404).json({ error: 'Profile version not found' });
+  res.json(reverted);
+});
+
+app.delete('/api/profiles/:profileId', (req, res) => {
+  if (!gemini.profiles.remove(req.params.profileId)) return res.status(404).json({ error: 'Profile not found' });
+  res.json({ deleted: req.params.profileId });
+});
+
+// --- Dead-letter queue (operator) ---
+app.use('/api/dead-letter', requireOperator);
+
+app.get('/api/dead-letter', (req, res) => {
+  const archived = req.query.archived === 'true';
+  res.json(taskQueue.deadLetters.list({ archived }).map(summarizeDeadLetter));
+});
+
+app.get('/api/dead-letter/:taskId', (req, res) => {
+  const task = taskQueue.deadLetters.get(req.params.taskId, { archived: req.query.archived === 'true' });
+  if (!task) return res.status(404).json({ error: 'Dead-lettered task not found' });
+  res.json(task);
+});
+
+app.post('/api/dead-letter/:taskId/replay', (req, res) => {
+  const { description, mode } = req.body || {};
+  try {
+    const task = taskQueue.replayDeadLetter(req.params.taskId, { description, mode });
+    if (!task) return res.status(404).json({ error: 'Dead-lettered task not found' });
+    res.json({ task_id: task.id, status: task.status, mode: task.envelope.mode, message: 'Task replayed with a reset envelope' });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Bulk triage: body { task_ids: [...] }, { older_than: ISO date } or { all: true }
+app.post('/api/dead-letter/purge', (req, res) => {
+  try {
+    const purged = taskQueue.deadLetters.purge(req.body || {});
+    res.json({ purged, count: purged.length });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/api/dead-letter/archive', (req, res) => {
+  try {
+    const archived = taskQueue.deadLetters.archiveMany(req.body || {});
+    res.json({ archived, count: archived.length });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
 });
 
 // --- Webhook for OpenClaw/Telegram/Discord ---
-app.post('/api/webhook/openclaw', async (req, res) => {
+app.post('/api/webhook/openclaw', requireScope('webhook'), async (req, res) => {
   const { message, channel, user_id } = req.body;
 
   logger.info(`OpenClaw webhook: [${channel}] ${message}`);
 
+  // The message is redacted under the client's policy as the task it may become.
+  // Its token map holds the real values, so it goes if the task is never saved.
+  const task = createTask({ description: message, source: { channel, user_id }, client_id: req.principal.client_id });
+  const failed = (stage, err) => {
+    gemini.redaction.discard(task.id);
+    logger.error(`Webhook ${stage} failed: ${err.message}`);
+    res.status(err instanceof PolicyError ? 403 : 502).json({ error: err.message });
+  };
+
   // Gemini classifies the incoming message
-  const classification = await gemini.classifyTask(message);
+  let classification;
+  try {
+    classification = await gemini.classifyTask(message, gemini.forTask(task));
+  } catch (err) {
+    return failed('classification', err);
+  }
 
   if (classification.type === 'simple') {
     // Simple query - Gemini handles directly
-    const response = await gemini.handleSimpleQuery(message);
+    let response;
+    try {
+      response = await gemini.handleSimpleQuery(message, gemini.forTask(task));
+    } catch (err) {
+      return failed('answer', err);
+    }
+    gemini.redaction.discard(task.id);
     res.json({ response, handled_by: 'gemini' });
   } else {
-    // Complex task - create task and enqueue
-    const taskId = `LEGACY-${Date.now()}-${uuidv4().slice(0, 8)}`;
-    const task = {
-      id: taskId,
-      description: message,
-      software_name: classification.software || 'unknown',
-      task_type: classification.type,
-      documents: [],
-      status: 'received',
-      created_at: new Date().toISOString(),
-      source: { channel, user_id },
-      envelope: {
-        ttl_max: 10,
-        hops: 0,
-        mode: classification.mode || 'EXECUTE',
-        state_hashes: [],
-        consecutive_failures: 0,
-        consecutive_successes: 0,
-        escalated: false,
-        session_ids: [],
-        mcp_cache_key: `${taskId}-cache`
-      }
-    };
-
-    writeFileSync(join(ROOT, 'tasks', `${taskId}.json`), JSON.stringify(task, null, 2));
+    // Complex task - enqueue it
+    task.software_name = classification.software || 'unknown';
+    task.task_type = classification.type;
+    task.envelope.mode = classification.mode || 'EXECUTE';
+    const taskId = task.id;
+
+    taskQueue.saveTask(task);
     taskQueue.enqueue(task);
 
     res.json({
@@ -183,14 +982,31 @@ app.post('/api/webhook/openclaw', async (req, res) => {
 });
 
 // --- OpenClaw Bridge: Spawn Claude Code Session ---
+app.use('/api/openclaw', requireScope('bridge'));
+
+// A caller-written prompt runs without the client's credentials; omit `prompt`
+// and the session is given the task's own description, with credentials attached
 app.post('/api/openclaw/spawn', async (req, res) => {
-  const { task_id, mode, prompt } = req.body;
+  const { task_id, mode, prompt } = req.body || {};
+  if (!task_id) return res.status(400).json({ error: '`task_id` is required' });
+  if (mode && !MODES.includes(mode)) return res.status(400).json({ error: `Invalid mode: ${mode}`, modes: MODES });
+  if (prompt !== undefined && (typeof prompt !== 'string' || !prompt.trim())) {
+    return res.status(400).json({ error: '`prompt` must be a non-empty string' });
+  }
+  if (prompt?.includes('{{secret:')) {
+    return res.status(400).json({ error: 'Credential handles are only resolved in prompts built from the task; omit `prompt`' });
+  }
+
+  // Another tenant's task is reported as not found
+  const task = taskQueue.liveTask(task_id);
+  if (!task || !canAccessTask(req.principal, task)) return res.status(404).json({ error: 'Task not found' });
 
   try {
     const session = await openclaw.spawnClaudeSession({
-      taskId: task_id,
+      taskId: task.id,
+      clientId: prompt ? null : task.client_id,
       mode: mode || 'EXECUTE',
-      prompt
+      prompt: prompt || task.description
     });
     res.json({ session_id: session.id, status: 'spawned' });
   } catch (err) {
@@ -209,6 +1025,37 @@ app.post('/api/openclaw/screenshot', async (req, res) => {
   }
 });
 
+// Low-level desktop actions (xdotool), run in order and logged against the task.
+// Stops at the first failed action.
+app.post('/api/openclaw/actions', async (req, res) => {
+  const { task_id } = req.body;
+  const actions = req.body.actions || (req.body.action ? [req.body.action] : []);
+
+  if (!task_id) return res.status(400).json({ error: '`task_id` is required' });
+  if (!Array.isArray(actions) || actions.length === 0) {
+    return res.status(400).json({ error: '`actions` must be a non-empty array' });
+  }
+  const invalid = actions.map(actionError).find(Boolean);
+  if (invalid) return res.status(400).json({ error: invalid, types: Object.keys(ACTION_FIELDS) });
+  // Another tenant's task is reported as not found
+  const task = taskQueue.liveTask(task_id);
+  if (!task || !canAccessTask(req.principal, task)) return res.status(404).json({ error: 'Task not found' });
+
+  const results = [];
+  try {
+    for (const action of actions) {
+      const entry = await openclaw.runAction(task, action);
+      results.push(entry);
+      if (entry.status !== 'success') break;
+    }
+  } catch (err) {
+    return res.status(500).json({ error: err.message, results });
+  }
+
+  const ok = results.length === actions.length && results.every(r => r.status === 'success');
+  res.json({ task_id, status: ok ? 'success' : 'failed', results });
+});
+
 // --- Dashboard ---
 app.get('/', (req, res) => {
   res.sendFile(join(ROOT, 'public', 'index.html'));
@@ -216,11 +1063,19 @@ app.get('/', (req, res) => {
 
 // --- Start Server ---
 const PORT = process.env.PORT || 3000;
+// Stored credential values are masked in everything logged from here on
+try { openclaw.credentials.loadMasks(); } catch (err) { logger.error(`Failed to load credential masks: ${err.message}`); }
+
 app.listen(PORT, () => {
   logger.info(`Legacy Automation Agency server running on port ${PORT}`);
   logger.info(`Dashboard: http://localhost:${PORT}`);
   logger.info(`API: http://localhost:${PORT}/api/health`);
 
-  // Start the task processing loop
+  // Pick up anything left in flight by the last run, then start the processing loop
+  taskQueue.recover();
   taskQueue.startProcessing(gemini, openclaw);
+  scheduler.start();
+  batches.start();
+  webhooks.start();
+  gemini.profiles.importSeeds();
 });
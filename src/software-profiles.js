@@ -0,0 +1,286 @@
+/**
+ * Software Profile Registry
+ * What we've learned about each legacy application's GUI: how to launch it,
+ * its window titles, known screens and the field anchors on them, keyboard
+ * shortcuts, and the modal dialogs it throws up (with how to dismiss them).
+ * Profiles are fed to planning, ARCHITECT analysis and the bridge, so the
+ * model doesn't rediscover an app's layout on every call.
+ *
+ * One JSON file per application holds every version; operators refine a
+ * profile through the API and each save becomes a new version. A YAML (or
+ * JSON) profile dropped into PROFILE_DIR/seed is imported as version 1 on
+ * startup if no profile with that id exists yet.
+ */
+
+import { writeFileSync, readFileSync, readdirSync, existsSync, mkdirSync, renameSync, unlinkSync } from 'fs';
+import { join, basename, extname } from 'path';
+import YAML from 'yaml';
+import { createLogger } from './logger.js';
+import { validate } from './llm-schemas.js';
+
+const logger = createLogger('software-profiles');
+
+const PROFILE_DIR = process.env.PROFILE_DIR || '/home/brans/legacy-automation-agency/profiles';
+const SEED_DIR = join(PROFILE_DIR, 'seed');
+// Versions kept per profile
+const VERSION_LIMIT = 20;
+
+const ACTION = {
+  type: 'object',
+  required: ['type'],
+  properties: { type: { type: 'string', minLength: 1 } }
+};
+
+export const PROFILE_SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    // Other names clients use for the same software ("Sage 50 Accounting", "Peachtree")
+    aliases: { type: 'array', items: { type: 'string' } },
+    launch_command: { type: ['string', 'null'] },
+    window_titles: { type: 'array', items: { type: 'string' } },
+    screens: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          description: { type: 'string' },
+          // How to recognise the screen: window title fragment and/or screen hash
+          title_contains: { type: 'string' },
+          hash: { type: 'string' },
+          anchors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['field'],
+              properties: {
+                field: { type: 'string', minLength: 1 },
+                label: { type: 'string' },
+                x: { type: 'number' },
+                y: { type: 'number' },
+                tab_order: { type: 'integer', minimum: 0 }
+              }
+            }
+          }
+        }
+      }
+    },
+    shortcuts: { type: 'object' },
+    dialogs: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title_contains', 'dismiss'],
+        properties: {
+          title_contains: { type: 'string', minLength: 1 },
+          description: { type: 'string' },
+          dismiss: { type: 'array', minItems: 1, items: ACTION }
+        }
+      }
+    },
+    notes: { type: ['string', 'null'] }
+  }
+};
+
+export function profileId(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Parse a profile body given as YAML or JSON text.
+ */
+export function parseProfile(text) {
+  return YAML.parse(text);
+}
+
+export class ProfileStore {
+  constructor() {
+    try { mkdirSync(SEED_DIR, { recursive: true }); } catch {}
+  }
+
+  file(id) {
+    return join(PROFILE_DIR, `${id}.json`);
+  }
+
+  /**
+   * Import seed profiles that don't have a stored record yet.
+   */
+  importSeeds() {
+    let imported = 0;
+    for (const f of readdirSync(SEED_DIR).filter(f => ['.yaml', '.yml', '.json'].includes(extname(f)))) {
+      try {
+        const profile = parseProfile(readFileSync(join(SEED_DIR, f), 'utf8'));
+        if (this.load(profileId(profile?.name))) continue;
+        this.create(profile, { by: 'seed', note: `Imported from ${f}` });
+        imported++;
+      } catch (err) {
+        logger.error(`Skipping seed profile ${f}: ${err.message}`);
+      }
+    }
+    if (imported) logger.info(`Imported ${imported} seed profile(s)`);
+  }
+
+  load(id) {
+    if (!id || basename(id) !== id) return null;
+    const file = this.file(id);
+    if (!existsSync(file)) return null;
+    return JSON.parse(readFileSync(file, 'utf8'));
+  }
+
+  save(record) {
+    const file = this.file(record.id);
+    writeFileSync(`${file}.tmp`, JSON.stringify(record, null, 2));
+    renameSync(`${file}.tmp`, file);
+  }
+
+  /**
+   * Every stored record paired with its current version.
+   */
+  records() {
+    const records = [];
+    for (const f of readdirSync(PROFILE_DIR).filter(f => f.endsWith('.json'))) {
+      try {
+        const record = JSON.parse(readFileSync(join(PROFILE_DIR, f), 'utf8'));
+        records.push({ record, current: record.versions.find(v => v.version === record.current_version) });
+      } catch (err) {
+        logger.error(`Skipping unreadable profile ${f}: ${err.message}`);
+      }
+    }
+    return records;
+  }
+
+  list() {
+    return this.records().map(({ record, current }) => ({
+      id: record.id,
+      name: current.profile.name,
+      aliases: current.profile.aliases || [],
+      current_version: record.current_version,
+      updated_at: current.created_at,
+      updated_by: current.by
+    }));
+  }
+
+  /**
+   * A stored profile with its current version's body, or one specific version.
+   */
+  get(id, version) {
+    const record = this.load(id);
+    if (!record) return null;
+    const wanted = version ? parseInt(version) : record.current_version;
+    const v = record.versions.find(x => x.version === wanted);
+    if (!v) return null;
+    return {
+      id: record.id,
+      current_version: record.current_version,
+      versions: record.versions.map(({ version, created_at, by, note }) => ({ version, created_at, by, note })),
+      version: v.version,
+      profile: v.profile
+    };
+  }
+
+  create(profile, { by, note } = {}) {
+    const errors = validate(PROFILE_SCHEMA, profile);
+    if (errors.length) throw new Error(`Invalid profile: ${errors.join('; ')}`);
+
+    const id = profileId(profile.name);
+    if (!id) throw new Error('Profile name must contain letters or digits');
+    if (this.load(id)) throw new Error(`Profile ${id} already exists`);
+
+    const record = { id, current_version: 0, versions: [] };
+    this.addVersion(record, profile, { by, note: note || 'Created' });
+    logger.info(`Created profile ${id}`);
+    return this.get(id);
+  }
+
+  /**
+   * Save a refined profile as the next version. The name (and so the id) is fixed.
+   */
+  update(id, profile, { by, note } = {}) {
+    const record = this.load(id);
+    if (!record) return null;
+
+    const errors = validate(PROFILE_SCHEMA, profile);
+    if (errors.length) throw new Error(`Invalid profile: ${errors.join('; ')}`);
+    if (profileId(profile.name) !== id) throw new Error(`Profile name must stay "${id}" (create a new profile to rename)`);
+
+    this.addVersion(record, profile, { by, note });
+    logger.info(`Updated profile ${id} to v${record.current_version}`);
+    return this.get(id);
+  }
+
+  /**
+   * Make an earlier version current again (as a new version, so history is kept).
+   */
+  revert(id, version, { by } = {}) {
+    const old = this.get(id, version);
+    if (!old) return null;
+    return this.update(id, old.profile, { by, note: `Reverted to v${old.version}` });
+  }
+
+  remove(id) {
+    if (!this.load(id)) return false;
+    unlinkSync(this.file(id));
+    logger.info(`Deleted profile ${id}`);
+    return true;
+  }
+
+  addVersion(record, profile, { by, note }) {
+    const version = record.current_version + 1;
+    record.versions.push({ version, created_at: new Date().toISOString(), by: by || null, note: note || null, profile });
+    if (record.versions.length > VERSION_LIMIT) record.versions.splice(0, record.versions.length - VERSION_LIMIT);
+    record.current_version = version;
+    this.save(record);
+  }
+
+  /**
+   * Current profile for a task's free-text software name, matched on the
+   * profile name or an alias. Returns { id, version, profile } or null.
+   */
+  match(softwareName) {
+    const wanted = profileId(softwareName);
+    if (!wanted) return null;
+
+    let best = null;
+    for (const { record, current } of this.records()) {
+      const names = [current.profile.name, ...(current.profile.aliases || [])].map(profileId).filter(Boolean);
+
+      // Exact name wins; otherwise the longest name contained in the software string ("dentrix" in "dentrix-g7-4")
+      if (names.includes(wanted)) return { id: record.id, version: current.version, profile: current.profile };
+      const partial = names.filter(n => wanted.includes(n)).sort((a, b) => b.length - a.length)[0];
+      if (partial && (!best || partial.length > best.length)) {
+        best = { length: partial.length, match: { id: record.id, version: current.version, profile: current.profile } };
+      }
+    }
+    return best?.match || null;
+  }
+}
+
+/**
+ * Profile rendered as a prompt section for planning and ARCHITECT.
+ */
+export function describeProfile({ version, profile }) {
+  const lines = [`SOFTWARE PROFILE: ${profile.name} (profile v${version})`];
+  if (profile.launch_command) lines.push(`Launch: ${profile.launch_command}`);
+  if (profile.window_titles?.length) lines.push(`Window titles: ${profile.window_titles.join(' | ')}`);
+
+  for (const screen of profile.screens || []) {
+    lines.push(`Screen "${screen.name}"${screen.title_contains ? ` (title contains "${screen.title_contains}")` : ''}${screen.description ? `: ${screen.description}` : ''}`);
+    for (const a of screen.anchors || []) {
+      const at = a.x !== undefined ? ` at (${a.x}, ${a.y})` : '';
+      const tab = a.tab_order !== undefined ? `, tab ${a.tab_order}` : '';
+      lines.push(`  - ${a.field}${a.label ? ` [label "${a.label}"]` : ''}${at}${tab}`);
+    }
+  }
+
+  const shortcuts = Object.entries(profile.shortcuts || {});
+  if (shortcuts.length) lines.push(`Shortcuts: ${shortcuts.map(([name, keys]) => `${name}=${keys}`).join(', ')}`);
+
+  for (const d of profile.dialogs || []) {
+    lines.push(`Known dialog "${d.title_contains}"${d.description ? ` (${d.description})` : ''}: dismiss with ${d.dismiss.map(a => a.keys || a.text || a.type).join(', ')}`);
+  }
+  if (profile.notes) lines.push(`Notes: ${profile.notes}`);
+  return lines.join('\n');
+}
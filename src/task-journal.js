@@ -0,0 +1,81 @@
+import { appendFileSync, readFileSync, writeFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('task-journal');
+
+// Committed entries are dropped once the journal grows past this many lines
+const COMPACT_AFTER = 200;
+
+/**
+ * Write-ahead journal for task records.
+ * Every task write is logged here (task id and status only) before the task
+ * file is touched, and marked committed once the file is in place. After a
+ * crash, an entry without a commit names a write that may not have landed;
+ * the record itself is recovered from the task's files.
+ */
+export class TaskJournal {
+  constructor(dir) {
+    this.file = join(dir, 'journal.jsonl');
+    this.seq = 0;
+    this.lines = 0;
+  }
+
+  /**
+   * Log the intent to write a task record. Returns the entry sequence number.
+   */
+  begin(task) {
+    const seq = ++this.seq;
+    this.append({ seq, type: 'begin', task_id: task.id, status: task.status, at: new Date().toISOString() });
+    return seq;
+  }
+
+  /**
+   * Mark a previously logged write as durable.
+   */
+  commit(seq, taskId) {
+    this.append({ seq, type: 'commit', task_id: taskId });
+
+    // Writes are synchronous, so once the commit lands nothing is in flight
+    if (this.lines >= COMPACT_AFTER) this.reset();
+  }
+
+  /**
+   * Read back writes that were started but never committed.
+   * Returns the most recent uncommitted entry per task.
+   */
+  uncommitted() {
+    if (!existsSync(this.file)) return [];
+
+    const open = new Map();
+    const lines = readFileSync(this.file, 'utf8').split('\n').filter(Boolean);
+
+    for (const line of lines) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        // A torn final line from a crash mid-append — nothing after it is usable
+        logger.warn(`Skipping unreadable journal line`);
+        break;
+      }
+
+      if (entry.type === 'begin') open.set(entry.seq, entry);
+      else if (entry.type === 'commit') open.delete(entry.seq);
+    }
+
+    const latest = new Map();
+    for (const entry of open.values()) latest.set(entry.task_id, entry);
+    return [...latest.values()];
+  }
+
+  reset() {
+    writeFileSync(this.file, '');
+    this.lines = 0;
+  }
+
+  append(entry) {
+    appendFileSync(this.file, JSON.stringify(entry) + '\n');
+    this.lines++;
+  }
+}
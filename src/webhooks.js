@@ -0,0 +1,454 @@
+/**
+ * Outbound Webhooks
+ * Integrators register callback URLs instead of polling: per client (every
+ * task the client owns) or per task (`callback_url` at submission). When a
+ * task's status changes to one a callback listens for, the event is POSTed
+ * as JSON and retried with exponential backoff until it gets a 2xx.
+ *
+ * Every request is signed with the callback's secret:
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ * Receivers should recompute the HMAC and reject stale timestamps.
+ *
+ * Each delivery (payload + every attempt) is kept as a file so it can be
+ * inspected and redelivered by hand.
+ *
+ * Callbacks may only reach public addresses: loopback, private, link-local
+ * and other reserved targets are refused when the URL is registered (literal
+ * addresses, localhost) and again at each delivery, after DNS resolution.
+ * The request then connects to the address that was checked, so a second
+ * DNS answer can't send it elsewhere. Redirects are not followed. Hosts listed in WEBHOOK_ALLOWED_HOSTS
+ * (comma-separated) are exempt, for receivers on the agency's own network.
+ */
+
+import { writeFileSync, readFileSync, readdirSync, mkdirSync, existsSync, renameSync, unlinkSync, statSync } from 'fs';
+import { join, basename } from 'path';
+import { randomBytes, createHmac } from 'crypto';
+import { BlockList, isIP } from 'net';
+import { lookup } from 'dns/promises';
+import http from 'http';
+import https from 'https';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('webhooks');
+
+const WEBHOOK_DIR = process.env.WEBHOOK_DIR || '/home/brans/legacy-automation-agency/webhooks';
+const SUBSCRIPTIONS_FILE = join(WEBHOOK_DIR, 'subscriptions.json');
+const DELIVERY_DIR = join(WEBHOOK_DIR, 'deliveries');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8');
+// First retry after this long, doubling each time (30s, 1m, 2m, ... capped at an hour)
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '30000');
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+// Attempts kept in a delivery's log across redeliveries
+const ATTEMPT_LOG_LIMIT = 50;
+// Delivery log retention
+const LOG_DAYS = parseInt(process.env.WEBHOOK_LOG_DAYS || '30');
+
+const ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+
+// Loopback, private, link-local, shared (CGNAT), documentation, multicast and reserved ranges
+const BLOCKED = new BlockList();
+for (const [net, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]]) {
+  BLOCKED.addSubnet(net, prefix, 'ipv4');
+}
+// IPv4-mapped addresses are checked against the ranges above; NAT64 ones could reach them too
+for (const [net, prefix] of [['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7],
+  ['fe80::', 10], ['ff00::', 8], ['2001:db8::', 32]]) {
+  BLOCKED.addSubnet(net, prefix, 'ipv6');
+}
+
+/**
+ * True for an IP address a callback must not be sent to.
+ */
+export function blockedAddress(address) {
+  const family = isIP(address);
+  if (!family) return false;
+  return BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function callbackHost(url) {
+  return new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+}
+
+/**
+ * Resolve a callback URL's host and refuse it if any address it resolves to is blocked.
+ * Returns the address ({ address, family }) the delivery must connect to.
+ */
+async function checkTarget(url) {
+  const host = callbackHost(url);
+  const addresses = isIP(host) ? [{ address: host, family: isIP(host) }] : await lookup(host, { all: true, verbatim: true });
+  if (!ALLOWED_HOSTS.includes(host)) {
+    const blocked = addresses.find(a => blockedAddress(a.address));
+    if (blocked) throw new Error(`Callback host ${host} resolves to a non-public address (${blocked.address})`);
+  }
+  return addresses[0];
+}
+
+/**
+ * POST a body to a URL, connecting only to the given address whatever the
+ * host resolves to now. TLS is still verified against the URL's host name.
+ * Resolves with the response status code; redirects are not followed.
+ */
+export function postTo(url, { address, family }, headers, body) {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: (hostname, options, callback) => options.all
+        ? callback(null, [{ address, family }])
+        : callback(null, address, family),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    }, response => {
+      response.on('error', reject);
+      response.on('end', () => resolve(response.statusCode));
+      response.resume();
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// Statuses sent when a callback doesn't name its own
+export const DEFAULT_EVENTS = ['completed', 'needs-human', 'dead-lettered', 'failed', 'cancelled', 'rejected'];
+
+export function newSecret() {
+  return `whsec_${randomBytes(24).toString('base64url')}`;
+}
+
+export function sign(secret, timestamp, body) {
+  return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function validateCallback({ url, events }) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error('`url` must be an absolute http(s) URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('`url` must be an absolute http(s) URL');
+  const host = callbackHost(url);
+  if (!ALLOWED_HOSTS.includes(host) && (blockedAddress(host) || host === 'localhost' || host.endsWith('.localhost'))) {
+    throw new Error('`url` must point to a public address');
+  }
+  if (events !== undefined && (!Array.isArray(events) || events.some(e => typeof e !== 'string'))) {
+    throw new Error('`events` must be a list of task statuses (or ["*"])');
+  }
+}
+
+/**
+ * Per-task callback from a submission's `callback_url` / `callback_events`
+ * (a list, or a comma-separated string from a multipart form).
+ */
+export function taskCallback(url, events) {
+  const list = typeof events === 'string' ? events.split(',').map(e => e.trim()).filter(Boolean) : events;
+  validateCallback({ url, events: list });
+  return { url, events: list?.length ? list : DEFAULT_EVENTS, secret: newSecret() };
+}
+
+function listens(callback, status) {
+  const events = callback.events?.length ? callback.events : DEFAULT_EVENTS;
+  return events.includes('*') || events.includes(status);
+}
+
+// Secrets are shown once, at creation
+function publicSubscription({ secret, ...sub }) {
+  return { ...sub, secret_hint: `${secret.slice(0, 6)}…${secret.slice(-4)}` };
+}
+
+export class WebhookManager {
+  /**
+   * @param {TaskQueue} taskQueue  source of task status events
+   */
+  constructor(taskQueue) {
+    this.taskQueue = taskQueue;
+    this.timers = new Map();
+    try { mkdirSync(DELIVERY_DIR, { recursive: true }); } catch {}
+    this.subscriptions = this.load();
+
+    taskQueue.on('task-event', (event) => {
+      if (event.type === 'status') this.onStatus(event);
+    });
+  }
+
+  load() {
+    try {
+      return JSON.parse(readFileSync(SUBSCRIPTIONS_FILE, 'utf8'));
+    } catch {
+      return [];
+    }
+  }
+
+  save() {
+    writeFileSync(`${SUBSCRIPTIONS_FILE}.tmp`, JSON.stringify(this.subscriptions, null, 2));
+    renameSync(`${SUBSCRIPTIONS_FILE}.tmp`, SUBSCRIPTIONS_FILE);
+  }
+
+  /**
+   * Reschedule deliveries still pending from the last run and prune old ones.
+   */
+  start() {
+    const cutoff = Date.now() - LOG_DAYS * 24 * 60 * 60 * 1000;
+    let pending = 0;
+    for (const f of readdirSync(DELIVERY_DIR).filter(f => f.endsWith('.json'))) {
+      const file = join(DELIVERY_DIR, f);
+      try {
+        const delivery = JSON.parse(readFileSync(file, 'utf8'));
+        if (delivery.status === 'pending') {
+          this.schedule(delivery);
+          pending++;
+        } else if (statSync(file).mtimeMs < cutoff) {
+          unlinkSync(file);
+        }
+      } catch (err) {
+        logger.error(`Skipping unreadable delivery ${f}: ${err.message}`);
+      }
+    }
+    logger.info(`Webhooks started: ${this.subscriptions.length} subscription(s), ${pending} pending deliverie(s)`);
+  }
+
+  // --- Subscriptions ---
+
+  list(clientId) {
+    return this.subscriptions.filter(s => clientId === undefined || s.client_id === clientId).map(publicSubscription);
+  }
+
+  get(webhookId) {
+    return this.subscriptions.find(s => s.id === webhookId) || null;
+  }
+
+  /**
+   * Register a callback for a client's tasks (client_id null: every task).
+   * Returns the subscription with its secret, which is never shown again.
+   */
+  create({ url, events, client_id = null, description }) {
+    validateCallback({ url, events });
+    const sub = {
+      id: `WH-${randomBytes(5).toString('hex')}`,
+      client_id,
+      url,
+      events: events || DEFAULT_EVENTS,
+      description: description || null,
+      secret: newSecret(),
+      created_at: new Date().toISOString()
+    };
+    this.subscriptions.push(sub);
+    this.save();
+    logger.info(`Registered webhook ${sub.id} for ${client_id || 'all clients'}: ${url}`);
+    return sub;
+  }
+
+  remove(webhookId) {
+    const before = this.subscriptions.length;
+    this.subscriptions = this.subscriptions.filter(s => s.id !== webhookId);
+    if (this.subscriptions.length === before) return false;
+    this.save();
+    logger.info(`Removed webhook ${webhookId}`);
+    return true;
+  }
+
+  // --- Deliveries ---
+
+  onStatus(event) {
+    const status = event.to;
+    const task = this.taskQueue.liveTask(event.task_id);
+    if (!task) return;
+
+    const targets = this.subscriptions
+      .filter(s => (s.client_id === null || s.client_id === task.client_id) && listens(s, status))
+      .map(s => ({ webhook_id: s.id, url: s.url, secret: s.secret }));
+    if (task.callback && listens(task.callback, status)) {
+      targets.push({ webhook_id: null, url: task.callback.url, secret: task.callback.secret });
+    }
+    if (targets.length === 0) return;
+
+    const payload = {
+      event: 'task.status',
+      task_id: task.id,
+      status,
+      previous_status: event.from,
+      at: event.at,
+      task: {
+        id: task.id,
+        client_id: task.client_id,
+        description: task.description,
+        software_name: task.software_name,
+        workflow: task.workflow || null,
+        status: task.status,
+        last_error: task.last_error || null,
+        verification: task.verification ? { verdict: task.verification.status, reason: task.verification.reason } : null,
+        batch_id: task.batch?.id || null,
+        deliverables: task.deliverables?.files || []
+      }
+    };
+
+    for (const target of targets) {
+      const delivery = {
+        id: `DLV-${randomBytes(6).toString('hex')}`,
+        webhook_id: target.webhook_id,
+        task_id: task.id,
+        client_id: task.client_id,
+        url: target.url,
+        event: status,
+        payload,
+        status: 'pending',
+        tries: 0,
+        attempts: [],
+        created_at: new Date().toISOString(),
+        next_attempt_at: new Date().toISOString()
+      };
+      this.saveDelivery(delivery);
+      this.schedule(delivery);
+    }
+  }
+
+  deliveryFile(deliveryId) {
+    return join(DELIVERY_DIR, `${deliveryId}.json`);
+  }
+
+  saveDelivery(delivery) {
+    const file = this.deliveryFile(delivery.id);
+    writeFileSync(`${file}.tmp`, JSON.stringify(delivery, null, 2));
+    renameSync(`${file}.tmp`, file);
+  }
+
+  getDelivery(deliveryId) {
+    if (typeof deliveryId !== 'string' || basename(deliveryId) !== deliveryId) return null;
+    const file = this.deliveryFile(deliveryId);
+    if (!existsSync(file)) return null;
+    return JSON.parse(readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Whether a delivery belongs to a client: one to the client's own webhook or
+   * to a callback on its own task, never one to an operator's subscription.
+   */
+  ownedBy(delivery, clientId) {
+    if (!clientId || delivery.client_id !== clientId) return false;
+    return delivery.webhook_id === null || this.get(delivery.webhook_id)?.client_id === clientId;
+  }
+
+  /**
+   * Delivery log, newest first, optionally for one task, webhook or client.
+   */
+  deliveries({ task_id, webhook_id, client_id, limit = 100 } = {}) {
+    const all = [];
+    for (const f of readdirSync(DELIVERY_DIR).filter(f => f.endsWith('.json'))) {
+      try {
+        const d = JSON.parse(readFileSync(join(DELIVERY_DIR, f), 'utf8'));
+        if (task_id && d.task_id !== task_id) continue;
+        if (webhook_id && d.webhook_id !== webhook_id) continue;
+        if (client_id !== undefined && !this.ownedBy(d, client_id)) continue;
+        all.push(d);
+      } catch {}
+    }
+    return all.sort((a, b) => new Date(b.created_at) - new Date(a.created_at)).slice(0, limit);
+  }
+
+  schedule(delivery) {
+    clearTimeout(this.timers.get(delivery.id));
+    const wait = Math.max(0, new Date(delivery.next_attempt_at) - Date.now());
+    this.timers.set(delivery.id, setTimeout(() => {
+      this.timers.delete(delivery.id);
+      this.attempt(delivery.id).catch(err => logger.error(`Delivery ${delivery.id} crashed: ${err.message}`));
+    }, wait));
+  }
+
+  /**
+   * POST a delivery once and record the outcome; schedules the next retry on failure.
+   */
+  async attempt(deliveryId) {
+    const delivery = this.getDelivery(deliveryId);
+    if (!delivery || delivery.status !== 'pending') return delivery;
+
+    // Task-level callbacks keep their secret on the task; subscriptions can be rotated or removed
+    const secret = delivery.webhook_id
+      ? this.get(delivery.webhook_id)?.secret
+      : this.taskQueue.loadTask(delivery.task_id)?.callback?.secret;
+    if (!secret) {
+      delivery.status = 'failed';
+      delivery.next_attempt_at = null;
+      delivery.attempts.push({ at: new Date().toISOString(), status_code: null, error: 'Callback no longer registered' });
+      this.saveDelivery(delivery);
+      return delivery;
+    }
+
+    const body = JSON.stringify({ delivery_id: delivery.id, ...delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    const attempt = { at: new Date(started).toISOString(), status_code: null, error: null };
+
+    let target;
+    try {
+      target = await checkTarget(delivery.url);
+    } catch (err) {
+      // Not worth retrying: the target has to change first
+      attempt.error = err.message;
+      delivery.tries++;
+      delivery.status = 'failed';
+      delivery.next_attempt_at = null;
+      delivery.attempts = [...delivery.attempts, attempt].slice(-ATTEMPT_LOG_LIMIT);
+      this.saveDelivery(delivery);
+      logger.warn(`Refusing delivery ${delivery.id} to ${delivery.url}: ${err.message}`);
+      return delivery;
+    }
+
+    try {
+      attempt.status_code = await postTo(delivery.url, target, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'legacy-automation-agency-webhooks/1.0',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': `task.${delivery.event}`,
+        'X-Webhook-Signature': `t=${timestamp},v1=${sign(secret, timestamp, body)}`
+      }, body);
+      // A redirect could point anywhere, including addresses checkTarget refuses
+      if (attempt.status_code < 200 || attempt.status_code >= 300) attempt.error = `HTTP ${attempt.status_code}`;
+    } catch (err) {
+      attempt.error = err.message;
+    }
+    attempt.duration_ms = Date.now() - started;
+    delivery.tries++;
+    delivery.attempts = [...delivery.attempts, attempt].slice(-ATTEMPT_LOG_LIMIT);
+
+    if (!attempt.error) {
+      delivery.status = 'delivered';
+      delivery.delivered_at = attempt.at;
+      delivery.next_attempt_at = null;
+      logger.info(`Delivered ${delivery.id} (${delivery.event}) for ${delivery.task_id} to ${delivery.url}`);
+    } else if (delivery.tries >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+      delivery.next_attempt_at = null;
+      logger.warn(`Giving up on ${delivery.id} after ${delivery.tries} attempts: ${attempt.error}`);
+    } else {
+      const wait = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (delivery.tries - 1));
+      delivery.next_attempt_at = new Date(Date.now() + wait).toISOString();
+      logger.warn(`Delivery ${delivery.id} failed (${attempt.error}); retry ${delivery.tries + 1}/${MAX_ATTEMPTS} in ${Math.round(wait / 1000)}s`);
+    }
+
+    this.saveDelivery(delivery);
+    if (delivery.status === 'pending') this.schedule(delivery);
+    return delivery;
+  }
+
+  /**
+   * Send a delivery again now, whatever its state, with a fresh retry budget.
+   */
+  async redeliver(deliveryId) {
+    const delivery = this.getDelivery(deliveryId);
+    if (!delivery) return null;
+
+    clearTimeout(this.timers.get(delivery.id));
+    this.timers.delete(delivery.id);
+    delivery.status = 'pending';
+    delivery.redelivered_at = new Date().toISOString();
+    // Earlier attempts stay in the log but don't count against the new budget
+    delivery.tries = 0;
+    this.saveDelivery(delivery);
+    return await this.attempt(delivery.id);
+  }
+}
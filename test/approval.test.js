@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDirs } from './helpers.js';
+
+useTempDirs();
+const { TaskQueue } = await import('../src/queue.js');
+const { assessPlan, alreadyApproved } = await import('../src/approval.js');
+
+const APPROVED_PLAN = { steps: [{ step: 1, action: 'Delete invoice 1001' }] };
+const REVISED_PLAN = { steps: [{ step: 1, action: 'Delete invoices 1001 through 1999' }] };
+
+// Only what processTask consults before the approval gate
+const gemini = { costs: { overBudget: () => null } };
+
+function approvedTask(queue) {
+  const task = {
+    id: `TASK-${Math.random().toString(16).slice(2)}`,
+    description: 'Clean up duplicate invoice',
+    status: 'awaiting-approval',
+    envelope: { mode: 'SUPERVISE', hops: 0, ttl_max: 5, consecutive_failures: 0 },
+    plan: APPROVED_PLAN,
+    approval: { state: 'pending', rules: ['delete'], reasons: [], requested_at: new Date().toISOString() }
+  };
+  queue.saveTask(task);
+  queue.approveTask(task.id, { by: 'operator' });
+  queue.queue = [];
+  return queue.loadTask(task.id);
+}
+
+test('an approval covers the plan it was given', () => {
+  const queue = new TaskQueue();
+  const task = approvedTask(queue);
+  assert.equal(task.status, 'planned');
+  assert.equal(alreadyApproved(task, assessPlan(task, APPROVED_PLAN), APPROVED_PLAN), true);
+  assert.equal(queue.holdForApproval(task, task.plan), false);
+});
+
+test('a plan revised after approval must be approved again', () => {
+  const queue = new TaskQueue();
+  const task = approvedTask(queue);
+  assert.equal(alreadyApproved(task, assessPlan(task, REVISED_PLAN), REVISED_PLAN), false);
+});
+
+test('resuming with a revised plan parks the task instead of running it', async () => {
+  const queue = new TaskQueue();
+  const task = approvedTask(queue);
+  // What ARCHITECT leaves behind before the task is paused and resumed
+  task.plan = REVISED_PLAN;
+  task.status = 'planned';
+
+  await queue.processTask(task, gemini, null);
+
+  const saved = queue.loadTask(task.id);
+  assert.equal(saved.status, 'awaiting-approval');
+  assert.equal(saved.approval.state, 'pending');
+  assert.deepEqual(saved.approval.rules, ['delete']);
+});
+
+test('an edited plan is what the approval covers', () => {
+  const queue = new TaskQueue();
+  const task = {
+    id: `TASK-${Math.random().toString(16).slice(2)}`,
+    description: 'Clean up duplicate invoice',
+    status: 'awaiting-approval',
+    envelope: { mode: 'SUPERVISE', hops: 0, ttl_max: 5, consecutive_failures: 0 },
+    plan: APPROVED_PLAN,
+    approval: { state: 'pending', rules: ['delete'], reasons: [], requested_at: new Date().toISOString() }
+  };
+  queue.saveTask(task);
+  queue.editPlan(task.id, { by: 'operator', plan: REVISED_PLAN });
+  queue.approveTask(task.id, { by: 'operator' });
+  queue.queue = [];
+
+  const saved = queue.loadTask(task.id);
+  assert.equal(queue.holdForApproval(saved, REVISED_PLAN), false);
+  assert.equal(queue.holdForApproval(saved, APPROVED_PLAN), true);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDirs } from './helpers.js';
+
+useTempDirs();
+const { TaskQueue, newEnvelope } = await import('../src/queue.js');
+const { CostLedger, monthOf } = await import('../src/costs.js');
+const { planDigest } = await import('../src/approval.js');
+
+const PLAN = { steps: [{ step: 1, action: 'Delete invoice 1001' }] };
+
+const ledger = new CostLedger();
+ledger.setBudget('client-a', { task_usd: 1, monthly_usd: 0 });
+ledger.setBudget('client-b', { task_usd: 0, monthly_usd: 50 });
+
+function plannedTask(queue, client_id, extra = {}) {
+  const id = `TASK-${Math.random().toString(16).slice(2)}`;
+  const task = { id, client_id, description: 'Clean up duplicate invoice', status: 'planned', envelope: newEnvelope(id, 'SUPERVISE'), plan: PLAN, ...extra };
+  queue.saveTask(task);
+  return task;
+}
+
+function budgetQueue() {
+  const queue = new TaskQueue();
+  // What approveTask reaches for; the processing loop sets it in production
+  queue.gemini = { costs: ledger };
+  return queue;
+}
+
+test('a task over its cap is held before its next hop and resumes with another allowance', async () => {
+  const queue = budgetQueue();
+  const task = plannedTask(queue, 'client-a', { usage: { cost_usd: 1.5 } });
+
+  await queue.processTask(task, queue.gemini, null);
+
+  let saved = queue.loadTask(task.id);
+  assert.equal(saved.status, 'awaiting-approval');
+  assert.deepEqual(saved.approval.rules, ['budget']);
+  assert.match(saved.approval.reasons[0], /spent \$1\.50 on model calls \(cap \$1\.00\)/);
+
+  saved = queue.approveTask(task.id, { by: 'operator' });
+  assert.equal(saved.status, 'planned');
+  assert.equal(saved.budget.task_limit_usd, 2.5);
+  assert.equal(ledger.overBudget(saved), null);
+  assert.ok(queue.queue.some(t => t.id === task.id));
+
+  // The new allowance is spent too
+  saved.usage.cost_usd = 2.5;
+  assert.match(ledger.overBudget(saved), /cap \$2\.50/);
+});
+
+test('approving a monthly overrun covers the task for the rest of the month', () => {
+  const queue = budgetQueue();
+  ledger.saveMonth({ month: monthOf(), clients: { 'client-b': { cost_usd: 60 } } });
+  const task = plannedTask(queue, 'client-b');
+
+  const reason = ledger.overBudget(task);
+  assert.match(reason, /Client client-b has spent \$60\.00 this month \(cap \$50\.00\)/);
+  queue.holdForBudget(task, reason);
+
+  const saved = queue.approveTask(task.id, { by: 'operator' });
+  assert.equal(saved.budget.monthly_override, monthOf());
+  assert.equal(ledger.overBudget(saved), null);
+  assert.notEqual(ledger.overBudget(plannedTask(queue, 'client-b')), null);
+});
+
+test('a budget hold keeps an earlier plan approval', () => {
+  const queue = budgetQueue();
+  const task = plannedTask(queue, 'client-a', {
+    status: 'executing',
+    usage: { cost_usd: 3 },
+    approval: { state: 'approved', rules: ['delete'], reasons: [], plan_digest: planDigest(PLAN) }
+  });
+
+  queue.holdForBudget(task, ledger.overBudget(task));
+  const held = queue.loadTask(task.id);
+  assert.deepEqual(held.approval.rules, ['delete', 'budget']);
+  assert.equal(held.approval.resume_status, 'executing');
+
+  const saved = queue.approveTask(task.id, { by: 'operator' });
+  assert.equal(saved.status, 'executing');
+  assert.equal(saved.approval.plan_digest, planDigest(PLAN));
+  assert.equal(queue.holdForApproval(saved, PLAN), false);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, statSync, existsSync } from 'fs';
+import { execFileSync } from 'child_process';
+import { setTimeout as sleep } from 'timers/promises';
+import { useTempDirs } from './helpers.js';
+
+useTempDirs({ CREDENTIAL_KEY: 'test-key' });
+const { CredentialVault, maskSecrets, maskCredentials } = await import('../src/credentials.js');
+const { createLogger, readTaskLogs } = await import('../src/logger.js');
+const { writeSessionEnv } = await import('../src/openclaw-bridge.js');
+
+const CREDENTIALS = new URL('../src/credentials.js', import.meta.url).href;
+const TASK = 'LEGACY-1760000000000-0c0ffee0';
+
+new CredentialVault().set('client-a', 'QuickBooks Desktop', { password: 'hunter2-secret' }, 'operator');
+
+// A fresh process, as after a restart: nothing has been stored or read in it yet
+function maskInNewProcess(loadMasks) {
+  const script = `
+    const { CredentialVault, maskSecrets } = await import(${JSON.stringify(CREDENTIALS)});
+    if (${loadMasks}) new CredentialVault().loadMasks();
+    process.stdout.write(maskSecrets('logged in with hunter2-secret'));
+  `;
+  return execFileSync(process.execPath, ['--input-type=module', '-e', script], { encoding: 'utf8', timeout: 10000 });
+}
+
+test('stored values are masked after a restart once the vault is loaded', () => {
+  assert.equal(maskInNewProcess(false), 'logged in with hunter2-secret');
+  assert.equal(maskInNewProcess(true), 'logged in with {{secret:quickbooks-desktop.password}}');
+});
+
+test('loading masks is skipped while the vault is locked', () => {
+  const key = process.env.CREDENTIAL_KEY;
+  delete process.env.CREDENTIAL_KEY;
+  try {
+    assert.equal(new CredentialVault().loadMasks(), 0);
+  } finally {
+    process.env.CREDENTIAL_KEY = key;
+  }
+  assert.equal(new CredentialVault().loadMasks(), 1);
+});
+
+test('only secret fields are masked everywhere', () => {
+  new CredentialVault().set('client-b', 'Sage 50', { username: 'admin', company_file: 'Main', pin: '4417' }, 'operator');
+
+  assert.equal(maskSecrets('admin opened Main with 4417'), 'admin opened Main with {{secret:sage-50.pin}}');
+  assert.equal(maskCredentials('admin opened Main with 4417'),
+    '{{secret:sage-50.username}} opened {{secret:sage-50.company_file}} with {{secret:sage-50.pin}}');
+});
+
+test('values in log fields are masked, not only the message', async () => {
+  const logger = createLogger('credentials-test');
+  logger.error('Login step failed', { task_id: TASK, output: 'typed hunter2-secret', detail: { argv: ['--pass', 'hunter2-secret'] } });
+
+  let entries = [];
+  for (let i = 0; i < 40 && !entries.length; i++) {
+    await sleep(50);
+    entries = await readTaskLogs(TASK);
+  }
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].output, 'typed {{secret:quickbooks-desktop.password}}');
+  assert.deepEqual(entries[0].detail.argv, ['--pass', '{{secret:quickbooks-desktop.password}}']);
+  assert.equal(maskSecrets(JSON.stringify(entries[0])), JSON.stringify(entries[0]));
+});
+
+test('session credentials go through a private file the shell reads and deletes', () => {
+  const value = `it's "quoted" $HOME \`x\``;
+  const { dir, command } = writeSessionEnv({ SECRET_QUICKBOOKS_DESKTOP_PASSWORD: value });
+
+  assert.equal(statSync(dir).mode & 0o777, 0o700);
+  assert.equal(statSync(`${dir}/env`).mode & 0o777, 0o600);
+  assert.ok(readFileSync(`${dir}/env`, 'utf8').startsWith('export SECRET_QUICKBOOKS_DESKTOP_PASSWORD='));
+  assert.ok(!command.includes(value));
+
+  const seen = execFileSync('sh', ['-c', `${command}; printf %s "$SECRET_QUICKBOOKS_DESKTOP_PASSWORD"`], { encoding: 'utf8', timeout: 10000 });
+  assert.equal(seen, value);
+  assert.equal(existsSync(dir), false);
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { useTempDirs } from './helpers.js';
+
+useTempDirs();
+const { DeadLetterStore } = await import('../src/dead-letter.js');
+
+const store = new DeadLetterStore();
+for (const [id, at] of [['TASK-old', '2026-09-01T00:00:00.000Z'], ['TASK-new', '2026-10-18T00:00:00.000Z']]) {
+  writeFileSync(join(process.env.DEAD_LETTER_DIR, `${id}.json`), JSON.stringify({ id, dead_lettered_at: at }));
+}
+
+test('older_than selects entries dead-lettered before the cutoff', () => {
+  assert.deepEqual(store.select({ older_than: '2026-10-01' }), ['TASK-old']);
+});
+
+test('an unreadable older_than is refused instead of selecting nothing', () => {
+  assert.throws(() => store.select({ older_than: 'last month' }), /not a valid date/);
+  assert.throws(() => store.purge({ older_than: 'last month' }), /not a valid date/);
+  assert.equal(store.list().length, 2);
+});
+
+test('a selection is required', () => {
+  assert.throws(() => store.select({}), /Specify task_ids, older_than, or all: true/);
+  assert.deepEqual(store.select({ all: true }).sort(), ['TASK-new', 'TASK-old']);
+});
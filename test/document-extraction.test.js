@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDirs } from './helpers.js';
+
+useTempDirs();
+const { reviewItems, applyCorrections, loadSchema } = await import('../src/document-extraction.js');
+
+const schema = loadSchema('patient-registration');
+
+function extraction(documents) {
+  return { schema, documents };
+}
+
+const sure = value => ({ value, confidence: 0.95 });
+
+test('a complete, confident record needs no review', () => {
+  const record = { first_name: sure('Maria'), last_name: sure('Lopez'), date_of_birth: sure('1986-04-12') };
+  assert.deepEqual(reviewItems(extraction([{ file: 'a.pdf', records: [record] }])), []);
+});
+
+test('low confidence and missing required fields are flagged', () => {
+  const record = { first_name: { value: 'Marla', confidence: 0.4 }, last_name: sure('Lopez') };
+  const paths = reviewItems(extraction([{ file: 'a.pdf', records: [record] }])).map(i => i.path);
+  assert.deepEqual(paths.sort(), ['documents[0].records[0].date_of_birth', 'documents[0].records[0].first_name']);
+});
+
+test('a document nothing was read from has its required fields flagged', () => {
+  const items = reviewItems(extraction([{ file: 'scan.pdf', records: [] }]));
+  assert.deepEqual(items.map(i => i.path), [
+    'documents[0].records[0].first_name',
+    'documents[0].records[0].last_name',
+    'documents[0].records[0].date_of_birth'
+  ]);
+  assert.ok(items.every(i => i.reason === 'required field missing'));
+});
+
+test('a document with no records is flagged even when the schema requires nothing', () => {
+  const open = { id: 'notes', open: true, fields: [{ name: 'note', type: 'string' }] };
+  const items = reviewItems({ schema: open, documents: [{ file: 'notes.txt', records: [] }] });
+  assert.deepEqual(items.map(i => [i.path, i.reason]), [['documents[0]', 'no records found']]);
+});
+
+test('corrections fill in a record for a document nothing was read from', () => {
+  const ex = extraction([{ file: 'scan.pdf', records: [] }]);
+  applyCorrections(ex, {
+    'documents[0].records[0].first_name': 'Maria',
+    'documents[0].records[0].last_name': 'Lopez',
+    'documents[0].records[0].date_of_birth': '04/12/1986'
+  });
+  assert.equal(ex.documents[0].records.length, 1);
+  assert.equal(ex.documents[0].records[0].date_of_birth.value, '1986-04-12');
+  assert.deepEqual(reviewItems(ex), []);
+});
+
+test('failed documents are flagged as a whole', () => {
+  const items = reviewItems(extraction([{ file: 'broken.pdf', error: 'unreadable' }]));
+  assert.deepEqual(items.map(i => i.path), ['documents[0]']);
+});
@@ -0,0 +1,79 @@
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { spawn } from 'child_process';
+import { once } from 'events';
+import { fileURLToPath } from 'url';
+
+const SERVER = join(dirname(fileURLToPath(import.meta.url)), '..', 'src', 'server.js');
+
+const STATE_DIRS = {
+  TASK_DIR: 'tasks',
+  DEAD_LETTER_DIR: 'dead-letter',
+  OPENCLAW_STATE_DIR: 'state',
+  OPENCLAW_LOG_DIR: 'logs',
+  SESSION_RESULTS_DIR: 'session-results',
+  RESULTS_DIR: 'results',
+  SCHEDULE_DIR: 'schedules',
+  MACRO_DIR: 'macros',
+  BATCH_DIR: 'batches',
+  PROFILE_DIR: 'profiles',
+  EXTRACTION_SCHEMA_DIR: 'extraction-schemas',
+  WEBHOOK_DIR: 'webhooks',
+  COST_DIR: 'costs',
+  AUDIT_DIR: 'audit',
+  SCREENSHOT_DIR: 'screenshots',
+  REDACTION_DIR: 'redaction',
+  CREDENTIAL_DIR: 'credentials',
+  PROSPECT_DIR: 'prospects'
+};
+
+/**
+ * Point every state directory at a fresh temp dir. Call before importing
+ * any src module: they read their directories at load time.
+ */
+export function useTempDirs(env = {}) {
+  const root = mkdtempSync(join(tmpdir(), 'agency-test-'));
+  Object.assign(process.env, testEnv(root), env);
+  return root;
+}
+
+function testEnv(root) {
+  return {
+    ...Object.fromEntries(Object.entries(STATE_DIRS).map(([name, dir]) => [name, join(root, dir)])),
+    LOG_LEVEL: 'error',
+    LLM_PROVIDER: 'local'
+  };
+}
+
+/**
+ * Run the server in a child process with its own state directories. Tasks
+ * are queued but never picked up, so nothing reaches a model or a desktop.
+ * Returns { url, root, stop }, root holding the state directories; call
+ * stop() when the tests are done.
+ */
+export async function startServer(env = {}) {
+  const root = mkdtempSync(join(tmpdir(), 'agency-test-'));
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, ...testEnv(root), PORT: String(port), MAX_CONCURRENT_TASKS: '0', ...env },
+    stdio: 'ignore'
+  });
+  const stop = async () => {
+    if (child.exitCode !== null) return;
+    child.kill();
+    await once(child, 'exit');
+  };
+
+  const url = `http://127.0.0.1:${port}`;
+  for (let attempt = 0; attempt < 100 && child.exitCode === null; attempt++) {
+    try {
+      await fetch(`${url}/api/health`);
+      return { url, root, stop };
+    } catch {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  await stop();
+  throw new Error('Server did not start');
+}
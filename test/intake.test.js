@@ -0,0 +1,71 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+const OPERATOR = { Authorization: 'Bearer opkey', 'Content-Type': 'application/json' };
+
+let server;
+before(async () => { server = await startServer({ OPERATOR_API_KEY: 'opkey', INTAKE_RATE_LIMIT: '4' }); });
+after(() => server.stop());
+
+async function call(path, { method = 'GET', headers = OPERATOR, body } = {}) {
+  const res = await fetch(`${server.url}${path}`, { method, headers, body: body && JSON.stringify(body) });
+  return { status: res.status, body: await res.json().catch(() => null) };
+}
+
+const intake = body => call('/api/intake', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+
+const SUBMISSION = {
+  name: 'Dana Reyes',
+  email: 'dana@acme-dental.example',
+  company: 'Acme Dental',
+  software: 'Dentrix',
+  task_type: 'data-entry',
+  volume: '200 patients',
+  description: 'We retype intake forms into Dentrix every morning.'
+};
+
+test('an intake submission becomes a pending lead, not a task', async () => {
+  const res = await intake(SUBMISSION);
+  assert.equal(res.status, 202);
+  assert.equal(res.body.task_id, undefined);
+
+  assert.deepEqual((await call('/api/tasks')).body, []);
+  const pending = (await call('/api/prospects?intake=pending')).body;
+  assert.equal(pending.length, 1);
+  assert.equal(pending[0].email, SUBMISSION.email);
+  assert.equal(pending[0].intake_requests[0].description, SUBMISSION.description);
+  assert.equal(pending[0].intake_requests[0].task_id, null);
+});
+
+test('intake rejects incomplete and oversized submissions', async () => {
+  assert.equal((await intake({ ...SUBMISSION, description: '' })).status, 400);
+  assert.equal((await intake({ ...SUBMISSION, email: undefined })).status, 400);
+  assert.equal((await intake({ ...SUBMISSION, description: 'x'.repeat(20 * 1024) })).status, 413);
+});
+
+test('an operator turns an intake request into a task for a client', async () => {
+  const [prospect] = (await call('/api/prospects?intake=pending')).body;
+  const { body: { account, api_key } } = await call('/api/accounts', { method: 'POST', body: { name: 'Acme Dental' } });
+
+  // Clients can't see or convert leads
+  const client = { Authorization: `Bearer ${api_key}`, 'Content-Type': 'application/json' };
+  assert.equal((await call(`/api/prospects/${prospect.id}/tasks`, { method: 'POST', headers: client, body: { client_id: account.id } })).status, 403);
+  assert.equal((await call(`/api/prospects/${prospect.id}/tasks`, { method: 'POST', body: { client_id: 'client-unknown' } })).status, 400);
+
+  const converted = await call(`/api/prospects/${prospect.id}/tasks`, { method: 'POST', body: { client_id: account.id } });
+  assert.equal(converted.status, 201);
+  const task = (await call(`/api/tasks/${converted.body.task_id}`, { headers: client })).body;
+  assert.equal(task.client_id, account.id);
+  assert.match(task.description, /retype intake forms/);
+
+  assert.equal((await call(`/api/prospects/${prospect.id}/tasks`, { method: 'POST', body: { client_id: account.id } })).status, 409);
+  assert.deepEqual((await call('/api/prospects?intake=pending')).body, []);
+});
+
+test('intake is rate limited per address', async () => {
+  // Three submissions so far counted toward the limit of four
+  assert.equal((await intake(SUBMISSION)).status, 202);
+  const limited = await intake(SUBMISSION);
+  assert.equal(limited.status, 429);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync, utimesSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { useTempDirs } from './helpers.js';
+
+useTempDirs();
+const { readTaskLogs } = await import('../src/logger.js');
+
+const TASK = 'LEGACY-1760000000000-1a2b3c4d';
+const OTHER = 'LEGACY-1760000000000-ffffffff';
+const CREATED = '2026-10-19T10:00:00.000Z';
+
+function line(timestamp, level, task_id, message) {
+  return JSON.stringify({ timestamp, level, task_id, message, component: 'queue' });
+}
+
+function logFile(name, lines, mtime) {
+  const dir = process.env.OPENCLAW_LOG_DIR;
+  mkdirSync(dir, { recursive: true });
+  const file = join(dir, name);
+  writeFileSync(file, lines.join('\n') + '\n');
+  if (mtime) utimesSync(file, mtime, mtime);
+}
+
+// A task id reused across a wipe: the old file's lines must not show up
+logFile('queue-2026-10-01.log', [line('2026-10-01T09:00:00.000Z', 'info', TASK, 'stale')], new Date('2026-10-01T09:00:01Z'));
+logFile('queue-2026-10-19.log', [
+  line('2026-10-19T09:59:59.000Z', 'info', TASK, 'before creation'),
+  line('2026-10-19T10:00:01.000Z', 'info', TASK, 'queued'),
+  line('2026-10-19T10:00:02.000Z', 'info', OTHER, 'someone else'),
+  'plain text line mentioning ' + TASK,
+  line('2026-10-19T10:00:05.000Z', 'warn', TASK, 'retrying')
+]);
+logFile('openclaw-bridge-2026-10-19.log', [line('2026-10-19T10:00:03.000Z', 'error', TASK, 'step failed')]);
+
+test('lines for the task since it was created, oldest first, across components', async () => {
+  const entries = await readTaskLogs(TASK, { since: CREATED });
+  assert.deepEqual(entries.map(e => e.message), ['queued', 'step failed', 'retrying']);
+});
+
+test('level, components and limit narrow the timeline', async () => {
+  assert.deepEqual((await readTaskLogs(TASK, { since: CREATED, level: 'warn' })).map(e => e.message), ['step failed', 'retrying']);
+  assert.deepEqual((await readTaskLogs(TASK, { since: CREATED, components: ['queue'] })).map(e => e.message), ['queued', 'retrying']);
+  assert.deepEqual((await readTaskLogs(TASK, { since: CREATED, limit: 1 })).map(e => e.message), ['retrying']);
+});
+
+test('without a cutoff every file is read', async () => {
+  const entries = await readTaskLogs(TASK);
+  assert.deepEqual(entries.map(e => e.message), ['stale', 'before creation', 'queued', 'step failed', 'retrying']);
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'fs';
+import { join } from 'path';
+import { useTempDirs } from './helpers.js';
+
+useTempDirs({ CREDENTIAL_KEY: 'test-key' });
+const { MacroStore, fillAction } = await import('../src/macros.js');
+const { CredentialVault } = await import('../src/credentials.js');
+const { OpenClawBridge } = await import('../src/openclaw-bridge.js');
+
+const PLAN = { steps: [{ step_number: 1, action: 'Register the patient', verification: 'Patient saved' }] };
+
+function task(overrides = {}) {
+  return {
+    id: `TASK-${Math.random().toString(16).slice(2)}`,
+    client_id: 'client-a',
+    software_name: 'Dentrix',
+    workflow: 'new-patient',
+    records: [{ row: 2, patient_name: 'Maria Lopez', dob: '04/12/1986', notes: 'Prefers mornings' }],
+    ...overrides
+  };
+}
+
+function run(typed) {
+  return {
+    results: [{
+      step: 1,
+      status: 'success',
+      actions: [{ type: 'click', x: 100, y: 200 }, ...typed.map(text => ({ type: 'type', text })), { type: 'key', keys: 'Return' }]
+    }]
+  };
+}
+
+function macroFiles() {
+  return readdirSync(process.env.MACRO_DIR).map(f => readFileSync(join(process.env.MACRO_DIR, f), 'utf8')).join('\n');
+}
+
+test('typed record values and credentials are stored as placeholders', () => {
+  const macros = new MacroStore();
+  const { handles } = new CredentialVault().set('client-a', 'Dentrix', { password: 'hunter22!' }, 'operator');
+  const first = task();
+
+  const version = macros.record(first, PLAN, run(['Maria Lopez', 'DOB 04/12/1986', 'hunter22!', 'Walk-in']));
+  assert.equal(version, 1);
+
+  const stored = macros.find(first).steps[0].actions.filter(a => a.type === 'type').map(a => a.text);
+  assert.deepEqual(stored, ['{{record:0.patient_name}}', 'DOB {{record:0.dob}}', handles[0], 'Walk-in']);
+  assert.doesNotMatch(macroFiles(), /Maria|1986|hunter22/);
+
+  // Another of the client's tasks types its own data
+  const next = task({ records: [{ row: 7, patient_name: 'Sam Ortiz', dob: '01/02/1990' }] });
+  const filled = macros.find(next).steps[0].actions.filter(a => a.type === 'type').map(a => fillAction(next, a).text);
+  assert.deepEqual(filled, ['Sam Ortiz', 'DOB 01/02/1990', handles[0], 'Walk-in']);
+});
+
+test('macros are not shared between clients or with tasks that lack the data', () => {
+  const macros = new MacroStore();
+  assert.equal(macros.find(task({ client_id: 'client-b' })), null);
+  assert.equal(macros.find(task({ client_id: null })), null);
+  assert.equal(macros.find(task({ records: [{ row: 1, patient_name: 'Sam Ortiz' }] })), null);
+  assert.equal(macros.record(task({ client_id: null, workflow: 'other' }), PLAN, run(['Walk-in'])), null);
+});
+
+test('runs that typed data the records do not account for are not recorded', () => {
+  const macros = new MacroStore();
+  // An SSN that isn't in the records would be stored as typed
+  assert.equal(macros.record(task({ workflow: 'ssn' }), PLAN, run(['123-45-6789'])), null);
+  // "2024" is both fields; a placeholder for either could type the wrong one later
+  const ambiguous = task({ workflow: 'ambiguous', records: [{ year: '2024', plan_year: '2024' }] });
+  assert.equal(macros.record(ambiguous, PLAN, run(['2024'])), null);
+  assert.doesNotMatch(macroFiles(), /123-45-6789/);
+});
+
+test('a task replays the macro version its plan was built from', async () => {
+  const macros = new MacroStore();
+  const planned = task({ workflow: 'recall' });
+  assert.equal(macros.record(planned, PLAN, run(['Walk-in'])), 1);
+  // Recorded again while the first task is waiting to run
+  assert.equal(macros.record(task({ workflow: 'recall' }), PLAN, run(['Recall visit'])), 2);
+
+  const typed = version => version.steps[0].actions.find(a => a.type === 'type').text;
+  assert.equal(typed(macros.find(planned)), 'Recall visit');
+  assert.equal(typed(macros.find(planned, 1)), 'Walk-in');
+  assert.equal(macros.find(planned, 7), null);
+
+  const bridge = new OpenClawBridge();
+  await assert.rejects(
+    bridge.superviseTask({ ...planned, macro: { version: 7 } }, PLAN),
+    /Macro v7 for Dentrix\/recall is no longer available/
+  );
+});
@@ -0,0 +1,35 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+const OPERATOR = { Authorization: 'Bearer opkey', 'Content-Type': 'application/json' };
+
+let server;
+before(async () => { server = await startServer({ OPERATOR_API_KEY: 'opkey' }); });
+after(() => server.stop());
+
+async function post(path, body) {
+  const res = await fetch(`${server.url}${path}`, { method: 'POST', headers: OPERATOR, body: JSON.stringify(body) });
+  return { status: res.status, body: await res.json() };
+}
+
+test('tasks, batches and schedules reject an unknown mode', async () => {
+  const task = await post('/api/tasks', { description: 'Enter invoices', mode: 'YOLO' });
+  assert.equal(task.status, 400);
+  assert.match(task.body.error, /Invalid mode/);
+
+  const batch = await post('/api/batches', { workflow: 'invoices', mode: 'YOLO', records: [{ invoice: '1001' }] });
+  assert.equal(batch.status, 400);
+  assert.match(batch.body.error, /Invalid mode/);
+
+  const schedule = await post('/api/schedules', { cron: '0 9 * * *', task_template: { description: 'Nightly export', mode: 'YOLO' } });
+  assert.equal(schedule.status, 400);
+  assert.match(schedule.body.error, /Invalid mode/);
+
+  assert.deepEqual((await fetch(`${server.url}/api/tasks`, { headers: OPERATOR }).then(r => r.json())), []);
+});
+
+test('a known mode is accepted', async () => {
+  const task = await post('/api/tasks', { description: 'Enter invoices', mode: 'SUPERVISE' });
+  assert.equal(task.status, 201);
+});
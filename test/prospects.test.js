@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDirs } from './helpers.js';
+
+useTempDirs();
+const { ProspectStore, companyKey, normalizeUrl } = await import('../src/prospects.js');
+
+const store = new ProspectStore();
+
+function dayOffset(days) {
+  return new Date(Date.now() + days * 86400000).toISOString().slice(0, 10);
+}
+
+test('company names are compared without case, punctuation or legal suffixes', () => {
+  assert.equal(companyKey('Acme Dental, LLC.'), 'acme dental');
+  assert.equal(companyKey('ACME DENTAL INC'), 'acme dental');
+  assert.equal(companyKey('Bright Smiles DDS, PC'), 'bright smiles');
+  assert.equal(companyKey(null), '');
+});
+
+test('job URLs are compared without query strings, fragments or trailing slashes', () => {
+  assert.equal(normalizeUrl('https://Jobs.Example.com/posting/42/?utm_source=feed#apply'), 'https://jobs.example.com/posting/42');
+  assert.equal(normalizeUrl('jobs.example.com/posting/42/?ref=x'), 'jobs.example.com/posting/42');
+  assert.equal(normalizeUrl(''), null);
+});
+
+test('a duplicate by company, job URL or email merges and fills in only what was missing', () => {
+  const { prospect, created } = store.add({ company: 'Harbor Title LLC', contact_name: 'Dana', job_url: 'https://jobs.example.com/1?ref=a' }, 'operator');
+  assert.equal(created, true);
+
+  const byCompany = store.add({ company: 'harbor title', contact_name: 'Someone else', software: 'SoftPro', note: 'Posted twice' }, 'operator');
+  assert.equal(byCompany.created, false);
+  assert.equal(byCompany.prospect.id, prospect.id);
+  assert.equal(byCompany.prospect.contact_name, 'Dana');
+  assert.equal(byCompany.prospect.software, 'SoftPro');
+
+  const byUrl = store.add({ job_url: 'https://jobs.example.com/1#top', email: 'dana@harbor.example' }, 'operator');
+  assert.equal(byUrl.prospect.id, prospect.id);
+
+  const byEmail = store.add({ email: 'DANA@harbor.example', job_url: 'https://jobs.example.com/2', note: 'Posted twice' }, 'operator');
+  assert.equal(byEmail.prospect.id, prospect.id);
+  assert.deepEqual(byEmail.prospect.job_urls, ['https://jobs.example.com/1', 'https://jobs.example.com/2']);
+  assert.equal(byEmail.prospect.notes.length, 1);
+});
+
+test('re-importing an outreach run merges instead of duplicating', () => {
+  const run = [{ company: 'Pine Ledger Co', job_url: 'https://jobs.example.com/pine' }, { company: 'Pine Ledger' }, {}];
+  const first = store.import(run, 'outreach');
+  assert.deepEqual([first.created, first.merged, first.skipped], [1, 1, 1]);
+  const again = store.import(run, 'outreach');
+  assert.deepEqual([again.created, again.merged, again.skipped], [0, 2, 1]);
+  assert.deepEqual(again.ids, first.ids);
+});
+
+test('contacts move the pipeline: outbound pitches, an inbound reply to a pitch is a reply', () => {
+  const { prospect } = store.add({ company: 'Cedar Freight' }, 'operator');
+  assert.equal(store.addContact(prospect.id, { channel: 'email', direction: 'inbound' }, 'operator').stage, 'found');
+  assert.equal(store.addContact(prospect.id, { channel: 'email' }, 'operator').stage, 'pitched');
+  assert.equal(store.addContact(prospect.id, { channel: 'email', direction: 'inbound' }, 'operator').stage, 'replied');
+  assert.equal(store.addContact(prospect.id, { channel: 'email' }, 'operator').stage, 'replied');
+
+  const history = store.get(prospect.id).stage_history.map(h => h.stage);
+  assert.deepEqual(history, ['found', 'pitched', 'replied']);
+});
+
+test('due lists open prospects with a follow-up today or earlier, oldest first', () => {
+  const due = [
+    store.add({ company: 'Due Later Inc', next_follow_up: dayOffset(-1) }, 'operator').prospect,
+    store.add({ company: 'Due Earlier Inc', next_follow_up: dayOffset(-5) }, 'operator').prospect
+  ];
+  store.add({ company: 'Not Yet Inc', next_follow_up: dayOffset(3) }, 'operator');
+  const won = store.add({ company: 'Closed Won Inc', next_follow_up: dayOffset(-2) }, 'operator').prospect;
+  store.update(won.id, { stage: 'won' }, 'operator');
+
+  assert.deepEqual(store.list({ due: true }).map(p => p.id), [due[1].id, due[0].id]);
+  assert.equal(store.get(won.id).next_follow_up, null);
+});
+
+test('a public intake submission joins a prospect only on the same email and never moves its stage', () => {
+  const { prospect } = store.add({ company: 'Northwind Dental', email: 'office@northwind.example' }, 'operator');
+  store.addContact(prospect.id, { channel: 'email' }, 'operator');
+
+  // Same company, someone else's address: a new lead, not the operator's record
+  const stranger = store.addIntake({ company: 'Northwind Dental LLC', email: 'anyone@elsewhere.example', description: 'Help with Dentrix' });
+  assert.notEqual(stranger.prospect.id, prospect.id);
+  assert.equal(store.get(prospect.id).intake_requests.length, 0);
+
+  const known = store.addIntake({ company: 'Northwind', email: 'Office@Northwind.example', description: 'Ready for an assessment' });
+  assert.equal(known.prospect.id, prospect.id);
+  const saved = store.get(prospect.id);
+  assert.equal(saved.stage, 'pitched');
+  assert.equal(saved.intake_requests.length, 1);
+  assert.equal(saved.company, 'Northwind Dental');
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { useTempDirs } from './helpers.js';
+
+useTempDirs();
+const { TaskQueue, newEnvelope } = await import('../src/queue.js');
+
+const TASK_DIR = process.env.TASK_DIR;
+
+function savedTask(queue, status, extra = {}) {
+  const id = `TASK-${Math.random().toString(16).slice(2)}`;
+  const task = {
+    id,
+    description: 'Post the day\'s receipts',
+    status,
+    created_at: new Date().toISOString(),
+    envelope: newEnvelope(id),
+    ...extra
+  };
+  queue.saveTask(task);
+  return task;
+}
+
+// A new queue over the same task directory, as after a restart
+function restart() {
+  const queue = new TaskQueue();
+  queue.recover();
+  return queue;
+}
+
+test('in-flight tasks are queued again after a restart', () => {
+  const before = new TaskQueue();
+  const received = savedTask(before, 'received');
+  const planned = savedTask(before, 'planned', { plan: { steps: [{ step: 1, action: 'Open the register' }] } });
+  const unplanned = savedTask(before, 'planned');
+  const completed = savedTask(before, 'completed');
+  const failed = savedTask(before, 'failed');
+
+  const after = restart();
+  const queued = id => after.queue.find(t => t.id === id);
+
+  assert.equal(queued(received.id).status, 'received');
+  assert.equal(queued(planned.id).status, 'planned');
+  assert.equal(queued(unplanned.id).status, 'received');
+  assert.equal(queued(completed.id), undefined);
+  assert.ok(after.done.some(t => t.id === completed.id));
+  assert.equal(queued(failed.id), undefined);
+  assert.equal(after.loadTask(received.id).recovered_from, 'received');
+});
+
+test('a task interrupted mid-step counts a failed attempt and retries', () => {
+  const task = savedTask(new TaskQueue(), 'executing');
+
+  const after = restart();
+  const recovered = after.queue.find(t => t.id === task.id);
+  assert.equal(recovered.status, 'retrying');
+  assert.equal(recovered.envelope.consecutive_failures, 1);
+  assert.match(recovered.last_error, /Interrupted by server restart while executing/);
+  assert.equal(after.loadTask(task.id).status, 'retrying');
+});
+
+test('the journal records task ids and statuses, not task records', () => {
+  const queue = new TaskQueue();
+  queue.journal.reset();
+  const task = savedTask(queue, 'received', { documents: [{ records: [{ ssn: '078-05-1120' }] }] });
+
+  const entries = readFileSync(join(TASK_DIR, 'journal.jsonl'), 'utf8').split('\n').filter(Boolean).map(JSON.parse);
+  assert.deepEqual(entries.map(e => e.type), ['begin', 'commit']);
+  assert.equal(entries[0].task_id, task.id);
+  assert.equal(entries[0].status, 'received');
+  assert.equal(entries[0].record, undefined);
+});
+
+test('a write cut short before its rename is completed from the temp file', () => {
+  const queue = new TaskQueue();
+  const task = savedTask(queue, 'received');
+  const file = join(TASK_DIR, `${task.id}.json`);
+
+  queue.journal.append({ seq: 9001, type: 'begin', task_id: task.id, status: 'planned', at: new Date().toISOString() });
+  writeFileSync(`${file}.tmp`, JSON.stringify({ ...task, status: 'planned', plan: { steps: [{ step: 1, action: 'Open the register' }] } }));
+
+  const after = restart();
+  assert.equal(existsSync(`${file}.tmp`), false);
+  assert.equal(after.loadTask(task.id).status, 'planned');
+  assert.equal(after.queue.find(t => t.id === task.id).status, 'planned');
+});
+
+test('a write that never reached its temp file keeps the saved record', () => {
+  const queue = new TaskQueue();
+  const task = savedTask(queue, 'received');
+  const file = join(TASK_DIR, `${task.id}.json`);
+
+  queue.journal.append({ seq: 9002, type: 'begin', task_id: task.id, status: 'planned', at: new Date().toISOString() });
+  writeFileSync(`${file}.tmp`, '{"id": "torn');
+
+  const after = restart();
+  assert.equal(existsSync(`${file}.tmp`), false);
+  assert.equal(after.loadTask(task.id).status, 'received');
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDirs } from './helpers.js';
+
+useTempDirs({ CREDENTIAL_KEY: 'test-key' });
+const { RedactionVault } = await import('../src/redaction.js');
+const { GeminiOrchestrator } = await import('../src/gemini-orchestrator.js');
+const { CredentialVault } = await import('../src/credentials.js');
+const { generate } = await import('../src/llm-providers.js');
+const { newEnvelope } = await import('../src/queue.js');
+
+const gemini = new GeminiOrchestrator();
+
+function task(overrides = {}) {
+  const id = `LEGACY-${Date.now()}-${Math.random().toString(16).slice(2, 10)}`;
+  return { id, client_id: 'client-a', description: '', software_name: 'Dentrix', task_type: 'data-entry', envelope: newEnvelope(id), ...overrides };
+}
+
+// Prompts as they were sent, from the task's audit trail
+function sentPrompts(t) {
+  return gemini.audit.read(t.id).filter(e => e.type === 'prompt').map(e => e.data.prompt);
+}
+
+const MESSAGE = 'Patient: Maria Lopez, DOB 04/12/1986, SSN 123-45-6789, phone (555) 201-7788, maria@example.com, lives at 12 Oak Street';
+
+test('each detector replaces its value with a token that restores', () => {
+  const vault = new RedactionVault();
+  const t = task();
+  const redacted = vault.redact(t, MESSAGE);
+  for (const value of ['Maria Lopez', '04/12/1986', '123-45-6789', '(555) 201-7788', 'maria@example.com', '12 Oak Street']) {
+    assert.ok(!redacted.includes(value), `${value} leaked: ${redacted}`);
+  }
+  assert.match(redacted, /\[\[NAME_1\]\].*\[\[DOB_1\]\].*\[\[SSN_1\]\].*\[\[PHONE_1\]\].*\[\[EMAIL_1\]\].*\[\[ADDRESS_1\]\]/);
+  assert.equal(vault.restore(t.id, redacted), MESSAGE);
+});
+
+test('classification and simple answers are redacted as the message\'s task', async () => {
+  const t = task({ description: MESSAGE });
+  await gemini.classifyTask(MESSAGE, gemini.forTask(t));
+  await gemini.handleSimpleQuery(`${MESSAGE}?`, gemini.forTask(t));
+
+  const prompts = sentPrompts(t);
+  assert.equal(prompts.length, 2);
+  for (const prompt of prompts) {
+    assert.doesNotMatch(prompt, /123-45-6789|Maria Lopez|maria@example\.com/);
+    assert.match(prompt, /\[\[SSN_1\]\]/);
+  }
+});
+
+test('plans never see batch record values or credentials', async () => {
+  const vault = new CredentialVault();
+  vault.set('client-a', 'Dentrix', { password: 'hunter22!' }, 'operator');
+  const t = task({
+    description: 'Register patients; front desk login password is hunter22!',
+    records: [{ row: 2, patient_name: 'Sam Ortiz', member_id: 'XK-99812', phone: '555-301-4400' }]
+  });
+  await gemini.planExecution(t);
+
+  const [prompt] = sentPrompts(t);
+  assert.doesNotMatch(prompt, /Sam Ortiz|XK-99812|555-301-4400|hunter22!/);
+  assert.match(prompt, /\{\{secret:dentrix\.password\}\}/);
+});
+
+test('model calls without a redactor are refused', async () => {
+  await assert.rejects(gemini.classifyTask(MESSAGE), /no redactor/);
+  await assert.rejects(generate('answer', MESSAGE), /no redactor/);
+  // Prompts with no client data opt out explicitly
+  assert.ok((await generate('outreach', 'List industries still on desktop software', { redactor: null })).text);
+});
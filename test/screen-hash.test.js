@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDirs } from './helpers.js';
+
+useTempDirs();
+const { detectLoop, recordStateHash } = await import('../src/screen-hash.js');
+
+function envelopeTask() {
+  return { envelope: { hops: 0, state_hashes: [] } };
+}
+
+// Each step: the screen before and after, and what the step reported
+function runSteps(task, steps) {
+  steps.forEach(([before, after, status], i) => {
+    recordStateHash(task, { hash: before, step: i + 1, phase: 'before' });
+    recordStateHash(task, { hash: after, step: i + 1, phase: 'after', status });
+  });
+}
+
+test('successful steps that barely change the screen are not stuck', () => {
+  const task = envelopeTask();
+  // One bit apart: typing into a small field
+  runSteps(task, [
+    ['ffff0000ffff0000', 'ffff0000ffff0001', 'success'],
+    ['ffff0000ffff0001', 'ffff0000ffff0003', 'success'],
+    ['ffff0000ffff0003', 'ffff0000ffff0007', 'success']
+  ]);
+  assert.deepEqual(detectLoop(task.envelope.state_hashes), { detected: false });
+});
+
+test('failed steps that leave the screen unchanged are stuck', () => {
+  const task = envelopeTask();
+  for (let hop = 0; hop < 3; hop++) {
+    task.envelope.hops = hop;
+    recordStateHash(task, { hash: 'ffff0000ffff0000', step: 1, phase: 'before' });
+    recordStateHash(task, { hash: 'ffff0000ffff0000', step: 1, phase: 'after', status: 'failed' });
+  }
+  const loop = detectLoop(task.envelope.state_hashes);
+  assert.equal(loop.detected, true);
+  assert.equal(loop.kind, 'stuck');
+});
+
+test('a success between failures resets the stuck count', () => {
+  const task = envelopeTask();
+  runSteps(task, [
+    ['aaaa0000aaaa0000', 'aaaa0000aaaa0000', 'failed'],
+    ['aaaa0000aaaa0000', 'aaaa0000aaaa0000', 'success'],
+    ['aaaa0000aaaa0000', 'aaaa0000aaaa0000', 'failed']
+  ]);
+  assert.equal(detectLoop(task.envelope.state_hashes).detected, false);
+});
+
+test('hops that keep ending on the same screen are a cycle', () => {
+  const task = envelopeTask();
+  for (let hop = 0; hop < 3; hop++) {
+    task.envelope.hops = hop;
+    recordStateHash(task, { hash: `0123456789abcde${hop}`, step: 1, phase: 'before' });
+    recordStateHash(task, { hash: 'fedcba9876543210', step: 1, phase: 'after', status: 'success' });
+  }
+  const loop = detectLoop(task.envelope.state_hashes);
+  assert.equal(loop.detected, true);
+  assert.equal(loop.kind, 'cycle');
+});
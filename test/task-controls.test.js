@@ -0,0 +1,52 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.js';
+
+let server;
+const keys = {};
+const tasks = {};
+
+async function post(path, key, body = {}) {
+  const res = await fetch(`${server.url}${path}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${key}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+// Two clients with a task each, and a bridge key bound to the first
+before(async () => {
+  server = await startServer({ OPERATOR_API_KEY: 'opkey' });
+  for (const name of ['a', 'b']) {
+    const { body } = await post('/api/accounts', 'opkey', { name: `Client ${name}` });
+    keys[name] = body.api_key;
+    tasks[name] = (await post('/api/tasks', body.api_key, { description: `Task for ${name}` })).body.task_id;
+    if (name === 'a') {
+      keys.bridge = (await post('/api/accounts', 'opkey', { name: 'Bridge', role: 'service', scopes: ['bridge'], client_id: body.account.id })).body.api_key;
+    }
+  }
+});
+after(() => server.stop());
+
+test('keys without the tasks scope cannot stop or resume a task', async () => {
+  for (const action of ['pause', 'cancel', 'resume']) {
+    assert.equal((await post(`/api/tasks/${tasks.a}/${action}`, keys.bridge)).status, 403, action);
+  }
+});
+
+test('clients stop only their own tasks', async () => {
+  assert.equal((await post(`/api/tasks/${tasks.b}/cancel`, keys.a)).status, 404);
+
+  const paused = await post(`/api/tasks/${tasks.a}/pause`, keys.a);
+  assert.equal(paused.status, 200);
+  const cancelled = await post(`/api/tasks/${tasks.a}/cancel`, keys.a);
+  assert.equal(cancelled.status, 200);
+  assert.equal(cancelled.body.status, 'cancelled');
+});
+
+test('a task log limit that is not a number falls back to the default', async () => {
+  const res = await fetch(`${server.url}/api/tasks/${tasks.b}/logs?limit=all`, { headers: { Authorization: 'Bearer opkey' } });
+  assert.equal(res.status, 200);
+  assert.ok(Array.isArray(await res.json()));
+});
@@ -0,0 +1,54 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync } from 'fs';
+import { join } from 'path';
+import { startServer } from './helpers.js';
+
+let server;
+const keys = {};
+
+async function send(method, path, key, body) {
+  const res = await fetch(`${server.url}${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${key}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+// Token maps written for the messages so far
+const redactionFiles = () => readdirSync(join(server.root, 'redaction')).filter(f => f.startsWith('LEGACY-'));
+
+// Two clients' chat integrations; the second client's policy allows no provider the tests run
+before(async () => {
+  server = await startServer({ OPERATOR_API_KEY: 'opkey' });
+  for (const name of ['a', 'b']) {
+    const client = (await send('POST', '/api/accounts', 'opkey', { name: `Client ${name}` })).body.account;
+    keys[name] = (await send('POST', '/api/accounts', 'opkey', { name: `Chat ${name}`, role: 'service', scopes: ['webhook'], client_id: client.id })).body.api_key;
+    if (name === 'b') await send('PUT', `/api/data-policies/${client.id}`, 'opkey', { allowed_providers: ['gemini'] });
+  }
+});
+after(() => server.stop());
+
+const QUESTION = 'Can you still reach Maria Lopez at maria@example.com or (555) 201-7788?';
+
+test('a message answered directly leaves no token map behind', async () => {
+  const res = await send('POST', '/api/webhook/openclaw', keys.a, { message: QUESTION, channel: 'telegram', user_id: 'u1' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.handled_by, 'gemini');
+  assert.deepEqual(redactionFiles(), []);
+});
+
+test('a message the client\'s data policy refuses is a 403, not a crash', async () => {
+  const res = await send('POST', '/api/webhook/openclaw', keys.b, { message: QUESTION, channel: 'telegram', user_id: 'u2' });
+  assert.equal(res.status, 403);
+  assert.match(res.body.error, /does not allow the local provider/);
+  assert.deepEqual(redactionFiles(), []);
+  assert.equal((await fetch(`${server.url}/api/health`)).status, 200);
+});
+
+test('a message that becomes a task keeps its token map', async () => {
+  const res = await send('POST', '/api/webhook/openclaw', keys.a, { message: 'Enter the visit for Maria Lopez, maria@example.com', channel: 'telegram', user_id: 'u1' });
+  assert.equal(res.status, 200);
+  assert.deepEqual(redactionFiles(), [`${res.body.task_id}.json`]);
+});
@@ -0,0 +1,143 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { once } from 'events';
+import { useTempDirs } from './helpers.js';
+
+// 127.0.0.1 stands in for an integrator's receiver on the agency network
+useTempDirs({ WEBHOOK_ALLOWED_HOSTS: '127.0.0.1', WEBHOOK_MAX_ATTEMPTS: '1' });
+const { taskCallback, blockedAddress, postTo, WebhookManager } = await import('../src/webhooks.js');
+const { TaskQueue } = await import('../src/queue.js');
+
+test('callback URLs must point to a public address', () => {
+  for (const url of [
+    'http://localhost:8080/hook',
+    'http://api.localhost/hook',
+    'http://10.0.0.5/hook',
+    'http://172.20.1.1/hook',
+    'http://192.168.1.10/hook',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://[::1]:3000/hook',
+    'http://[fd00::1]/hook',
+    'http://[::ffff:10.0.0.1]/hook',
+    'http://0.0.0.0/hook',
+    'ftp://example.com/hook'
+  ]) {
+    assert.throws(() => taskCallback(url), /public address|http\(s\) URL/, url);
+  }
+  assert.equal(taskCallback('https://hooks.example.com/agency').url, 'https://hooks.example.com/agency');
+  assert.equal(taskCallback('https://8.8.8.8/hook').url, 'https://8.8.8.8/hook');
+});
+
+test('address ranges', () => {
+  assert.equal(blockedAddress('127.0.0.1'), true);
+  assert.equal(blockedAddress('100.64.0.1'), true);
+  assert.equal(blockedAddress('fe80::1'), true);
+  assert.equal(blockedAddress('::ffff:7f00:1'), true);
+  assert.equal(blockedAddress('93.184.216.34'), false);
+  assert.equal(blockedAddress('2606:4700::1111'), false);
+});
+
+let receiver;
+let requests;
+before(async () => {
+  requests = [];
+  receiver = createServer((req, res) => {
+    requests.push(req.url);
+    if (req.url === '/redirect') {
+      res.writeHead(302, { Location: `http://localhost:${receiver.address().port}/internal` });
+      return res.end();
+    }
+    res.end('ok');
+  });
+  receiver.listen(0, '127.0.0.1');
+  await once(receiver, 'listening');
+});
+after(() => receiver.close());
+
+function deliveryTo(manager, queue, url) {
+  // Saved in a status the callback doesn't listen for, so only this delivery is sent
+  const task = { id: `TASK-${Math.random().toString(16).slice(2)}`, status: 'received', callback: { url, secret: 'whsec_test' } };
+  queue.saveTask(task);
+  const delivery = {
+    id: `DLV-${Math.random().toString(16).slice(2)}`,
+    webhook_id: null,
+    task_id: task.id,
+    url,
+    event: 'completed',
+    payload: { event: 'task.status', task_id: task.id, status: 'completed' },
+    status: 'pending',
+    tries: 0,
+    attempts: [],
+    created_at: new Date().toISOString()
+  };
+  manager.saveDelivery(delivery);
+  return delivery.id;
+}
+
+test('a host that resolves to a private address is refused at delivery', async () => {
+  const queue = new TaskQueue();
+  const manager = new WebhookManager(queue);
+  requests.length = 0;
+
+  // Registered before the check existed, or a name that resolves somewhere it shouldn't
+  const id = deliveryTo(manager, queue, `http://localhost:${receiver.address().port}/hook`);
+  const delivery = await manager.attempt(id);
+
+  assert.equal(delivery.status, 'failed');
+  assert.match(delivery.attempts[0].error, /non-public address/);
+  assert.deepEqual(requests, []);
+});
+
+test('redirects are not followed', async () => {
+  const queue = new TaskQueue();
+  const manager = new WebhookManager(queue);
+  requests.length = 0;
+
+  const id = deliveryTo(manager, queue, `http://127.0.0.1:${receiver.address().port}/redirect`);
+  const delivery = await manager.attempt(id);
+
+  assert.equal(delivery.attempts[0].status_code, 302);
+  assert.notEqual(delivery.status, 'delivered');
+  assert.deepEqual(requests, ['/redirect']);
+});
+
+test('an allowed host receives the delivery', async () => {
+  const queue = new TaskQueue();
+  const manager = new WebhookManager(queue);
+  requests.length = 0;
+
+  const delivery = await manager.attempt(deliveryTo(manager, queue, `http://127.0.0.1:${receiver.address().port}/hook`));
+  assert.equal(delivery.status, 'delivered');
+  assert.deepEqual(requests, ['/hook']);
+});
+
+test('a delivery connects to the address that was checked, not a fresh lookup', async () => {
+  requests.length = 0;
+  // .invalid never resolves, so reaching the receiver means the checked address was used
+  const status = await postTo(`http://rebind.invalid:${receiver.address().port}/pinned`, { address: '127.0.0.1', family: 4 }, {}, '{}');
+  assert.equal(status, 200);
+  assert.deepEqual(requests, ['/pinned']);
+});
+
+test('clients see deliveries to their own callbacks only', () => {
+  const queue = new TaskQueue();
+  const manager = new WebhookManager(queue);
+  const operatorWide = manager.create({ url: 'https://ops.example.com/all-tasks' });
+  const own = manager.create({ url: 'https://client-a.example.com/hook', client_id: 'client-a' });
+
+  const ids = {};
+  for (const [name, webhook_id] of [['operator', operatorWide.id], ['own', own.id], ['task', null]]) {
+    ids[name] = `DLV-${name}-${Math.random().toString(16).slice(2)}`;
+    manager.saveDelivery({
+      id: ids[name], webhook_id, task_id: 'TASK-a', client_id: 'client-a', url: 'https://example.com',
+      event: 'completed', payload: {}, status: 'delivered', tries: 1, attempts: [], created_at: new Date().toISOString()
+    });
+  }
+
+  const seen = manager.deliveries({ client_id: 'client-a' }).map(d => d.id);
+  assert.deepEqual(seen.sort(), [ids.own, ids.task].sort());
+  assert.equal(manager.ownedBy(manager.getDelivery(ids.operator), 'client-a'), false);
+  assert.equal(manager.ownedBy(manager.getDelivery(ids.own), 'client-b'), false);
+  assert.ok(manager.deliveries().some(d => d.id === ids.operator));
+});